@@ -0,0 +1,76 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const { createSmsSender } = require('./lib/sms');
+const { createStorage } = require('./lib/storage');
+const { createEventHub } = require('./lib/events');
+const { createLiveUpdates } = require('./lib/live');
+const { createUploads } = require('./lib/uploads');
+const { createNotifier } = require('./lib/notifier');
+const { createWaitlist } = require('./lib/waitlist');
+const { createBookingService } = require('./lib/bookingService');
+const { createGate } = require('./lib/gate');
+const { createPasses } = require('./lib/passes');
+const { notFoundHandler, errorHandler } = require('./lib/errors');
+const { createUserRouter } = require('./routes/users');
+const { createParkingRouter } = require('./routes/parking');
+const { createPaymentRouter } = require('./routes/payments');
+const { createOwnerRouter } = require('./routes/owner');
+const { createWaitlistRouter } = require('./routes/waitlist');
+const { createPassRouter } = require('./routes/passes');
+const { createHealthRouter } = require('./routes/health');
+
+// Wire the services the routers share around a store from lib/store. The
+// SMS sender, notifier, event hub and file store can be swapped, e.g. by tests.
+// lifecycle is flipped by server.js as it starts up and shuts down and is
+// reported by /readyz.
+function createContext({
+    store,
+    sms = createSmsSender(),
+    notifier = createNotifier({ sms }),
+    events = createEventHub(),
+    fileStorage = createStorage(),
+}) {
+    const { db } = store;
+    const live = createLiveUpdates(db, events);
+    const uploads = createUploads(db, fileStorage);
+    const waitlist = createWaitlist({ store, live, notifier });
+    const bookingService = createBookingService({ store, live, uploads, waitlist });
+    const gate = createGate({ db, bookingService });
+    const passes = createPasses({ store, live, waitlist });
+    const lifecycle = { ready: false, draining: false };
+    return { store, db, sms, notifier, events, fileStorage, live, uploads, waitlist, bookingService, gate, passes, lifecycle };
+}
+
+// Build the Express app without connecting to a database or listening,
+// so it can be started by server.js or driven directly by tests.
+// corsOrigins is '*' or a list of allowed origins.
+function createApp(context, { corsOrigins = '*' } = {}) {
+    const app = express();
+
+    // Keep the raw body around for payment webhook signature checks
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        },
+    }));
+    app.use(cors({ origin: corsOrigins }));
+    app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+
+    app.use(createHealthRouter(context));
+    app.use('/api', createUserRouter(context));
+    app.use('/api/parking_areas', createParkingRouter(context));
+    app.use('/api/payments', createPaymentRouter(context));
+    app.use('/api/waitlist', createWaitlistRouter(context));
+    app.use('/api/passes', createPassRouter(context));
+    app.use('/api/owner', createOwnerRouter(context));
+
+    // Unknown routes and every error raised above are answered as
+    // { code, message, details? }
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    return app;
+}
+
+module.exports = { createContext, createApp };
@@ -0,0 +1,99 @@
+const { ObjectId } = require('mongodb');
+const { AppError } = require('./errors');
+const { accountActor } = require('./audit');
+
+// Who may do what in a parking area. The owner of an area holds every
+// permission; staff invited by the owner hold the permissions of their role.
+const ROLE_PERMISSIONS = {
+    owner: ['view', 'check_in_out', 'view_reports', 'manage_area', 'manage_layout', 'manage_tariffs', 'manage_payments', 'manage_staff'],
+    manager: ['view', 'check_in_out', 'view_reports', 'manage_area', 'manage_layout', 'manage_tariffs', 'manage_payments'],
+    attendant: ['view', 'check_in_out'],
+};
+
+const STAFF_ROLES = ['manager', 'attendant'];
+
+function can(role, permission) {
+    return Boolean(role) && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+// The account's role in a parking area, or null if it has none
+async function roleInArea(db, account, parkingArea) {
+    if (parkingArea.owner_id && parkingArea.owner_id.equals(account._id)) return 'owner';
+    const membership = await db.collection('parking_area_staff').findOne({
+        parking_id: parkingArea._id,
+        phone: account.phone,
+        status: "active",
+    });
+    return membership ? membership.role : null;
+}
+
+// Roles of an account in every parking area it can reach, keyed by area id
+async function areaRoles(db, account) {
+    const [owned, memberships] = await Promise.all([
+        db.collection('parking_areas').find({ owner_id: account._id }, { projection: { _id: 1 } }).toArray(),
+        db.collection('parking_area_staff').find({ phone: account.phone, status: "active" }).toArray(),
+    ]);
+    const roles = new Map(memberships.map(m => [m.parking_id.toString(), m.role]));
+    owned.forEach(area => roles.set(area._id.toString(), 'owner'));
+    return roles;
+}
+
+// Parking areas created before areas were tied to an owner id are matched to
+// the account whose parking_area_name they carry. Areas whose name is claimed
+// by several accounts are left alone and reported.
+async function migrateAreaOwners(db) {
+    const unowned = await db.collection('parking_areas')
+        .find({ owner_id: { $exists: false } }, { projection: { name: 1 } })
+        .toArray();
+    let migrated = 0;
+    for (const area of unowned) {
+        const accounts = await db.collection('register_login')
+            .find({ parking_area_name: area.name }, { projection: { _id: 1 } })
+            .limit(2)
+            .toArray();
+        if (accounts.length !== 1) {
+            console.warn(`Parking area ${area._id} (${area.name}) has ${accounts.length} candidate owners; leaving it unowned`);
+            continue;
+        }
+        await db.collection('parking_areas').updateOne(
+            { _id: area._id, owner_id: { $exists: false } },
+            { $set: { owner_id: accounts[0]._id } }
+        );
+        migrated += 1;
+    }
+    return migrated;
+}
+
+async function ensureAccessIndexes(db) {
+    await db.collection('parking_area_staff').createIndex({ parking_id: 1, phone: 1 }, { unique: true });
+    await db.collection('parking_areas').createIndex({ owner_id: 1 });
+}
+
+// Resolve a parking area the signed-in owner or staff account may act on
+// with `permission`. Returns { parkingArea, role, actor }, where actor is the
+// account as lib/audit should record it, typed by its role in the area.
+// Areas the account has no role in are reported as not found.
+async function authorizeArea(db, account, parkingId, permission) {
+    const parkingArea = ObjectId.isValid(parkingId)
+        ? await db.collection('parking_areas').findOne({ _id: new ObjectId(parkingId) })
+        : null;
+    const role = parkingArea && await roleInArea(db, account, parkingArea);
+    if (!role) {
+        throw new AppError(404, 'PARKING_AREA_NOT_FOUND', "Parking area not found");
+    }
+    if (!can(role, permission)) {
+        throw new AppError(403, 'FORBIDDEN', `Your ${role} role does not allow this action`);
+    }
+    return { parkingArea, role, actor: accountActor(role, account) };
+}
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    STAFF_ROLES,
+    can,
+    roleInArea,
+    areaRoles,
+    authorizeArea,
+    migrateAreaOwners,
+    ensureAccessIndexes,
+};
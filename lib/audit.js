@@ -0,0 +1,188 @@
+const { BSON } = require('mongodb');
+
+// Append-only record of changes to bookings, slots, parking areas and the
+// passes sold for them.
+//
+// Each entry names the entity that changed, the operation (`action`) that
+// changed it, who made the change and the top-level fields that differ,
+// before and after. Writes that run in a transaction log in the same
+// transaction, so a change that is rolled back leaves no entry. Entries are
+// never updated or deleted.
+
+const ENTITIES = {
+    bookings: 'booking',
+    slots: 'slot',
+    parking_areas: 'parking_area',
+    pass_products: 'pass_product',
+    passes: 'pass',
+};
+
+// Bookkeeping fields that change on every write and say nothing on their own
+const IGNORED_FIELDS = new Set(['_id', 'updatedAt', 'reservation_version']);
+
+// Who made a change: a signed-in user or owner/staff account, or the
+// server itself (background jobs, webhooks, maintenance commands)
+function accountActor(type, account) {
+    return { type, id: account._id, phone: account.phone };
+}
+
+function systemActor(name) {
+    return { type: 'system', name };
+}
+
+async function ensureAuditIndexes(db) {
+    await db.collection('audit_log').createIndex({ parking_id: 1, at: -1 });
+    await db.collection('audit_log').createIndex({ entity: 1, entity_id: 1, at: -1 });
+}
+
+function sameValue(a, b) {
+    return BSON.EJSON.stringify(a ?? null) === BSON.EJSON.stringify(b ?? null);
+}
+
+// The top-level fields that differ between two versions of a document
+function changedFields(before, after) {
+    const changes = { before: {}, after: {} };
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const field of fields) {
+        if (IGNORED_FIELDS.has(field)) continue;
+        const old = before ? before[field] : undefined;
+        const now = after ? after[field] : undefined;
+        if (sameValue(old, now)) continue;
+        changes.before[field] = old ?? null;
+        changes.after[field] = now ?? null;
+    }
+    return changes;
+}
+
+// Log the change from `before` to `after` (either null for a document that
+// was created or deleted). Nothing is logged when no audited field changed.
+async function recordChange(db, collection, before, after, { session, actor, action }) {
+    const doc = after || before;
+    const { before: old, after: now } = changedFields(before, after);
+    if (before && after && Object.keys(now).length === 0) return null;
+    const entry = {
+        entity: ENTITIES[collection],
+        entity_id: doc._id,
+        parking_id: collection === 'parking_areas' ? doc._id : doc.parking_id,
+        action,
+        actor,
+        before: before ? old : null,
+        after: after ? now : null,
+        at: new Date(),
+    };
+    await db.collection('audit_log').insertOne(entry, { session });
+    return entry;
+}
+
+// The audited counterparts of the driver's write methods. Each takes the
+// collection name and `audit` = { session, actor, action }, where session
+// may be undefined outside a transaction.
+
+// The top-level fields an update writes: the fields named by its
+// operators, or by the $set/$addFields/$unset stages of a pipeline update
+function updatedFields(update) {
+    const stages = Array.isArray(update) ? update : [update];
+    const paths = stages.flatMap(stage => Object.values(stage).flatMap(fields => (
+        typeof fields === 'string' ? [fields] : Array.isArray(fields) ? fields : Object.keys(fields)
+    )));
+    return [...new Set(paths.map(path => path.split('.')[0]))];
+}
+
+// A filter matching a document only while `fields` are as they were in
+// `doc`, including still missing where they were missing
+function unchangedSince(doc, fields) {
+    return Object.fromEntries(fields.map(field => [
+        field,
+        doc[field] === undefined ? { $exists: false } : { $eq: doc[field] },
+    ]));
+}
+
+function pick(doc, fields) {
+    return Object.fromEntries(fields.filter(field => field in doc).map(field => [field, doc[field]]));
+}
+
+const MAX_UPDATE_ATTEMPTS = 10;
+
+// findOneAndUpdate; returns the document after the change, or before it
+// with returnDocument: 'before', or null when nothing matched.
+//
+// The entry must show this update's change and no other. In a transaction
+// the session's snapshot guarantees that. Outside one the document is read
+// first and only updated while the fields the update writes are still as
+// read, and the entry is limited to those fields, so a write landing in
+// between is never credited to this actor.
+async function updateAudited(db, collection, filter, update, { returnDocument = 'after', ...audit }) {
+    const { session } = audit;
+    const docs = db.collection(collection);
+    if (session) {
+        const before = await docs.findOneAndUpdate(filter, update, { session, returnDocument: 'before' });
+        if (!before) return null;
+        const after = await docs.findOne({ _id: before._id }, { session });
+        await recordChange(db, collection, before, after, audit);
+        return returnDocument === 'before' ? before : after;
+    }
+
+    const fields = updatedFields(update);
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt += 1) {
+        const before = await docs.findOne(filter);
+        if (!before) return null;
+        const after = await docs.findOneAndUpdate(
+            { $and: [filter, { _id: before._id }, unchangedSince(before, fields)] },
+            update,
+            { returnDocument: 'after' }
+        );
+        if (!after) continue;
+        // _id and parking_id place the entry; they never change
+        const logged = ['_id', 'parking_id', ...fields];
+        await recordChange(db, collection, pick(before, logged), pick(after, logged), audit);
+        return returnDocument === 'before' ? before : after;
+    }
+    throw new Error(`${ENTITIES[collection]} kept changing while it was being updated`);
+}
+
+// Apply the same update to each matching document in turn. Returns the
+// updated documents.
+async function updateManyAudited(db, collection, filter, update, audit) {
+    const matching = await db.collection(collection).find(filter, { session: audit.session, projection: { _id: 1 } }).toArray();
+    const updated = [];
+    for (const { _id } of matching) {
+        const doc = await updateAudited(db, collection, { $and: [filter, { _id }] }, update, audit);
+        if (doc) updated.push(doc);
+    }
+    return updated;
+}
+
+async function insertAudited(db, collection, docs, audit) {
+    const list = Array.isArray(docs) ? docs : [docs];
+    if (list.length === 0) return [];
+    await db.collection(collection).insertMany(list, { session: audit.session });
+    for (const doc of list) {
+        await recordChange(db, collection, null, doc, audit);
+    }
+    return list.map(doc => doc._id);
+}
+
+// Delete the matching documents; returns how many were deleted
+async function deleteAudited(db, collection, filter, audit) {
+    const docs = await db.collection(collection).find(filter, { session: audit.session }).toArray();
+    if (docs.length === 0) return 0;
+    const result = await db.collection(collection).deleteMany(
+        { _id: { $in: docs.map(doc => doc._id) } },
+        { session: audit.session }
+    );
+    for (const doc of docs) {
+        await recordChange(db, collection, doc, null, audit);
+    }
+    return result.deletedCount;
+}
+
+module.exports = {
+    ENTITIES,
+    accountActor,
+    systemActor,
+    ensureAuditIndexes,
+    updateAudited,
+    updateManyAudited,
+    insertAudited,
+    deleteAudited,
+};
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const { AppError, asyncHandler } = require('./errors');
+
+const BCRYPT_ROUNDS = 10;
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL = '7d';
+
+// Tokens signed with a random fallback secret stop working on restart,
+// so JWT_SECRET must be set anywhere other than a developer machine.
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+    console.warn("JWT_SECRET is not set; using a random secret for this process");
+    jwtSecret = crypto.randomBytes(32).toString('hex');
+}
+
+// bcrypt embeds a per-password salt in the hash it returns
+function hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+function verifyPassword(password, hash) {
+    return bcrypt.compare(password, hash);
+}
+
+// Issue an access/refresh token pair for an account. The refresh token
+// carries the account's token_version so that logout can revoke it.
+function issueTokens(account, role) {
+    const subject = account._id.toString();
+    const accessToken = jwt.sign(
+        { role, phone: account.phone, type: 'access' },
+        jwtSecret,
+        { subject, expiresIn: ACCESS_TOKEN_TTL }
+    );
+    const refreshToken = jwt.sign(
+        { role, type: 'refresh', tv: account.token_version || 0 },
+        jwtSecret,
+        { subject, expiresIn: REFRESH_TOKEN_TTL }
+    );
+    return {
+        access_token: accessToken,
+        refresh_token: refreshToken,
+        token_type: 'Bearer',
+        expires_in: 15 * 60,
+    };
+}
+
+// Returns the decoded payload, or null if the token is invalid, expired,
+// of the wrong type or issued for another role.
+function verifyToken(token, type, role) {
+    try {
+        const payload = jwt.verify(token, jwtSecret);
+        if (payload.type !== type || payload.role !== role) return null;
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Other signed tokens, such as parking tickets, share the secret. Their
+// type keeps them from passing as access or refresh tokens and vice versa.
+function signToken(type, payload, options = {}) {
+    return jwt.sign({ ...payload, type }, jwtSecret, options);
+}
+
+// The payload of a token of `type` with a valid signature, or null
+function verifySignedToken(token, type) {
+    try {
+        const payload = jwt.verify(token, jwtSecret);
+        return payload.type === type ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function bearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+// Where the accounts of each role are stored and which request property
+// the authenticated account is exposed on
+const ACCOUNTS = {
+    user: { collection: 'users', property: 'user', projection: {} },
+    owner: { collection: 'register_login', property: 'owner', projection: { password: 0, password_hash: 0 } },
+};
+
+async function findAccount(db, role, id) {
+    const { collection, projection } = ACCOUNTS[role];
+    return ObjectId.isValid(id)
+        ? db.collection(collection).findOne({ _id: new ObjectId(id) }, { projection })
+        : null;
+}
+
+// Middleware that loads the account behind the bearer access token into
+// req.user or req.owner, or fails with 401
+function requireAccount(db, role) {
+    return asyncHandler(async (req, res, next) => {
+        const token = bearerToken(req);
+        const payload = token && verifyToken(token, 'access', role);
+        const account = payload && await findAccount(db, role, payload.sub);
+        if (!account) {
+            throw new AppError(401, 'UNAUTHENTICATED', "Authentication required");
+        }
+        req[ACCOUNTS[role].property] = account;
+        next();
+    });
+}
+
+// The account a refresh token was issued to, provided it has not been
+// revoked by a logout since; fails with 401 otherwise
+async function accountForRefreshToken(db, refreshToken, role) {
+    const payload = verifyToken(refreshToken, 'refresh', role);
+    const account = payload && await findAccount(db, role, payload.sub);
+    if (!account || (account.token_version || 0) !== payload.tv) {
+        throw new AppError(401, 'INVALID_REFRESH_TOKEN', "Invalid or expired refresh token");
+    }
+    return account;
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    issueTokens,
+    verifyToken,
+    signToken,
+    verifySignedToken,
+    bearerToken,
+    requireAccount,
+    accountForRefreshToken,
+};
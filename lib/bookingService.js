@@ -0,0 +1,203 @@
+const { ObjectId } = require('mongodb');
+const {
+    createBooking,
+    checkInReservation,
+    completeBooking,
+    cancelBooking,
+    modifyBooking,
+    expireNoShowReservations,
+} = require('./bookings');
+const { AppError } = require('./errors');
+const { findFreeSlots } = require('./slots');
+const { findUserVehicle } = require('./vehicles');
+const { issueTicket, revokeTickets, useTickets, refreshTicketExpiry, presentTicket } = require('./tickets');
+
+// Matching slots tried in turn when another booking takes the first one first
+const SLOT_REQUEST_ATTEMPTS = 3;
+
+// The booking lifecycle as the user and owner apps see it: each step runs
+// its transaction from lib/bookings, stores any snapshot taken at the gate,
+// notifies live subscribers and returns the response body. Slots freed by
+// completing, cancelling or moving a booking are offered to the waitlist.
+// `actor` is the account making the change, as recorded in the audit log.
+// New bookings come with a signed ticket from lib/tickets, which later steps
+// mark used or revoked.
+//
+// A booking names its slot, or asks for the first free one on a floor, zone
+// or with attributes from the slot layout (see lib/slots).
+function createBookingService({ store, live, uploads, waitlist }) {
+    const { db } = store;
+
+    // Ticket bookkeeping runs after the booking change has succeeded, which
+    // stands even if this fails; lib/tickets also checks the booking status
+    function updateTickets(step, promise) {
+        return promise.catch((error) => {
+            console.error(`Error updating tickets after ${step}:`, error);
+            return null;
+        });
+    }
+
+    // Book the first free slot of the vehicle's type matching slotRequest
+    // ({ floor, zone, attributes }) for the booking's time window
+    async function bookRequestedSlot({ slotRequest, ...request }) {
+        const { parkingId, vehicleId, phone, entryTime, startTime, endTime } = request;
+        const vehicleType = request.vehicleType
+            || (vehicleId && (await findUserVehicle(db, phone, new ObjectId(vehicleId))).vehicle_type);
+        if (!vehicleType) {
+            throw new AppError(422, 'VEHICLE_TYPE_REQUIRED', "Pass vehicle_type or vehicle_id to request a slot");
+        }
+        const slots = await findFreeSlots(db, new ObjectId(parkingId), {
+            vehicleType,
+            layout: slotRequest,
+            start: new Date(startTime || entryTime || Date.now()),
+            end: endTime ? new Date(endTime) : null,
+            limit: SLOT_REQUEST_ATTEMPTS,
+        });
+        for (const slot of slots) {
+            try {
+                return await createBooking(store, { ...request, vehicleType, slotId: slot._id });
+            } catch (error) {
+                if (!['SLOT_ALREADY_BOOKED', 'SLOT_UNAVAILABLE'].includes(error.code)) throw error;
+            }
+        }
+        throw new AppError(409, 'NO_MATCHING_SLOT', `No free ${vehicleType} slot matches the request`);
+    }
+
+    async function book({ parkingId, slotId, slotRequest, vehicleType, vehicleId, numberPlate, entryTime, startTime, endTime, phone, waitlistId, walkIn, entryImage, actor }) {
+        const request = {
+            parkingId,
+            vehicleType,
+            vehicleId,
+            numberPlate,
+            entryTime,
+            startTime,
+            endTime,
+            phone,
+            waitlistId,
+            walkIn,
+            actor,
+        };
+        const { booking, slot } = slotRequest
+            ? await bookRequestedSlot({ ...request, slotRequest })
+            : await createBooking(store, { ...request, slotId });
+        const snapshot = booking.status === "active"
+            ? await uploads.attachSnapshotIfPresent(booking._id, 'entry', entryImage, actor)
+            : null;
+        live.publishAreaChange(booking.parking_id, { slotIds: [slot._id], booking, change: 'created' });
+        const ticket = await updateTickets('booking', issueTicket(db, booking).then(presentTicket));
+        return {
+            message: booking.status === "reserved" ? "Slot reserved" : "Slot booked",
+            booking_id: booking._id,
+            slot_number: slot.slot_number,
+            slot_label: slot.label || null,
+            floor: slot.floor || null,
+            zone: slot.zone || null,
+            status: booking.status,
+            vehicle_id: booking.vehicle_id,
+            number_plate: booking.number_plate,
+            pass_id: booking.pass_id || null,
+            start_time: booking.start_time,
+            end_time: booking.end_time,
+            entry_image: snapshot,
+            ticket,
+        };
+    }
+
+    async function checkIn({ parkingId, bookingId, entryTime, entryImage, actor }) {
+        const { booking, slot } = await checkInReservation(store, { parkingId, bookingId, entryTime, actor });
+        const snapshot = await uploads.attachSnapshotIfPresent(booking._id, 'entry', entryImage, actor);
+        live.publishAreaChange(booking.parking_id, { slotIds: [slot._id], booking, change: 'checked_in' });
+        await updateTickets('checking in', refreshTicketExpiry(db, booking));
+        return {
+            message: "Vehicle checked in",
+            booking_id: booking._id,
+            slot_number: slot.slot_number,
+            entry_image: snapshot,
+        };
+    }
+
+    async function complete({ parkingId, slotId, exitTime, exitImage, actor }) {
+        const { booking, fee } = await completeBooking(store, { parkingId, slotId, exitTime, actor });
+        const snapshot = await uploads.attachSnapshotIfPresent(booking._id, 'exit', exitImage, actor);
+        live.publishAreaChange(booking.parking_id, { slotIds: [booking.slot_id], booking, change: 'completed' });
+        await updateTickets('completing', useTickets(db, booking._id));
+        await waitlist.offerFreedSlot(booking.parking_id, booking.vehicle_type, booking.slot_id);
+        return {
+            message: "Booking completed and slot freed",
+            booking_id: booking._id,
+            amount: booking.amount,
+            currency: booking.currency,
+            duration_minutes: fee ? fee.duration_minutes : null,
+            breakdown: booking.fee_breakdown,
+            exit_image: snapshot,
+        };
+    }
+
+    async function cancel({ bookingId, phone, reason, actor }) {
+        const { booking, fee, releasedSlot } = await cancelBooking(store, { bookingId, phone, reason, actor });
+        live.publishAreaChange(booking.parking_id, { slotIds: [booking.slot_id], booking, change: 'cancelled' });
+        await updateTickets('cancelling', revokeTickets(db, booking._id, 'cancelled'));
+        if (releasedSlot) {
+            await waitlist.offerFreedSlot(booking.parking_id, booking.vehicle_type, booking.slot_id);
+        }
+        return {
+            message: "Booking cancelled",
+            booking_id: booking._id,
+            status: booking.status,
+            cancellation_fee: fee ? fee.amount : 0,
+            currency: fee ? fee.currency : null,
+        };
+    }
+
+    async function modify({ bookingId, phone, slotId, startTime, endTime, actor }) {
+        const { booking, slot, previousSlotId } = await modifyBooking(store, { bookingId, phone, slotId, startTime, endTime, actor });
+        live.publishAreaChange(booking.parking_id, {
+            slotIds: slot._id.equals(previousSlotId) ? [slot._id] : [previousSlotId, slot._id],
+            booking,
+            change: 'modified',
+        });
+        await updateTickets('modifying', refreshTicketExpiry(db, booking));
+        if (booking.status === "active" && !slot._id.equals(previousSlotId)) {
+            await waitlist.offerFreedSlot(booking.parking_id, booking.vehicle_type, previousSlotId);
+        }
+        return {
+            message: "Booking updated",
+            booking_id: booking._id,
+            slot_number: slot.slot_number,
+            status: booking.status,
+            start_time: booking.start_time,
+            end_time: booking.end_time,
+        };
+    }
+
+    // Book the slot held for a user's waitlist entry
+    async function claimHold({ waitlistId, phone, actor }) {
+        const entry = await waitlist.findOffer(waitlistId, phone);
+        return book({
+            parkingId: entry.parking_id,
+            slotId: entry.hold.slot_id,
+            vehicleId: entry.vehicle_id,
+            phone,
+            waitlistId: entry._id,
+            actor,
+        });
+    }
+
+    // Expire no-show reservations and tell subscribers their slots are free
+    async function expireNoShows(now = new Date()) {
+        const expired = await expireNoShowReservations(db, now);
+        for (const booking of expired) {
+            await live.publishAreaChange(booking.parking_id, {
+                slotIds: [booking.slot_id],
+                booking: { ...booking, status: "expired" },
+                change: 'expired',
+            });
+            await updateTickets('expiring', revokeTickets(db, booking._id, 'expired'));
+        }
+        return expired;
+    }
+
+    return { book, checkIn, complete, cancel, modify, claimHold, expireNoShows };
+}
+
+module.exports = { createBookingService };
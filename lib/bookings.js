@@ -0,0 +1,644 @@
+const { ObjectId } = require('mongodb');
+const { computeFee } = require('./tariff');
+const { AppError } = require('./errors');
+const { normalizePlate, fitsSlot, findUserVehicle, registerPlate } = require('./vehicles');
+const { systemActor, updateAudited, updateManyAudited, insertAudited } = require('./audit');
+const { findPass, passCovers, assertSlotOpenTo, passSessionFee } = require('./passes');
+
+// Raised inside a booking transaction to abort it and answer with `status`
+class BookingError extends AppError {
+    constructor(status, code, message) {
+        super(status, code, message);
+        this.name = 'BookingError';
+    }
+}
+
+function counterUpdate(vehicleType, delta) {
+    return {
+        $inc: {
+            [`available_${vehicleType}_slots`]: -delta,
+            [`booked_${vehicleType}_slots`]: delta,
+        },
+    };
+}
+
+// Slots kept for a pass are out of the available count while free (see
+// lib/passes), so occupying or releasing one only moves the booked count
+function occupancyUpdate(vehicleType, slot, delta) {
+    return slot && slot.reserved_pass
+        ? { $inc: { [`booked_${vehicleType}_slots`]: delta } }
+        : counterUpdate(vehicleType, delta);
+}
+
+function isDuplicateKeyError(error) {
+    return error && error.code === 11000;
+}
+
+// One active booking per slot is enforced by the database as well, so a
+// slot can never end up with two active bookings even outside this module.
+async function ensureBookingIndexes(db) {
+    await db.collection('bookings').createIndex(
+        { slot_id: 1 },
+        { name: 'one_active_booking_per_slot', unique: true, partialFilterExpression: { status: "active" } }
+    );
+    await db.collection('bookings').createIndex({ slot_id: 1, status: 1, start_time: 1 });
+    // Gate lookups by plate, see lib/gate
+    await db.collection('bookings').createIndex({ parking_id: 1, plate_key: 1, status: 1 });
+}
+
+// Give reserved and active bookings made before plate keys were stored one,
+// so the gate can find them
+async function migratePlateKeys(db) {
+    const bookings = await db.collection('bookings').find(
+        { status: { $in: ["reserved", "active"] }, plate_key: { $exists: false }, number_plate: { $nin: [null, ''] } },
+        { projection: { number_plate: 1 } }
+    ).toArray();
+    for (const booking of bookings) {
+        await db.collection('bookings').updateOne(
+            { _id: booking._id },
+            { $set: { plate_key: normalizePlate(booking.number_plate) } }
+        );
+    }
+    return bookings.length;
+}
+
+// Reservations further ahead than this are held as "reserved" bookings
+// instead of occupying the slot straight away.
+const RESERVATION_LEAD_MS = 5 * 60 * 1000;
+// How early before its window a reservation may be checked in
+const EARLY_CHECK_IN_MS = 15 * 60 * 1000;
+const DEFAULT_NO_SHOW_GRACE_MINUTES = Number(process.env.NO_SHOW_GRACE_MINUTES) || 15;
+
+// Filter for bookings that occupy a slot at some point in [start, end).
+// Active bookings without an end_time hold the slot until completed.
+function overlapFilter(start, end) {
+    return {
+        $or: [
+            { status: "active", $or: [{ end_time: null }, { end_time: { $gt: start } }] },
+            { status: "reserved", start_time: { $lt: end }, end_time: { $gt: start } },
+        ],
+    };
+}
+
+// End of the window a session starting at `now` without an end must find
+// free: reservations that may already be checked in by then block it, later
+// ones only bound it (see nextReservationStart).
+function openSessionEnd(now) {
+    return new Date(now.getTime() + EARLY_CHECK_IN_MS);
+}
+
+// Start of the first reservation of a slot from `after` on, or null. An
+// open-ended session takes it as its end_time, so the slot is vacated for
+// the reservation and later bookings see when the session ends.
+async function nextReservationStart(db, session, slotId, after, excludeId = null) {
+    const [next] = await db.collection('bookings')
+        .find(
+            { slot_id: slotId, status: "reserved", start_time: { $gte: after }, ...(excludeId && { _id: { $ne: excludeId } }) },
+            { session, projection: { start_time: 1 } }
+        )
+        .sort({ start_time: 1 })
+        .limit(1)
+        .toArray();
+    return next ? next.start_time : null;
+}
+
+// excludeId leaves out a booking being moved, which may overlap itself
+async function assertNoOverlap(db, session, slotId, start, end, excludeId = null) {
+    const clash = await db.collection('bookings').findOne(
+        { slot_id: slotId, ...(excludeId && { _id: { $ne: excludeId } }), ...overlapFilter(start, end) },
+        { session, projection: { _id: 1 } }
+    );
+    if (clash) {
+        throw new BookingError(409, 'SLOT_UNAVAILABLE', "Slot is already booked for the requested time");
+    }
+}
+
+// Create a booking for a slot. A booking starting now claims the slot with
+// a conditional update and becomes "active"; one starting later becomes
+// "reserved" and only blocks its time window. Either way the slot document
+// is written first, so concurrent bookings for the same slot conflict and
+// are serialized by the transaction before the overlap check runs. A
+// booking starting now without an end may still be made ahead of a later
+// reservation of the slot, and ends when that reservation starts.
+//
+// Bookings for a user reference one of their registered vehicles, given as
+// vehicleId; a bare numberPlate is registered as a vehicle of the slot's
+// type first. Passing waitlistId claims a slot held for that waitlist entry
+// by lib/waitlist, which is the only way to book a held slot. Walk-ins
+// started at the gate by lib/gate are marked with walkIn. A booking for a
+// vehicle with a pass covering its start is marked with the pass, and only
+// the pass holder may book a slot reserved for their pass.
+//
+// Like every function here that changes bookings, slots or counters, it
+// logs the changes to lib/audit on behalf of `actor`.
+async function createBooking(store, { parkingId, slotId, vehicleType, vehicleId, numberPlate, entryTime, startTime, endTime, phone, waitlistId, walkIn, actor }) {
+    parkingId = new ObjectId(parkingId);
+    slotId = new ObjectId(slotId);
+    const now = new Date();
+    const start = startTime ? new Date(startTime) : (entryTime ? new Date(entryTime) : now);
+    const end = endTime ? new Date(endTime) : null;
+    if (isNaN(start) || (end && isNaN(end))) {
+        throw new BookingError(400, 'INVALID_TIME_RANGE', "Invalid start or end time");
+    }
+    if (end && end <= start) {
+        throw new BookingError(400, 'INVALID_TIME_RANGE', "End time must be after start time");
+    }
+    const isReservation = start - now > RESERVATION_LEAD_MS;
+    if (isReservation && !end) {
+        throw new BookingError(422, 'END_TIME_REQUIRED', "Reservations need an end time");
+    }
+
+    const { db } = store;
+
+    try {
+        return await store.withTransaction(async (session) => {
+            const audit = { session, actor, action: waitlistId ? 'waitlist.claim' : 'booking.create' };
+            const slotFilter = { _id: slotId, parking_id: parkingId };
+            if (waitlistId) {
+                Object.assign(slotFilter, { status: "held", 'hold.waitlist_id': waitlistId, 'hold.expires_at': { $gt: now } });
+            } else if (!isReservation) {
+                slotFilter.status = "available";
+            }
+            let slotUpdate = { $set: { status: "booked" } };
+            if (isReservation) slotUpdate = { $inc: { reservation_version: 1 } };
+            if (waitlistId) slotUpdate = { $set: { status: "booked" }, $unset: { hold: "" } };
+            const slot = await updateAudited(db, 'slots', slotFilter, slotUpdate, audit);
+            if (!slot && waitlistId) {
+                throw new BookingError(409, 'HOLD_EXPIRED', "The hold on this slot has expired");
+            }
+            if (!slot) {
+                const exists = await db.collection('slots').countDocuments(
+                    { _id: slotId, parking_id: parkingId },
+                    { session }
+                );
+                throw exists
+                    ? new BookingError(409, 'SLOT_ALREADY_BOOKED', "Slot already booked")
+                    : new BookingError(404, 'SLOT_NOT_FOUND', "Slot not found");
+            }
+            if (vehicleType && vehicleType.toLowerCase() !== slot.vehicle_type) {
+                throw new BookingError(422, 'VEHICLE_TYPE_MISMATCH', `Slot is reserved for ${slot.vehicle_type}s`);
+            }
+            let vehicle = null;
+            if (vehicleId) {
+                vehicle = await findUserVehicle(db, phone, new ObjectId(vehicleId), { session });
+            } else if (phone) {
+                vehicle = await registerPlate(db, phone, numberPlate, slot.vehicle_type, { session });
+            }
+            if (vehicle && !fitsSlot(vehicle, slot.vehicle_type)) {
+                throw new BookingError(422, 'VEHICLE_TYPE_MISMATCH', `Slot is reserved for ${slot.vehicle_type}s`);
+            }
+            const plate = vehicle ? vehicle.number_plate : numberPlate;
+            const plateKey = plate ? normalizePlate(plate) : null;
+            const pass = await findPass(db, { parkingId, plateKey, vehicleType: slot.vehicle_type, at: start }, { session });
+            assertSlotOpenTo(slot, pass);
+            await assertNoOverlap(db, session, slotId, isReservation ? start : now, end || openSessionEnd(now));
+            const leaveBy = end ? null : await nextReservationStart(db, session, slotId, now);
+
+            const booking = {
+                parking_id: parkingId,
+                slot_id: slotId,
+                vehicle_type: slot.vehicle_type,
+                vehicle_id: vehicle ? vehicle._id : null,
+                number_plate: plate,
+                plate_key: plateKey,
+                ...(walkIn && { walk_in: true }),
+                ...(pass && passCovers(pass, start) && { pass_id: pass._id }),
+                phone,
+                start_time: start,
+                end_time: end || leaveBy,
+                entry_time: isReservation ? null : start,
+                status: isReservation ? "reserved" : "active",
+                createdAt: now,
+            };
+            const [bookingId] = await insertAudited(db, 'bookings', booking, audit);
+
+            if (!isReservation) {
+                await updateAudited(db, 'slots',
+                    { _id: slotId },
+                    { $set: { current_booking_id: bookingId } },
+                    audit
+                );
+                // A held slot was already taken out of the available count
+                await updateAudited(db, 'parking_areas',
+                    { _id: parkingId },
+                    waitlistId
+                        ? { $inc: { [`booked_${slot.vehicle_type}_slots`]: 1 } }
+                        : occupancyUpdate(slot.vehicle_type, slot, 1),
+                    audit
+                );
+            }
+            if (waitlistId) {
+                await db.collection('waitlist').updateOne(
+                    { _id: waitlistId },
+                    { $set: { status: "claimed", open: false, booking_id: bookingId, closedAt: now } },
+                    { session }
+                );
+            }
+
+            return { booking, slot };
+        });
+    } catch (error) {
+        if (isDuplicateKeyError(error)) {
+            throw new BookingError(409, 'SLOT_ALREADY_BOOKED', "Slot already booked");
+        }
+        throw error;
+    }
+}
+
+// Turn a reservation into an active booking when the vehicle arrives
+async function checkInReservation(store, { parkingId, bookingId, entryTime, actor }) {
+    parkingId = new ObjectId(parkingId);
+    bookingId = new ObjectId(bookingId);
+    const entry = entryTime ? new Date(entryTime) : new Date();
+    const { db } = store;
+
+    try {
+        return await store.withTransaction(async (session) => {
+            const audit = { session, actor, action: 'booking.check_in' };
+            const reservation = await db.collection('bookings').findOne(
+                { _id: bookingId, parking_id: parkingId },
+                { session }
+            );
+            if (!reservation) {
+                throw new BookingError(404, 'BOOKING_NOT_FOUND', "Booking not found");
+            }
+            if (reservation.status !== "reserved") {
+                throw new BookingError(409, 'BOOKING_NOT_RESERVED', `Booking is ${reservation.status}`);
+            }
+            if (entry < reservation.start_time - EARLY_CHECK_IN_MS) {
+                throw new BookingError(409, 'RESERVATION_NOT_STARTED', "Reservation window has not started yet");
+            }
+
+            const slot = await updateAudited(db, 'slots',
+                { _id: reservation.slot_id, status: "available" },
+                { $set: { status: "booked", current_booking_id: bookingId } },
+                audit
+            );
+            if (!slot) {
+                throw new BookingError(409, 'SLOT_OCCUPIED', "Slot is still occupied");
+            }
+
+            const booking = await updateAudited(db, 'bookings',
+                { _id: bookingId, status: "reserved" },
+                { $set: { status: "active", entry_time: entry, updatedAt: new Date() } },
+                audit
+            );
+            if (!booking) {
+                throw new BookingError(409, 'BOOKING_NOT_RESERVED', "Booking is no longer reserved");
+            }
+            await updateAudited(db, 'parking_areas',
+                { _id: parkingId },
+                occupancyUpdate(booking.vehicle_type, slot, 1),
+                audit
+            );
+
+            return { booking, slot };
+        });
+    } catch (error) {
+        if (isDuplicateKeyError(error)) {
+            throw new BookingError(409, 'SLOT_OCCUPIED', "Slot is still occupied");
+        }
+        throw error;
+    }
+}
+
+// Expire reservations whose holder has not arrived within the grace period
+// after the window started. Reservations never claim the slot document, so
+// expiring them is enough to release their window for other bookings.
+// Returns the expired bookings.
+async function expireNoShowReservations(db, now = new Date()) {
+    const parkingIds = await db.collection('bookings').distinct('parking_id', {
+        status: "reserved",
+        start_time: { $lt: now },
+    });
+    if (parkingIds.length === 0) return [];
+
+    const areas = await db.collection('parking_areas')
+        .find({ _id: { $in: parkingIds } }, { projection: { no_show_grace_minutes: 1 } })
+        .toArray();
+    const graceById = new Map(areas.map(area => [area._id.toString(), area.no_show_grace_minutes]));
+
+    const expired = [];
+    for (const parkingId of parkingIds) {
+        const grace = graceById.get(parkingId.toString()) ?? DEFAULT_NO_SHOW_GRACE_MINUTES;
+        const due = await db.collection('bookings').find(
+            {
+                parking_id: parkingId,
+                status: "reserved",
+                start_time: { $lt: new Date(now.getTime() - grace * 60 * 1000) },
+            },
+            { projection: { parking_id: 1, slot_id: 1, phone: 1 } }
+        ).toArray();
+        if (due.length === 0) continue;
+        // A reservation checked in since the find above keeps its status
+        const updated = await updateManyAudited(db, 'bookings',
+            { _id: { $in: due.map(booking => booking._id) }, status: "reserved" },
+            { $set: { status: "expired", expired_at: now, updatedAt: now } },
+            { actor: systemActor('no_show_sweep'), action: 'booking.expire' }
+        );
+        const expiredIds = new Set(updated.map(booking => booking._id.toString()));
+        expired.push(...due.filter(booking => expiredIds.has(booking._id.toString())));
+    }
+    return expired;
+}
+
+// The parking fee for an active booking's stay until `exit`, from the area's
+// tariff for its vehicle type or its pass. Null when no tariff is set.
+// `session` may be undefined outside a transaction.
+async function sessionFee(db, session, booking, exit) {
+    const parkingArea = await db.collection('parking_areas').findOne(
+        { _id: booking.parking_id },
+        { session, projection: { tariffs: 1 } }
+    );
+    const tariff = parkingArea && parkingArea.tariffs && parkingArea.tariffs[booking.vehicle_type];
+    const pass = booking.pass_id && await db.collection('passes').findOne({ _id: booking.pass_id }, { session });
+    if (pass) return passSessionFee(pass, tariff, booking.entry_time, exit);
+    return tariff ? computeFee(tariff, booking.entry_time, exit) : null;
+}
+
+// Complete the active booking on a slot and release the slot. Only one
+// caller can move the booking out of "active", so a slot is freed and
+// its counters restored exactly once. The fee is computed here from the
+// parking area's tariff for the vehicle type; it is null when the owner
+// has not configured one. Sessions covered by a pass are only charged for
+// any time past the pass's expiry.
+async function completeBooking(store, { parkingId, slotId, exitTime, actor }) {
+    parkingId = new ObjectId(parkingId);
+    slotId = new ObjectId(slotId);
+    const exit = exitTime ? new Date(exitTime) : new Date();
+    if (isNaN(exit)) {
+        throw new BookingError(400, 'INVALID_TIME_RANGE', "Invalid exit time");
+    }
+    const { db } = store;
+
+    return store.withTransaction(async (session) => {
+        const audit = { session, actor, action: 'booking.complete' };
+        const active = await db.collection('bookings').findOne(
+            { slot_id: slotId, parking_id: parkingId, status: "active" },
+            { session }
+        );
+        if (!active) {
+            throw new BookingError(409, 'NO_ACTIVE_BOOKING', "No active booking found for this slot");
+        }
+        if (exit < active.entry_time) {
+            throw new BookingError(422, 'INVALID_TIME_RANGE', "Exit time is before entry time");
+        }
+        const fee = await sessionFee(db, session, active, exit);
+
+        const booking = await updateAudited(db, 'bookings',
+            { _id: active._id, status: "active" },
+            {
+                $set: {
+                    status: "completed",
+                    exit_time: exit,
+                    amount: fee ? fee.amount : null,
+                    currency: fee ? fee.currency : null,
+                    fee_breakdown: fee ? fee.breakdown : [],
+                    updatedAt: new Date(),
+                },
+            },
+            audit
+        );
+        if (!booking) {
+            throw new BookingError(409, 'NO_ACTIVE_BOOKING', "No active booking found for this slot");
+        }
+
+        const slot = await updateAudited(db, 'slots',
+            { _id: slotId, current_booking_id: booking._id },
+            { $set: { status: "available", current_booking_id: null } },
+            audit
+        );
+        await updateAudited(db, 'parking_areas',
+            { _id: parkingId },
+            occupancyUpdate(booking.vehicle_type, slot, -1),
+            audit
+        );
+
+        return { booking, fee };
+    });
+}
+
+// Fee for cancelling a reservation at `now` under a parking area's
+// cancellation policy: free until free_cancellation_minutes before the
+// booking starts, then the policy's fee. Areas without a policy never
+// charge.
+function cancellationFee(policy, booking, now) {
+    if (!policy || !(policy.fee > 0)) return null;
+    const freeUntil = booking.start_time.getTime() - policy.free_cancellation_minutes * 60 * 1000;
+    if (now.getTime() < freeUntil) return null;
+    return { amount: policy.fee, currency: policy.currency };
+}
+
+async function findUserBooking(db, session, bookingId, phone) {
+    const booking = await db.collection('bookings').findOne({ _id: bookingId, phone }, { session });
+    if (!booking) {
+        throw new BookingError(404, 'BOOKING_NOT_FOUND', "Booking not found");
+    }
+    return booking;
+}
+
+async function findCancellationPolicy(db, session, parkingId) {
+    const parkingArea = await db.collection('parking_areas').findOne(
+        { _id: parkingId },
+        { session, projection: { cancellation_policy: 1 } }
+    );
+    return parkingArea && parkingArea.cancellation_policy;
+}
+
+// Cancel a user's reserved or active booking. A reservation only gives up
+// its window and may owe the fee of the area's cancellation policy. An
+// active booking has been parked since its entry time, so it pays the
+// tariff for that stay as if it were completed now, and releases its slot
+// and the area counters. The fee is recorded as the booking's amount, so it
+// can be paid like a completed booking.
+async function cancelBooking(store, { bookingId, phone, reason = null, actor }) {
+    bookingId = new ObjectId(bookingId);
+    const now = new Date();
+    const { db } = store;
+
+    return store.withTransaction(async (session) => {
+        const audit = { session, actor, action: 'booking.cancel' };
+        const existing = await findUserBooking(db, session, bookingId, phone);
+        if (!["reserved", "active"].includes(existing.status)) {
+            throw new BookingError(409, 'BOOKING_NOT_CANCELLABLE', `Booking is ${existing.status}`);
+        }
+        const fee = existing.status === "active"
+            ? await sessionFee(db, session, existing, now)
+            : cancellationFee(await findCancellationPolicy(db, session, existing.parking_id), existing, now);
+
+        const booking = await updateAudited(db, 'bookings',
+            { _id: bookingId, status: existing.status },
+            {
+                $set: {
+                    status: "cancelled",
+                    cancelled_at: now,
+                    cancelled_by: "user",
+                    cancellation_reason: reason,
+                    ...(existing.status === "active" && { exit_time: now, fee_breakdown: fee ? fee.breakdown : [] }),
+                    amount: fee ? fee.amount : null,
+                    currency: fee ? fee.currency : null,
+                    updatedAt: now,
+                },
+            },
+            audit
+        );
+        if (!booking) {
+            throw new BookingError(409, 'BOOKING_NOT_CANCELLABLE', "Booking changed while cancelling, please retry");
+        }
+
+        if (existing.status === "active") {
+            const slot = await updateAudited(db, 'slots',
+                { _id: existing.slot_id, current_booking_id: bookingId },
+                { $set: { status: "available", current_booking_id: null } },
+                audit
+            );
+            await updateAudited(db, 'parking_areas',
+                { _id: existing.parking_id },
+                occupancyUpdate(existing.vehicle_type, slot, -1),
+                audit
+            );
+        }
+
+        return { booking, fee, releasedSlot: existing.status === "active" };
+    });
+}
+
+// Move a user's booking to another slot of the same parking area and/or
+// change its times. Reservations can change slot and window while they can
+// still be cancelled for free. Active bookings can move to a free slot and
+// change their end time; the vehicle type stays the same, so the counters
+// only change when moving onto or off a slot kept for a pass. The previous
+// slot and times are kept in `modifications`.
+async function modifyBooking(store, { bookingId, phone, slotId, startTime, endTime, actor }) {
+    bookingId = new ObjectId(bookingId);
+    const now = new Date();
+    const { db } = store;
+
+    try {
+        return await store.withTransaction(async (session) => {
+            const audit = { session, actor, action: 'booking.modify' };
+            const existing = await findUserBooking(db, session, bookingId, phone);
+            const isReservation = existing.status === "reserved";
+            if (!isReservation && existing.status !== "active") {
+                throw new BookingError(409, 'BOOKING_NOT_MODIFIABLE', `Booking is ${existing.status}`);
+            }
+            if (startTime && !isReservation) {
+                throw new BookingError(409, 'BOOKING_ALREADY_STARTED', "The start time of an active booking cannot change");
+            }
+            if (isReservation) {
+                const policy = await findCancellationPolicy(db, session, existing.parking_id);
+                if (cancellationFee(policy, existing, now)) {
+                    throw new BookingError(409, 'CHANGE_WINDOW_CLOSED', "Reservations can only be changed while they can be cancelled for free");
+                }
+            }
+
+            const start = startTime ? new Date(startTime) : existing.start_time;
+            let end = endTime ? new Date(endTime) : existing.end_time;
+            if (startTime && start <= now) {
+                throw new BookingError(422, 'INVALID_TIME_RANGE', "Start time must be in the future");
+            }
+            if (end && (end <= start || (endTime && end <= now))) {
+                throw new BookingError(422, 'INVALID_TIME_RANGE', "End time must be after the start time and in the future");
+            }
+
+            const targetSlotId = slotId ? new ObjectId(slotId) : existing.slot_id;
+            const moving = !targetSlotId.equals(existing.slot_id);
+
+            // Write the target slot first so concurrent bookings for it
+            // conflict, as in createBooking
+            const slotFilter = { _id: targetSlotId, parking_id: existing.parking_id };
+            if (moving && !isReservation) slotFilter.status = "available";
+            const slot = await updateAudited(db, 'slots',
+                slotFilter,
+                moving && !isReservation
+                    ? { $set: { status: "booked", current_booking_id: bookingId } }
+                    : { $inc: { reservation_version: 1 } },
+                audit
+            );
+            if (!slot) {
+                const exists = await db.collection('slots').countDocuments(
+                    { _id: targetSlotId, parking_id: existing.parking_id },
+                    { session }
+                );
+                throw exists
+                    ? new BookingError(409, 'SLOT_ALREADY_BOOKED', "Slot already booked")
+                    : new BookingError(404, 'SLOT_NOT_FOUND', "Slot not found");
+            }
+            if (slot.vehicle_type !== existing.vehicle_type) {
+                throw new BookingError(422, 'VEHICLE_TYPE_MISMATCH', `Slot is reserved for ${slot.vehicle_type}s`);
+            }
+            const pass = await findPass(db, {
+                parkingId: existing.parking_id,
+                plateKey: existing.plate_key,
+                vehicleType: existing.vehicle_type,
+                at: start,
+            }, { session });
+            assertSlotOpenTo(slot, pass);
+            // A reservation moved to another day may gain or lose its pass
+            const passId = isReservation
+                ? (pass && passCovers(pass, start) ? pass._id : null)
+                : existing.pass_id || null;
+            await assertNoOverlap(db, session, targetSlotId, isReservation ? start : now, end || openSessionEnd(now), bookingId);
+            if (!end) end = await nextReservationStart(db, session, targetSlotId, now, bookingId);
+
+            const booking = await updateAudited(db, 'bookings',
+                { _id: bookingId, status: existing.status },
+                {
+                    $set: { slot_id: targetSlotId, start_time: start, end_time: end, pass_id: passId, updatedAt: now },
+                    $push: {
+                        modifications: {
+                            at: now,
+                            slot_id: existing.slot_id,
+                            start_time: existing.start_time,
+                            end_time: existing.end_time,
+                        },
+                    },
+                },
+                audit
+            );
+            if (!booking) {
+                throw new BookingError(409, 'BOOKING_NOT_MODIFIABLE', "Booking changed while updating, please retry");
+            }
+
+            if (moving && !isReservation) {
+                const previous = await updateAudited(db, 'slots',
+                    { _id: existing.slot_id, current_booking_id: bookingId },
+                    { $set: { status: "available", current_booking_id: null } },
+                    audit
+                );
+                const freed = (previous && previous.reserved_pass ? 0 : 1) - (slot.reserved_pass ? 0 : 1);
+                if (freed) {
+                    await updateAudited(db, 'parking_areas',
+                        { _id: existing.parking_id },
+                        { $inc: { [`available_${existing.vehicle_type}_slots`]: freed } },
+                        audit
+                    );
+                }
+            }
+
+            return { booking, slot, previousSlotId: existing.slot_id };
+        });
+    } catch (error) {
+        if (isDuplicateKeyError(error)) {
+            throw new BookingError(409, 'SLOT_ALREADY_BOOKED', "Slot already booked");
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    BookingError,
+    RESERVATION_LEAD_MS,
+    EARLY_CHECK_IN_MS,
+    ensureBookingIndexes,
+    migratePlateKeys,
+    overlapFilter,
+    openSessionEnd,
+    sessionFee,
+    createBooking,
+    checkInReservation,
+    completeBooking,
+    cancelBooking,
+    modifyBooking,
+    expireNoShowReservations,
+};
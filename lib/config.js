@@ -0,0 +1,75 @@
+const Joi = require('joi');
+const { gateways, TEST_GATEWAYS } = require('./payments');
+
+// Server settings come from the environment, optionally loaded from a .env
+// file (see .env.example). They are validated once at startup so a missing
+// or mistyped setting stops the server with a clear message instead of
+// failing on the first request.
+const schema = Joi.object({
+    NODE_ENV: Joi.string().valid('development', 'test', 'production').default('development'),
+    HOST: Joi.string().hostname().default('0.0.0.0'),
+    PORT: Joi.number().port().default(3000),
+
+    MONGODB_URI: Joi.string().uri({ scheme: ['mongodb', 'mongodb+srv'] }).required(),
+    MONGODB_DB_NAME: Joi.string().pattern(/^[^/\\. "$]{1,63}$/).default('ParkingSystem'),
+    DB_CONNECT_ATTEMPTS: Joi.number().integer().min(1).default(10),
+    DB_RETRY_BASE_MS: Joi.number().integer().min(1).default(500),
+    DB_RETRY_MAX_MS: Joi.number().integer().min(Joi.ref('DB_RETRY_BASE_MS')).default(30 * 1000),
+
+    // Comma-separated list of allowed origins, or * for any
+    CORS_ORIGINS: Joi.string().default('*'),
+    SHUTDOWN_TIMEOUT_MS: Joi.number().integer().min(0).default(10 * 1000),
+    NO_SHOW_SWEEP_INTERVAL_MS: Joi.number().integer().min(1000).default(60 * 1000),
+    WAITLIST_SWEEP_INTERVAL_MS: Joi.number().integer().min(1000).default(30 * 1000),
+    PASS_SWEEP_INTERVAL_MS: Joi.number().integer().min(1000).default(5 * 60 * 1000),
+
+    // Read by lib/auth; tokens would not survive a restart without it
+    JWT_SECRET: Joi.string().min(16).when('NODE_ENV', { is: 'production', then: Joi.required() }),
+
+    // Read by lib/payments. Test gateways let users settle their own payments,
+    // so production has to name a real one.
+    PAYMENT_GATEWAY: Joi.string()
+        .when('NODE_ENV', {
+            is: 'production',
+            then: Joi.required().invalid(...TEST_GATEWAYS),
+            otherwise: Joi.any().default('mock'),
+        })
+        .custom(name => {
+            if (!gateways[name]) throw new Error('is not a known payment gateway');
+            return name;
+        })
+        .messages({ 'any.invalid': "{{#label}} cannot be a test gateway in production" }),
+    MOCK_PAYMENT_SECRET: Joi.string().min(16),
+}).unknown(true);
+
+function parseOrigins(value) {
+    const origins = value.split(',').map(origin => origin.trim()).filter(Boolean);
+    return origins.includes('*') ? '*' : origins;
+}
+
+function loadConfig(env = process.env) {
+    const { error, value } = schema.validate(env, { abortEarly: false, convert: true });
+    if (error) {
+        const problems = error.details.map(detail => `  - ${detail.message}`).join('\n');
+        throw new Error(`Invalid configuration:\n${problems}`);
+    }
+    return {
+        env: value.NODE_ENV,
+        host: value.HOST,
+        port: value.PORT,
+        mongo: {
+            uri: value.MONGODB_URI,
+            dbName: value.MONGODB_DB_NAME,
+            connectAttempts: value.DB_CONNECT_ATTEMPTS,
+            retryBaseMs: value.DB_RETRY_BASE_MS,
+            retryMaxMs: value.DB_RETRY_MAX_MS,
+        },
+        corsOrigins: parseOrigins(value.CORS_ORIGINS),
+        shutdownTimeoutMs: value.SHUTDOWN_TIMEOUT_MS,
+        noShowSweepIntervalMs: value.NO_SHOW_SWEEP_INTERVAL_MS,
+        waitlistSweepIntervalMs: value.WAITLIST_SWEEP_INTERVAL_MS,
+        passSweepIntervalMs: value.PASS_SWEEP_INTERVAL_MS,
+    };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,62 @@
+function escapeCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Render rows of flat objects as CSV, using `columns` (or the keys of the
+// first row) as the header
+function toCsv(rows, columns = rows.length ? Object.keys(rows[0]) : []) {
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCell(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Parse CSV text into rows keyed by the header row. Quoted cells may hold
+// commas, quotes ("") and line breaks; blank lines are skipped. A leading
+// byte order mark, as Excel writes in UTF-8 exports, is dropped.
+function parseCsv(input) {
+    const text = input.startsWith('\uFEFF') ? input.slice(1) : input;
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i += 1;
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || record.length) {
+        record.push(cell);
+        records.push(record);
+    }
+
+    const [header = [], ...rows] = records.filter(cells => cells.some(value => value.trim() !== ''));
+    const columns = header.map(column => column.trim().toLowerCase());
+    return rows.map(cells => Object.fromEntries(columns.map((column, i) => [column, (cells[i] ?? '').trim()])));
+}
+
+module.exports = { toCsv, parseCsv };
@@ -0,0 +1,57 @@
+const multer = require('multer');
+
+// An error that is safe to show to API clients. `code` is a stable,
+// machine-readable identifier; `details` is optional structured context.
+class AppError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = 'AppError';
+        this.status = status;
+        this.code = code;
+        if (details !== undefined) this.details = details;
+    }
+}
+
+// Express 4 does not catch rejected promises from handlers; pass them on
+// to the error handler instead.
+function asyncHandler(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+function notFoundHandler(req, res, next) {
+    next(new AppError(404, 'ROUTE_NOT_FOUND', `Cannot ${req.method} ${req.path}`));
+}
+
+// Every error response has the shape { code, message, details? }.
+// Unexpected errors are logged and reported without their internals.
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    let error = err;
+    if (err instanceof multer.MulterError) {
+        error = new AppError(400, 'INVALID_UPLOAD', err.message, { field: err.field });
+    } else if (err.type === 'entity.parse.failed') {
+        error = new AppError(400, 'INVALID_JSON', "Request body is not valid JSON");
+    } else if (err.type === 'entity.too.large') {
+        error = new AppError(413, 'PAYLOAD_TOO_LARGE', "Request body is too large");
+    } else if (!(err instanceof AppError)) {
+        console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, err);
+        error = new AppError(500, 'INTERNAL_ERROR', "Something went wrong. Please try again.");
+    }
+
+    const body = { code: error.code, message: error.message };
+    if (error.details !== undefined) body.details = error.details;
+    if (error.retryAfter !== undefined) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status).json(body);
+}
+
+module.exports = {
+    AppError,
+    asyncHandler,
+    notFoundHandler,
+    errorHandler,
+};
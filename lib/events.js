@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// In-process pub/sub for parking area updates with a short replay buffer.
+//
+// Event ids look like "<epoch>:<seq>". The epoch changes on every restart,
+// so a resume token from an earlier process is recognised as unusable and
+// the subscriber falls back to a fresh snapshot.
+function createEventHub({ bufferSize = 500 } = {}) {
+    const epoch = crypto.randomBytes(4).toString('hex');
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    const areas = new Map();
+
+    function areaState(parkingId) {
+        const key = parkingId.toString();
+        if (!areas.has(key)) areas.set(key, { seq: 0, buffer: [] });
+        return areas.get(key);
+    }
+
+    // `audience` is "public" for events anyone may see, or "owner" for
+    // events that carry booking details and go only to the owner channel.
+    function publish(parkingId, type, data, audience = 'public') {
+        const state = areaState(parkingId);
+        state.seq += 1;
+        const event = { id: `${epoch}:${state.seq}`, seq: state.seq, type, data, audience, at: new Date() };
+        state.buffer.push(event);
+        if (state.buffer.length > bufferSize) state.buffer.shift();
+        emitter.emit(parkingId.toString(), event);
+        return event;
+    }
+
+    function subscribe(parkingId, listener) {
+        const key = parkingId.toString();
+        emitter.on(key, listener);
+        return () => emitter.off(key, listener);
+    }
+
+    // Events after `lastEventId`, or null when they can no longer be replayed
+    function since(parkingId, lastEventId) {
+        const [tokenEpoch, tokenSeq] = String(lastEventId || '').split(':');
+        const seq = Number(tokenSeq);
+        if (tokenEpoch !== epoch || !Number.isInteger(seq)) return null;
+
+        const state = areaState(parkingId);
+        if (seq > state.seq) return null;
+        const oldest = state.buffer.length ? state.buffer[0].seq : state.seq + 1;
+        if (seq + 1 < oldest) return null;
+        return state.buffer.filter(event => event.seq > seq);
+    }
+
+    function lastEventId(parkingId) {
+        return `${epoch}:${areaState(parkingId).seq}`;
+    }
+
+    return { publish, subscribe, since, lastEventId };
+}
+
+module.exports = { createEventHub };
@@ -0,0 +1,139 @@
+const { AppError } = require('./errors');
+const { EARLY_CHECK_IN_MS } = require('./bookings');
+const { areaVehicleTypes, findFreeSlots } = require('./slots');
+const { normalizePlate } = require('./vehicles');
+const { findPass } = require('./passes');
+
+// Free slots tried in turn when another walk-in takes the first one first
+const WALK_IN_SLOT_ATTEMPTS = 3;
+
+// Entry and exit at the gate of a parking area, where the attendant only
+// knows the number plate. Plates are matched on normalizePlate, so
+// "ka-01 ab 1234" finds a booking made for "KA01AB1234". A vehicle with a
+// reservation is checked in; a pass holder parks in their pass's slot, or
+// the first free slot of its type; any other vehicle starts a walk-in
+// session on the first free slot of its type. All go through the booking
+// service, so slots, counters, live updates and the audit log follow as
+// for bookings made in the apps.
+function createGate({ db, bookingService }) {
+    function findParked(parkingId, plateKey) {
+        return db.collection('bookings').findOne({ parking_id: parkingId, plate_key: plateKey, status: "active" });
+    }
+
+    // Sessions started at the gate have no end time; a slot reserved later
+    // on is still offered, and the session ends when the reservation starts
+    function freeSlots(parkingId, vehicleType, entry) {
+        return findFreeSlots(db, parkingId, { vehicleType, start: entry, limit: WALK_IN_SLOT_ATTEMPTS });
+    }
+
+    // Book the first of `slots` that is still free, or return null
+    async function bookFirstFree(slots, booking) {
+        for (const slot of slots) {
+            try {
+                return await bookingService.book({ ...booking, slotId: slot._id });
+            } catch (error) {
+                if (!['SLOT_ALREADY_BOOKED', 'SLOT_UNAVAILABLE'].includes(error.code)) throw error;
+            }
+        }
+        return null;
+    }
+
+    async function startWalkIn(parkingArea, { numberPlate, vehicleType, entry, entryImage, actor }) {
+        if (!vehicleType) {
+            throw new AppError(422, 'VEHICLE_TYPE_REQUIRED', "No booking found for this plate; pass vehicle_type to start a walk-in session");
+        }
+        if (!areaVehicleTypes(parkingArea).includes(vehicleType)) {
+            throw new AppError(422, 'UNKNOWN_VEHICLE_TYPE', `Parking area has no ${vehicleType} slots`);
+        }
+        const started = await bookFirstFree(await freeSlots(parkingArea._id, vehicleType, entry), {
+            parkingId: parkingArea._id,
+            vehicleType,
+            numberPlate,
+            entryTime: entry,
+            walkIn: true,
+            entryImage,
+            actor,
+        });
+        if (!started) {
+            throw new AppError(409, 'NO_FREE_SLOT', `No free ${vehicleType} slot for a walk-in`);
+        }
+        return { ...started, message: "Walk-in session started", walk_in: true };
+    }
+
+    // Park a pass holder, booked for the pass's vehicle so the session
+    // shows in their app
+    async function enterWithPass(parkingArea, pass, { entry, entryImage, actor }) {
+        const slots = pass.slot_id
+            ? [{ _id: pass.slot_id }]
+            : await freeSlots(parkingArea._id, pass.vehicle_type, entry);
+        const started = await bookFirstFree(slots, {
+            parkingId: parkingArea._id,
+            vehicleId: pass.vehicle_id,
+            phone: pass.phone,
+            entryTime: entry,
+            entryImage,
+            actor,
+        });
+        if (!started) {
+            throw new AppError(409, 'NO_FREE_SLOT', `No free ${pass.vehicle_type} slot for this pass holder`);
+        }
+        return { ...started, message: "Pass holder checked in", number_plate: pass.number_plate, walk_in: false };
+    }
+
+    // Let a vehicle in: check in its reservation if its window has started,
+    // otherwise park it on its pass or start a walk-in session
+    async function enter(parkingArea, { numberPlate, vehicleType, entryTime, entryImage, actor }) {
+        const plateKey = normalizePlate(numberPlate);
+        const entry = entryTime ? new Date(entryTime) : new Date();
+        if (await findParked(parkingArea._id, plateKey)) {
+            throw new AppError(409, 'ALREADY_PARKED', "A vehicle with this plate is already parked here");
+        }
+
+        const [reservation] = await db.collection('bookings')
+            .find({
+                parking_id: parkingArea._id,
+                plate_key: plateKey,
+                status: "reserved",
+                start_time: { $lte: new Date(entry.getTime() + EARLY_CHECK_IN_MS) },
+                end_time: { $gt: entry },
+            })
+            .sort({ start_time: 1 })
+            .limit(1)
+            .toArray();
+        if (reservation) {
+            const checkedIn = await bookingService.checkIn({
+                parkingId: parkingArea._id,
+                bookingId: reservation._id,
+                entryTime: entry,
+                entryImage,
+                actor,
+            });
+            return { ...checkedIn, number_plate: reservation.number_plate, walk_in: false };
+        }
+        const pass = await findPass(db, { parkingId: parkingArea._id, plateKey, at: entry });
+        if (pass) {
+            return enterWithPass(parkingArea, pass, { entry, entryImage, actor });
+        }
+        return startWalkIn(parkingArea, { numberPlate, vehicleType, entry, entryImage, actor });
+    }
+
+    // Let a parked vehicle out, completing its booking or walk-in session
+    async function exit(parkingArea, { numberPlate, exitTime, exitImage, actor }) {
+        const booking = await findParked(parkingArea._id, normalizePlate(numberPlate));
+        if (!booking) {
+            throw new AppError(404, 'VEHICLE_NOT_PARKED', "No vehicle with this plate is parked here");
+        }
+        const completed = await bookingService.complete({
+            parkingId: parkingArea._id,
+            slotId: booking.slot_id,
+            exitTime,
+            exitImage,
+            actor,
+        });
+        return { ...completed, number_plate: booking.number_plate, walk_in: Boolean(booking.walk_in) };
+    }
+
+    return { enter, exit };
+}
+
+module.exports = { createGate };
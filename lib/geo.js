@@ -0,0 +1,79 @@
+// Parking area locations are stored as GeoJSON points so they can be
+// searched through a 2dsphere index. The API keeps exchanging the
+// { lat, lng } shape the apps already use.
+
+function isCoordinate(value, limit) {
+    return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+}
+
+// Returns a GeoJSON point for a { lat, lng } location, or null if it is invalid
+function toGeoPoint(location) {
+    if (!location) return null;
+    const lat = Number(location.lat);
+    const lng = Number(location.lng);
+    if (!isCoordinate(lat, 90) || !isCoordinate(lng, 180)) return null;
+    return { type: 'Point', coordinates: [lng, lat] };
+}
+
+function fromGeoPoint(location) {
+    if (location && location.type === 'Point') {
+        const [lng, lat] = location.coordinates;
+        return { lat, lng };
+    }
+    return location;
+}
+
+function presentParkingArea(area) {
+    return { ...area, location: fromGeoPoint(area.location) };
+}
+
+// Legacy coordinates were saved as sent, so they may be numbers or numeric
+// strings. Only plain decimal strings are accepted: $toDouble rejects
+// anything else, where Number() would quietly read '' as 0.
+const DECIMAL = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+function legacyCoordinate(value) {
+    if (typeof value === 'number') return value;
+    return typeof value === 'string' && DECIMAL.test(value) ? Number(value) : NaN;
+}
+
+// Convert parking areas still holding a { lat, lng } location, turning
+// string coordinates into numbers. Areas whose location cannot be converted
+// are left alone and their ids returned in `skipped`. Safe to run
+// repeatedly: converted documents no longer match the filter.
+async function migrateLegacyLocations(db) {
+    const legacy = { 'location.lat': { $exists: true }, 'location.type': { $exists: false } };
+    const areas = await db.collection('parking_areas').find(legacy, { projection: { location: 1 } }).toArray();
+    const convertible = [];
+    const skipped = [];
+    for (const area of areas) {
+        const point = toGeoPoint({ lat: legacyCoordinate(area.location.lat), lng: legacyCoordinate(area.location.lng) });
+        (point ? convertible : skipped).push(area._id);
+    }
+    if (convertible.length === 0) return { converted: 0, skipped };
+
+    const result = await db.collection('parking_areas').updateMany(
+        { ...legacy, _id: { $in: convertible } },
+        [{
+            $set: {
+                location: {
+                    type: 'Point',
+                    coordinates: [{ $toDouble: '$location.lng' }, { $toDouble: '$location.lat' }],
+                },
+            },
+        }]
+    );
+    return { converted: result.modifiedCount, skipped };
+}
+
+async function ensureGeoIndexes(db) {
+    await db.collection('parking_areas').createIndex({ location: '2dsphere' });
+}
+
+module.exports = {
+    toGeoPoint,
+    fromGeoPoint,
+    presentParkingArea,
+    migrateLegacyLocations,
+    ensureGeoIndexes,
+};
@@ -0,0 +1,151 @@
+const { overlapFilter } = require('./bookings');
+const { AppError } = require('./errors');
+const { layoutFilter } = require('./slots');
+
+// Availability window from ?from=&to= query parameters. Without them the
+// window is the current instant, i.e. the slot's live state.
+function parseTimeRange(query) {
+    if (!query.from && !query.to) {
+        const now = new Date();
+        return { from: now, to: new Date(now.getTime() + 1) };
+    }
+    const from = new Date(query.from || Date.now());
+    const to = query.to ? new Date(query.to) : new Date(from.getTime() + 1);
+    if (isNaN(from) || isNaN(to) || to <= from) {
+        throw new AppError(400, 'INVALID_TIME_RANGE', "from must be before to");
+    }
+    return { from, to };
+}
+
+// The total_/available_/booked_<type>_slots counters of a parking area
+function areaCounters(area) {
+    return Object.fromEntries(
+        Object.entries(area).filter(([key]) => /^(total|available|booked)_\w+_slots$/.test(key))
+    );
+}
+
+function writeServerSentEvent(res, { id, type, data }) {
+    res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Slot state of parking areas and its live stream to the apps, published
+// through an event hub from lib/events
+function createLiveUpdates(db, events) {
+    // Open SSE responses, so they can be ended when the server shuts down
+    const streams = new Set();
+
+    // Slots of a parking area with is_booked computed for a time range
+    async function listSlotsWithStatus(parkingId, { vehicleType, slotIds, layout, range } = {}) {
+        const { from, to } = range || parseTimeRange({});
+        const query = { parking_id: parkingId, ...layoutFilter(layout) };
+        if (vehicleType) query.vehicle_type = vehicleType.toLowerCase();
+        if (slotIds) query._id = { $in: slotIds };
+
+        const slots = await db.collection('slots').find(query).toArray();
+        const busyBookings = await db.collection('bookings')
+            .find({ parking_id: parkingId, ...overlapFilter(from, to) })
+            .toArray();
+        const bookedSlotIds = busyBookings.map(b => b.slot_id.toString());
+
+        return slots.map(slot => ({
+            ...slot,
+            is_booked: bookedSlotIds.includes(slot._id.toString()),
+        }));
+    }
+
+    async function areaSnapshot(parkingId) {
+        const [slots, area] = await Promise.all([
+            listSlotsWithStatus(parkingId),
+            db.collection('parking_areas').findOne({ _id: parkingId }),
+        ]);
+        return { slots, counters: area ? areaCounters(area) : {} };
+    }
+
+    // Push the new state of changed slots and the area counters to live
+    // subscribers. Booking details only go to the owner channel. Runs after
+    // the response is sent, so failures are logged and otherwise ignored.
+    async function publishAreaChange(parkingId, { slotIds = [], booking = null, change = null, snapshot = false } = {}) {
+        try {
+            if (snapshot) {
+                events.publish(parkingId, 'snapshot', await areaSnapshot(parkingId));
+                return;
+            }
+            const [slots, area] = await Promise.all([
+                listSlotsWithStatus(parkingId, { slotIds }),
+                db.collection('parking_areas').findOne({ _id: parkingId }),
+            ]);
+            slots.forEach(slot => events.publish(parkingId, 'slot', slot));
+            if (area) events.publish(parkingId, 'counters', areaCounters(area));
+            if (booking && change) {
+                events.publish(parkingId, `booking.${change}`, {
+                    booking_id: booking._id,
+                    slot_id: booking.slot_id,
+                    vehicle_type: booking.vehicle_type,
+                    number_plate: booking.number_plate,
+                    phone: booking.phone,
+                    status: booking.status,
+                    start_time: booking.start_time,
+                    end_time: booking.end_time,
+                }, 'owner');
+            }
+        } catch (error) {
+            console.error("Error publishing parking area update:", error);
+        }
+    }
+
+    // Stream a parking area's events over SSE. A client reconnecting with
+    // Last-Event-ID (or ?last_event_id=) gets the events it missed; otherwise,
+    // or when those are no longer buffered, it starts from a snapshot.
+    async function streamAreaEvents(req, res, parkingId, audience) {
+        const visible = event => audience === 'owner' || event.audience === 'public';
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+        res.write('retry: 3000\n\n');
+
+        // Events published while the snapshot loads are held back and sent after it
+        let pending = [];
+        const unsubscribe = events.subscribe(parkingId, (event) => {
+            if (!visible(event)) return;
+            if (pending) pending.push(event);
+            else writeServerSentEvent(res, event);
+        });
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25 * 1000);
+        streams.add(res);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+            streams.delete(res);
+        });
+
+        const missed = events.since(parkingId, req.get('Last-Event-ID') || req.query.last_event_id);
+        if (missed) {
+            missed.filter(visible).forEach(event => writeServerSentEvent(res, event));
+        } else {
+            const id = events.lastEventId(parkingId);
+            try {
+                writeServerSentEvent(res, { id, type: 'snapshot', data: await areaSnapshot(parkingId) });
+            } catch (error) {
+                console.error("Error loading parking area snapshot:", error);
+                return res.end();
+            }
+        }
+        pending.forEach(event => writeServerSentEvent(res, event));
+        pending = null;
+    }
+
+    // End every open stream; clients reconnect (to another instance) using
+    // the retry interval sent when the stream opened
+    function closeStreams() {
+        streams.forEach(res => res.end());
+        streams.clear();
+    }
+
+    return { listSlotsWithStatus, areaSnapshot, publishAreaChange, streamAreaEvents, closeStreams };
+}
+
+module.exports = { parseTimeRange, createLiveUpdates };
@@ -0,0 +1,57 @@
+// Notifiers tell users about things that happen while they are not looking
+// at the app, such as a waitlist hold. They share one method:
+// notify(phone, { type, message, data }) -> Promise. Pick one with NOTIFIER;
+// a push provider only needs to add an entry here.
+
+function createConsoleNotifier() {
+    return {
+        async notify(phone, { type, message }) {
+            console.log(`[notify] ${type} to ${phone}: ${message}`);
+        },
+    };
+}
+
+// Sends the message text through the SMS sender from lib/sms
+function createSmsNotifier(sms) {
+    return {
+        async notify(phone, { message }) {
+            await sms.send(phone, message);
+        },
+    };
+}
+
+// Posts the notification as JSON to NOTIFIER_WEBHOOK_URL, e.g. a push
+// gateway of your own
+function createWebhookNotifier(url) {
+    if (!url) {
+        throw new Error("NOTIFIER_WEBHOOK_URL is required for the webhook notifier");
+    }
+    return {
+        async notify(phone, notification) {
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ phone, ...notification }),
+            });
+            if (!res.ok) {
+                throw new Error(`Notification webhook answered ${res.status}`);
+            }
+        },
+    };
+}
+
+const notifiers = {
+    console: () => createConsoleNotifier(),
+    sms: ({ sms }) => createSmsNotifier(sms),
+    webhook: () => createWebhookNotifier(process.env.NOTIFIER_WEBHOOK_URL),
+};
+
+function createNotifier({ sms }, name = process.env.NOTIFIER || 'sms') {
+    const factory = notifiers[name];
+    if (!factory) {
+        throw new Error(`Unknown notifier "${name}"`);
+    }
+    return factory({ sms });
+}
+
+module.exports = { createNotifier };
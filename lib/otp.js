@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MS = 5 * 60 * 1000;
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+
+function generateCode() {
+    return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+}
+
+// Codes are stored hashed and bound to the phone number they were sent to
+function hashCode(phone, code) {
+    return crypto.createHash('sha256').update(`${phone}:${code}`).digest('hex');
+}
+
+function codeMatches(phone, code, hash) {
+    const candidate = Buffer.from(hashCode(phone, String(code)), 'hex');
+    const expected = Buffer.from(hash, 'hex');
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+// Send a new code unless one was sent within the cooldown.
+// Returns { retryAfter } in seconds when the caller must wait.
+async function issueOtp(db, sms, phone) {
+    const now = new Date();
+    const existing = await db.collection('otp_codes').findOne({ phone });
+    if (existing && now - existing.last_sent_at < OTP_RESEND_COOLDOWN_MS) {
+        const retryAfter = Math.ceil((OTP_RESEND_COOLDOWN_MS - (now - existing.last_sent_at)) / 1000);
+        return { retryAfter };
+    }
+
+    const code = generateCode();
+    await db.collection('otp_codes').updateOne(
+        { phone },
+        {
+            $set: {
+                code_hash: hashCode(phone, code),
+                attempts: 0,
+                expires_at: new Date(now.getTime() + OTP_TTL_MS),
+                last_sent_at: now,
+            },
+            $setOnInsert: { createdAt: now },
+        },
+        { upsert: true }
+    );
+    await sms.send(phone, `Your parking verification code is ${code}. It expires in ${OTP_TTL_MS / 60000} minutes.`);
+    return { expiresIn: OTP_TTL_MS / 1000, resendAfter: OTP_RESEND_COOLDOWN_MS / 1000 };
+}
+
+// Check a submitted code. The attempt counter is bumped before comparing
+// so concurrent guesses cannot exceed OTP_MAX_ATTEMPTS. A matching code
+// is deleted so it can only be used once.
+async function verifyOtp(db, phone, code) {
+    const entry = await db.collection('otp_codes').findOneAndUpdate(
+        { phone, expires_at: { $gt: new Date() }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+        { $inc: { attempts: 1 } },
+        { returnDocument: 'after' }
+    );
+    if (!entry) {
+        const pending = await db.collection('otp_codes').findOne({ phone, expires_at: { $gt: new Date() } });
+        return pending
+            ? { ok: false, status: 429, code: 'OTP_ATTEMPTS_EXCEEDED', message: "Too many attempts. Request a new code." }
+            : { ok: false, status: 400, code: 'OTP_EXPIRED', message: "Code expired or not requested" };
+    }
+    if (!codeMatches(phone, code, entry.code_hash)) {
+        return { ok: false, status: 400, code: 'OTP_INVALID', message: "Invalid code" };
+    }
+    await db.collection('otp_codes').deleteOne({ _id: entry._id });
+    return { ok: true };
+}
+
+module.exports = { issueOtp, verifyOtp };
@@ -0,0 +1,136 @@
+const { BSON } = require('mongodb');
+const { AppError } = require('./errors');
+const { Joi, date, dateAfter } = require('./validation');
+
+// Cursor-based pagination for list endpoints. A list sorts on one field of
+// its `sorts` map (API name -> document field) with _id as the tie-breaker;
+// the cursor carries the sort value and _id of the last document returned,
+// so the next page starts right after it however the collection has changed
+// in between.
+//
+// Lists that used to return a bare array keep doing so when the request has
+// neither `limit` nor `cursor`; see pageQuery's `optional`.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Query parameters for a paginated list, sorted by `defaultSort` unless the
+// request asks for another key of `sorts`. "-name" sorts descending. With
+// `optional` the list is only paged when the request passes limit or cursor.
+function pageQuery(sorts, defaultSort, { optional = false } = {}) {
+    const names = Object.keys(sorts).flatMap(name => [name, `-${name}`]);
+    const limit = Joi.number().integer().min(1).max(MAX_LIMIT);
+    return {
+        limit: optional ? limit : limit.default(DEFAULT_LIMIT),
+        cursor: Joi.string().max(512),
+        sort: Joi.string().valid(...names).default(defaultSort),
+    };
+}
+
+// Optional ?from=&to= bounds for a date field; either may be left open
+function dateRangeQuery() {
+    return { from: date(), to: Joi.when('from', { is: Joi.exist(), then: dateAfter('from'), otherwise: date() }) };
+}
+
+function dateRangeFilter(field, { from, to }) {
+    if (!from && !to) return {};
+    return { [field]: { ...(from && { $gte: from }), ...(to && { $lt: to }) } };
+}
+
+function encodeCursor(doc, field) {
+    const value = field === '_id' ? null : doc[field];
+    return Buffer.from(BSON.EJSON.stringify([value, doc._id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [value, id] = BSON.EJSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!(id instanceof BSON.ObjectId)) throw new Error('cursor has no id');
+        return { value, id };
+    } catch (error) {
+        throw new AppError(400, 'INVALID_CURSOR', "cursor is not valid for this list");
+    }
+}
+
+// Documents after the cursor's position. Missing and null sort values come
+// before all others in ascending order, and `$gt`/`$lt` never match them, so
+// they need their own branch.
+function afterCursor(field, descending, { value, id }) {
+    const after = descending ? '$lt' : '$gt';
+    if (field === '_id') return { _id: { [after]: id } };
+
+    const tie = { [field]: value, _id: { [after]: id } };
+    if (value === null || value === undefined) {
+        return descending ? tie : { $or: [{ [field]: { $ne: null } }, tie] };
+    }
+    return {
+        $or: [
+            { [field]: { [after]: value } },
+            tie,
+            ...(descending ? [{ [field]: null }] : []),
+        ],
+    };
+}
+
+// Filter, sort and limit for the page described by the validated query.
+// One extra document is fetched to tell whether there is a next page. An
+// unpaged request (see pageQuery) has no limit.
+function pageSpec(sorts, { sort, cursor, limit }) {
+    const descending = sort.startsWith('-');
+    const field = sorts[descending ? sort.slice(1) : sort];
+    const direction = descending ? -1 : 1;
+    const paged = limit !== undefined || cursor !== undefined;
+
+    return {
+        field,
+        filter: cursor ? afterCursor(field, descending, decodeCursor(cursor)) : {},
+        sort: field === '_id' ? { _id: direction } : { [field]: direction, _id: direction },
+        limit: paged ? (limit || DEFAULT_LIMIT) : null,
+    };
+}
+
+// Run a find() for one page and return { results, next_cursor }, or the
+// bare array of documents for an unpaged request
+async function findPage(collection, query, spec, options = {}) {
+    let cursor = collection
+        .find({ $and: [query, spec.filter] }, options)
+        .sort(spec.sort);
+    if (spec.limit !== null) cursor = cursor.limit(spec.limit + 1);
+    return toPage(await cursor.toArray(), spec);
+}
+
+// The $match/$sort/$limit stages of a page, for aggregations that join
+// other collections afterwards
+function pageStages(query, spec) {
+    return [
+        { $match: { $and: [query, spec.filter] } },
+        { $sort: spec.sort },
+        ...(spec.limit !== null ? [{ $limit: spec.limit + 1 }] : []),
+    ];
+}
+
+function toPage(docs, spec) {
+    if (spec.limit === null) return docs;
+    const results = docs.slice(0, spec.limit);
+    const hasMore = docs.length > spec.limit;
+    return {
+        results,
+        next_cursor: hasMore ? encodeCursor(results[results.length - 1], spec.field) : null,
+    };
+}
+
+// Apply fn to each result of a page from toPage, whichever its shape
+function mapPage(page, fn) {
+    return Array.isArray(page) ? page.map(fn) : { ...page, results: page.results.map(fn) };
+}
+
+module.exports = {
+    pageQuery,
+    dateRangeQuery,
+    dateRangeFilter,
+    pageSpec,
+    findPage,
+    pageStages,
+    toPage,
+    mapPage,
+};
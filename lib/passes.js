@@ -0,0 +1,478 @@
+const { ObjectId } = require('mongodb');
+const { AppError } = require('./errors');
+const { computeFee } = require('./tariff');
+const { localParts, fromLocal, daysInMonth } = require('./time');
+const { normalizePlate, fitsSlot, findUserVehicle } = require('./vehicles');
+const { systemActor, updateAudited, insertAudited } = require('./audit');
+const { getGateway, transitionPayment, createOnlinePayment } = require('./payments');
+
+// Passes for regular parkers. Owners sell pass products per parking area
+// and vehicle type, valid for a month or a week at a time, optionally on
+// weekdays only and optionally with a slot of the holder's own. A product
+// sells at most `capacity` passes at once: available_passes counts down as
+// passes are sold and back up as they expire, like the slot counters of an
+// area.
+//
+// A pass belongs to one of the user's registered vehicles. Sessions of that
+// vehicle starting while the pass is valid (on a weekday, for weekday-only
+// passes) are marked with the pass and not charged up to its expiry. A slot
+// reserved for a pass is kept out of the available count and away from
+// other bookings, the waitlist and walk-ins until the pass expires.
+//
+// Passes are paid for online through lib/payments. A pass bought is
+// "pending", holding its place in the product's capacity and its slot, until
+// its payment is captured; it is then "active" for a period from that
+// moment, and "expired" after it. A pass whose payment fails or is not made
+// within PENDING_PASS_MINUTES is "cancelled". A renewal likewise extends the
+// pass only once its payment is captured. `open` is set on pending and
+// active passes so a vehicle only has one at a time in each area.
+
+const PASS_PERIODS = ['monthly', 'weekly'];
+const WEEKEND_DAYS = ['Sat', 'Sun'];
+const PENDING_PASS_MINUTES = 30;
+
+async function ensurePassIndexes(db) {
+    // Passes sold before `open` was kept
+    await db.collection('passes').updateMany({ status: "active", open: { $exists: false } }, { $set: { open: true } });
+    await db.collection('passes').createIndex(
+        { parking_id: 1, plate_key: 1, vehicle_type: 1 },
+        { name: 'one_open_pass_per_vehicle', unique: true, partialFilterExpression: { open: true } }
+    );
+    await db.collection('passes').createIndex({ phone: 1, createdAt: -1 });
+    await db.collection('passes').createIndex({ status: 1, valid_until: 1 });
+    await db.collection('passes').createIndex({ status: 1, createdAt: 1 });
+    await db.collection('pass_products').createIndex({ parking_id: 1 });
+}
+
+// The end of a pass period starting at `from`, on the wall clock of
+// `timezone` (the pass's, or UTC for passes without one). Weekly periods end
+// at the same time a week later; monthly ones on the same day of the next
+// month, or its last day if that month is shorter.
+function periodEnd(period, from, timezone) {
+    const zone = timezone || 'UTC';
+    const local = { ...localParts(from, zone), millisecond: from.getUTCMilliseconds() };
+    if (period === 'weekly') {
+        return fromLocal({ ...local, day: local.day + 7 }, zone);
+    }
+    const year = local.month === 12 ? local.year + 1 : local.year;
+    const month = local.month === 12 ? 1 : local.month + 1;
+    return fromLocal({ ...local, year, month, day: Math.min(local.day, daysInMonth(year, month)) }, zone);
+}
+
+// The active pass of a vehicle in a parking area valid at `at`, for
+// vehicleType or, without it, for any type
+async function findPass(db, { parkingId, plateKey, vehicleType, at = new Date() }, options = {}) {
+    if (!plateKey) return null;
+    return db.collection('passes').findOne({
+        parking_id: parkingId,
+        plate_key: plateKey,
+        ...(vehicleType && { vehicle_type: vehicleType }),
+        status: "active",
+        valid_from: { $lte: at },
+        valid_until: { $gt: at },
+    }, options);
+}
+
+// Whether a session starting at `at` is covered by the pass
+function passCovers(pass, at) {
+    if (!pass.weekdays_only) return true;
+    const weekday = new Intl.DateTimeFormat('en-US', { timeZone: pass.timezone || undefined, weekday: 'short' }).format(at);
+    return !WEEKEND_DAYS.includes(weekday);
+}
+
+// Fail unless the slot is open to the holder of `pass` (or to a booking
+// without one)
+function assertSlotOpenTo(slot, pass) {
+    if (slot.reserved_pass && !(pass && slot.reserved_pass.pass_id.equals(pass._id))) {
+        throw new AppError(409, 'SLOT_RESERVED_FOR_PASS', "Slot is reserved for a pass holder");
+    }
+}
+
+// The fee for a session covered by a pass: nothing up to the pass's expiry,
+// then the tariff for the rest of the stay. Same shape as computeFee.
+function passSessionFee(pass, tariff, entryTime, exitTime) {
+    const durationMinutes = Math.max(0, Math.ceil((exitTime - entryTime) / 60000));
+    const covered = { type: 'pass', pass_id: pass._id, amount: 0 };
+    if (exitTime <= pass.valid_until || !tariff) {
+        return {
+            currency: tariff ? tariff.currency : pass.currency,
+            duration_minutes: durationMinutes,
+            amount: 0,
+            breakdown: [covered],
+        };
+    }
+    const overstay = computeFee(tariff, entryTime > pass.valid_until ? entryTime : pass.valid_until, exitTime);
+    return { ...overstay, duration_minutes: durationMinutes, breakdown: [covered, ...overstay.breakdown] };
+}
+
+// Buying, renewing and expiring users' passes
+function createPasses({ store, live, waitlist }) {
+    const { db } = store;
+
+    // Keep a free slot of the pass's type for its holder: one that is
+    // available, not kept for another pass and has no reservations ahead
+    async function reserveSlot(pass, from, audit) {
+        const reserved = await db.collection('bookings').distinct('slot_id', {
+            parking_id: pass.parking_id,
+            status: "reserved",
+            end_time: { $gt: from },
+        }, { session: audit.session });
+        const [free] = await db.collection('slots')
+            .find({
+                parking_id: pass.parking_id,
+                vehicle_type: pass.vehicle_type,
+                status: "available",
+                reserved_pass: { $exists: false },
+                _id: { $nin: reserved },
+            }, { session: audit.session })
+            .sort({ slot_number: 1 })
+            .limit(1)
+            .toArray();
+        const slot = free && await updateAudited(db, 'slots',
+            { _id: free._id, status: "available", reserved_pass: { $exists: false } },
+            { $set: { reserved_pass: { pass_id: pass._id } } },
+            audit
+        );
+        if (!slot) {
+            throw new AppError(409, 'NO_FREE_SLOT', `No free ${pass.vehicle_type} slot to reserve for this pass`);
+        }
+        await updateAudited(db, 'parking_areas',
+            { _id: pass.parking_id },
+            { $inc: { [`available_${pass.vehicle_type}_slots`]: -1 } },
+            audit
+        );
+        return slot;
+    }
+
+    // The gateway new payments go through; fails while there is none
+    function paymentGateway() {
+        const gateway = getGateway();
+        if (!gateway) {
+            throw new AppError(503, 'PAYMENTS_UNAVAILABLE', "Online payments are not available");
+        }
+        return gateway;
+    }
+
+    // Buy a pass for one of the user's vehicles. The pass is pending until
+    // the payment returned with it is captured, and then valid from then.
+    // Returns { pass, payment }.
+    async function buy({ productId, phone, vehicleId, actor }) {
+        const gateway = paymentGateway();
+        const vehicle = await findUserVehicle(db, phone, vehicleId);
+        const now = new Date();
+        let pass;
+        try {
+            pass = await store.withTransaction(async (session) => {
+                const audit = { session, actor, action: 'pass.purchase' };
+                const product = await db.collection('pass_products').findOne({ _id: productId, active: true }, { session });
+                if (!product) {
+                    throw new AppError(404, 'PASS_PRODUCT_NOT_FOUND', "Pass product not found");
+                }
+                if (!fitsSlot(vehicle, product.vehicle_type)) {
+                    throw new AppError(422, 'VEHICLE_TYPE_MISMATCH', `This pass is for ${product.vehicle_type} slots`);
+                }
+                const claimed = await updateAudited(db, 'pass_products',
+                    { _id: product._id, available_passes: { $gt: 0 } },
+                    { $inc: { available_passes: -1 } },
+                    audit
+                );
+                if (!claimed) {
+                    throw new AppError(409, 'PASSES_SOLD_OUT', "No passes of this kind are left");
+                }
+
+                const created = {
+                    _id: new ObjectId(),
+                    product_id: product._id,
+                    parking_id: product.parking_id,
+                    name: product.name,
+                    phone,
+                    vehicle_id: vehicle._id,
+                    number_plate: vehicle.number_plate,
+                    plate_key: normalizePlate(vehicle.number_plate),
+                    vehicle_type: product.vehicle_type,
+                    period: product.period,
+                    weekdays_only: product.weekdays_only,
+                    timezone: product.timezone,
+                    slot_id: null,
+                    price: product.price,
+                    currency: product.currency,
+                    status: "pending",
+                    open: true,
+                    valid_from: null,
+                    valid_until: null,
+                    payment_id: null,
+                    renewals: [],
+                    createdAt: now,
+                };
+                if (product.reserved_slot) {
+                    created.slot_id = (await reserveSlot(created, now, audit))._id;
+                }
+                await insertAudited(db, 'passes', created, audit);
+                return created;
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new AppError(409, 'PASS_EXISTS', "This vehicle already has a pass for this parking area");
+            }
+            throw error;
+        }
+        if (pass.slot_id) {
+            live.publishAreaChange(pass.parking_id, { slotIds: [pass.slot_id] });
+        }
+
+        let payment;
+        try {
+            payment = await createOnlinePayment(db, gateway, {
+                pass_id: pass._id,
+                purpose: "pass.purchase",
+                parking_id: pass.parking_id,
+                phone,
+                amount: pass.price,
+                currency: pass.currency,
+            }, "user");
+        } catch (error) {
+            await releasePass(pass, { status: "pending" }, "cancelled", { actor, action: 'pass.cancel' });
+            throw error;
+        }
+        await db.collection('passes').updateOne({ _id: pass._id }, { $set: { payment_id: payment._id } });
+        return { pass: { ...pass, payment_id: payment._id }, payment };
+    }
+
+    // Ask to extend a pass by another period at the product's current
+    // price. Passes can be renewed until they expire, at most one period
+    // ahead; the reserved slot, if any, stays with the pass. The pass is
+    // extended once the payment returned is captured, and asking again
+    // meanwhile returns the same payment. Returns { pass, payment }.
+    async function renew({ passId, phone, actor }) {
+        const gateway = paymentGateway();
+        const now = new Date();
+        const pass = await db.collection('passes').findOne({ _id: passId, phone });
+        if (!pass) {
+            throw new AppError(404, 'PASS_NOT_FOUND', "Pass not found");
+        }
+        if (pass.status !== "active" || pass.valid_until <= now) {
+            throw new AppError(409, 'PASS_EXPIRED', "This pass has expired; buy a new one");
+        }
+        if (pass.valid_until > periodEnd(pass.period, now, pass.timezone)) {
+            throw new AppError(409, 'RENEWAL_TOO_EARLY', "This pass is already renewed for the next period");
+        }
+        if (pass.pending_renewal) {
+            const pending = await db.collection('payments').findOne({ _id: pass.pending_renewal.payment_id, status: "pending" });
+            if (pending) return { pass, payment: pending };
+        }
+        const product = await db.collection('pass_products').findOne({ _id: pass.product_id, active: true });
+        if (!product) {
+            throw new AppError(409, 'PASS_PRODUCT_UNAVAILABLE', "This pass is no longer sold");
+        }
+
+        const payment = await createOnlinePayment(db, gateway, {
+            pass_id: pass._id,
+            purpose: "pass.renewal",
+            parking_id: pass.parking_id,
+            phone,
+            amount: product.price,
+            currency: product.currency,
+        }, "user");
+        const requested = await updateAudited(db, 'passes',
+            {
+                _id: pass._id,
+                status: "active",
+                valid_until: pass.valid_until,
+                pending_renewal: pass.pending_renewal || { $exists: false },
+            },
+            {
+                $set: {
+                    pending_renewal: { payment_id: payment._id, price: product.price, currency: product.currency, requested_at: now },
+                    updatedAt: now,
+                },
+            },
+            { actor, action: 'pass.renew' }
+        );
+        if (!requested) {
+            await transitionPayment(db, payment, "failed", "pass.renew", actor);
+            throw new AppError(409, 'PASS_CHANGED', "Pass changed while renewing, please retry");
+        }
+        return { pass: requested, payment };
+    }
+
+    // Follow a pass payment that was captured, failed or refunded: a
+    // captured purchase activates the pass from now and a captured renewal
+    // extends it by a period; a failed purchase cancels the pass and a failed
+    // renewal is dropped. Refunds are handled by refundPayment. Runs after
+    // the payment changed, so a pass that can no longer follow it, e.g. one
+    // cancelled while its payment was pending, is logged for a refund.
+    async function applyPayment(payment, actor) {
+        if (payment.status === "refunded") return refundPayment(payment, actor);
+        const pass = await db.collection('passes').findOne({ _id: payment.pass_id });
+        if (!pass || !["captured", "failed"].includes(payment.status)) return;
+        const now = new Date();
+        const captured = payment.status === "captured";
+
+        let applied;
+        if (payment.purpose === "pass.purchase") {
+            applied = captured
+                ? await updateAudited(db, 'passes',
+                    { _id: pass._id, status: "pending" },
+                    {
+                        $set: {
+                            status: "active",
+                            valid_from: now,
+                            valid_until: periodEnd(pass.period, now, pass.timezone),
+                            paid_at: now,
+                            updatedAt: now,
+                        },
+                    },
+                    { actor, action: 'pass.activate' }
+                )
+                : await releasePass(pass, { status: "pending" }, "cancelled", { actor, action: 'pass.cancel' });
+        } else {
+            const renewal = pass.pending_renewal;
+            const matches = { _id: pass._id, 'pending_renewal.payment_id': payment._id };
+            if (!captured) {
+                applied = await updateAudited(db, 'passes', matches,
+                    { $unset: { pending_renewal: "" }, $set: { updatedAt: now } },
+                    { actor, action: 'pass.renew' }
+                );
+            } else if (renewal && renewal.payment_id.equals(payment._id)) {
+                const validUntil = periodEnd(pass.period, pass.valid_until, pass.timezone);
+                applied = await updateAudited(db, 'passes',
+                    { ...matches, status: "active", valid_until: pass.valid_until },
+                    {
+                        $set: { valid_until: validUntil, updatedAt: now },
+                        $unset: { pending_renewal: "" },
+                        $push: {
+                            renewals: {
+                                at: now,
+                                valid_from: pass.valid_until,
+                                valid_until: validUntil,
+                                price: renewal.price,
+                                currency: renewal.currency,
+                                payment_id: payment._id,
+                            },
+                        },
+                    },
+                    { actor, action: 'pass.renew' }
+                );
+            }
+        }
+        if (!applied && captured) {
+            console.error(`Payment ${payment._id} was captured for pass ${pass._id}, which is ${pass.status}; refund it`);
+        }
+    }
+
+    // Take back what a refunded pass payment paid for. A refunded purchase
+    // cancels the pass, giving back its capacity and slot. A refunded
+    // renewal ends the pass where the renewal started, or expires it now if
+    // that is past; the renewal stays in the pass's history with refunded_at
+    // so sales reports still see the sale the refund is set against.
+    async function refundPayment(payment, actor) {
+        const pass = await db.collection('passes').findOne({ _id: payment.pass_id });
+        if (!pass) return;
+        const audit = { actor, action: 'pass.refund' };
+        if (payment.purpose === "pass.purchase") {
+            await releasePass(pass, { open: true }, "cancelled", audit);
+            return;
+        }
+
+        const renewal = pass.renewals.find(entry => entry.payment_id && entry.payment_id.equals(payment._id));
+        if (!renewal || renewal.refunded_at) return;
+        const now = new Date();
+        const renewals = pass.renewals.map(entry => (entry === renewal ? { ...entry, refunded_at: now } : entry));
+        // Periods are renewed one at a time, so only the latest is refunded
+        // while it lies ahead; cut the pass back to where it started
+        const cutBack = pass.status === "active" && pass.valid_until.getTime() === renewal.valid_until.getTime();
+        const updated = await updateAudited(db, 'passes',
+            { _id: pass._id, status: pass.status, valid_until: pass.valid_until },
+            { $set: { renewals, ...(cutBack && { valid_until: renewal.valid_from }), updatedAt: now } },
+            audit
+        );
+        if (updated && cutBack && updated.valid_until <= now) {
+            await releasePass(updated, { status: "active", valid_until: updated.valid_until }, "expired", audit);
+        }
+    }
+
+    async function list(phone) {
+        return db.collection('passes').find({ phone }).sort({ createdAt: -1 }).toArray();
+    }
+
+    // Close a pass matching `filter` as `status`, giving back its place in
+    // the product's capacity and its slot. Returns null if the pass no longer
+    // matches, otherwise { slot } with the freed slot if it is now
+    // available.
+    async function closePass(pass, filter, status, { actor, action }) {
+        return store.withTransaction(async (session) => {
+            const audit = { session, actor, action };
+            const closed = await updateAudited(db, 'passes',
+                { _id: pass._id, ...filter },
+                { $set: { status, open: false, updatedAt: new Date() } },
+                audit
+            );
+            if (!closed) return null;
+            await updateAudited(db, 'pass_products', { _id: pass.product_id }, { $inc: { available_passes: 1 } }, audit);
+            if (!pass.slot_id) return { slot: null };
+
+            const slot = await updateAudited(db, 'slots',
+                { _id: pass.slot_id, 'reserved_pass.pass_id': pass._id },
+                { $unset: { reserved_pass: "" } },
+                audit
+            );
+            // A slot the holder is still parked in is counted as booked, and
+            // becomes available when that booking ends
+            if (!slot || slot.status !== "available") return { slot: null };
+            await updateAudited(db, 'parking_areas',
+                { _id: pass.parking_id },
+                { $inc: { [`available_${pass.vehicle_type}_slots`]: 1 } },
+                audit
+            );
+            return { slot };
+        });
+    }
+
+    // closePass, then offer a freed slot to the waitlist. Returns whether
+    // the pass was closed.
+    async function releasePass(pass, filter, status, audit) {
+        const result = await closePass(pass, filter, status, audit);
+        if (!result) return false;
+        if (result.slot) {
+            live.publishAreaChange(pass.parking_id, { slotIds: [result.slot._id] });
+            await waitlist.offerFreedSlot(pass.parking_id, pass.vehicle_type, result.slot._id);
+        }
+        return true;
+    }
+
+    // Expire passes past their validity and cancel purchases left unpaid
+    // for PENDING_PASS_MINUTES, failing their payments, and offer their
+    // slots to the waitlist. Returns the number of expired passes.
+    async function expirePasses(now = new Date()) {
+        const actor = systemActor('pass_sweep');
+        const due = await db.collection('passes').find({ status: "active", valid_until: { $lte: now } }).toArray();
+        let expired = 0;
+        for (const pass of due) {
+            const filter = { status: "active", valid_until: { $lte: now } };
+            if (await releasePass(pass, filter, "expired", { actor, action: 'pass.expire' })) expired += 1;
+        }
+
+        const unpaidSince = new Date(now.getTime() - PENDING_PASS_MINUTES * 60 * 1000);
+        const unpaid = await db.collection('passes').find({ status: "pending", createdAt: { $lte: unpaidSince } }).toArray();
+        for (const pass of unpaid) {
+            if (!await releasePass(pass, { status: "pending" }, "cancelled", { actor, action: 'pass.cancel' })) continue;
+            const payment = pass.payment_id && await db.collection('payments').findOne({ _id: pass.payment_id });
+            if (payment) await transitionPayment(db, payment, "failed", "pass_sweep", actor);
+        }
+        return expired;
+    }
+
+    return { buy, renew, applyPayment, list, expirePasses };
+}
+
+module.exports = {
+    PASS_PERIODS,
+    PENDING_PASS_MINUTES,
+    ensurePassIndexes,
+    periodEnd,
+    findPass,
+    passCovers,
+    assertSlotOpenTo,
+    passSessionFee,
+    createPasses,
+};
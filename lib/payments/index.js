@@ -0,0 +1,170 @@
+const { ObjectId } = require('mongodb');
+const { createMockGateway } = require('./mock');
+const { AppError } = require('../errors');
+const { updateAudited } = require('../audit');
+
+// Payment gateways implement:
+//   name
+//   createPayment({ paymentId, amount, currency }) -> { provider_ref, status, client_data }
+//   refund({ provider_ref, amount }) -> { status }
+//   verifyWebhook(rawBody, headers) -> { provider_ref, status } | null
+//     (throws a 400 AppError for a genuine webhook with an unreadable body)
+// Register new providers in `gateways`; PAYMENT_GATEWAY selects the default.
+const gateways = {
+    mock: createMockGateway,
+};
+
+// Gateways that settle payments on request and must never take real traffic
+const TEST_GATEWAYS = ['mock'];
+
+function isGatewayAvailable(name, env = process.env.NODE_ENV) {
+    return Boolean(gateways[name]) && !(env === 'production' && TEST_GATEWAYS.includes(name));
+}
+
+const instances = new Map();
+
+// Returns the named gateway, or null when it is unknown or not allowed in
+// this environment
+function getGateway(name = process.env.PAYMENT_GATEWAY || 'mock') {
+    if (!isGatewayAvailable(name)) return null;
+    if (!instances.has(name)) instances.set(name, gateways[name]());
+    return instances.get(name);
+}
+
+// A booking has at most one pending payment, so concurrent requests to pay
+// for it cannot open two gateway orders. Pass payments have no booking_id.
+async function ensurePaymentIndexes(db) {
+    await db.collection('payments').createIndex(
+        { booking_id: 1 },
+        { name: 'one_pending_payment_per_booking', unique: true, partialFilterExpression: { status: "pending", booking_id: { $exists: true } } }
+    );
+}
+
+// Allowed payment state changes
+const TRANSITIONS = {
+    pending: ['authorized', 'captured', 'failed'],
+    authorized: ['captured', 'failed'],
+    captured: ['refunded'],
+    failed: [],
+    refunded: [],
+};
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Booking-level summary of a payment state
+function bookingPaymentStatus(status) {
+    return { pending: 'pending', authorized: 'pending', captured: 'paid', failed: 'unpaid', refunded: 'refunded' }[status];
+}
+
+// Move a payment to `status` if the transition is allowed, recording where
+// the change came from, and mirror it onto the booking, if it pays for one,
+// on behalf of `actor`. Passes follow their payments through
+// lib/passes applyPayment instead. Returns the updated payment, or null when
+// the payment was not in a state that allows it.
+async function transitionPayment(db, payment, status, source, actor) {
+    if (!canTransition(payment.status, status)) return null;
+    const now = new Date();
+    const updated = await db.collection('payments').findOneAndUpdate(
+        { _id: payment._id, status: payment.status },
+        {
+            $set: { status, updatedAt: now },
+            $push: { history: { status, source, at: now } },
+        },
+        { returnDocument: 'after' }
+    );
+    if (!updated || !updated.booking_id) return updated;
+    await updateAudited(db, 'bookings',
+        { _id: updated.booking_id },
+        { $set: { payment_status: bookingPaymentStatus(status), updatedAt: now } },
+        { actor, action: 'booking.payment' }
+    );
+    return updated;
+}
+
+// Start a pending online payment with `gateway`. `fields` are the amount,
+// currency, phone and parking_id, and what is paid for: a booking_id, or a
+// pass_id with its purpose ("pass.purchase" or "pass.renewal"). `source`
+// is recorded in the payment's history.
+//
+// The payment is stored before the gateway order is opened, so a second
+// pending payment for the same booking fails with a duplicate key error
+// instead of opening another order. If the gateway refuses the order the
+// payment is marked failed.
+async function createOnlinePayment(db, gateway, fields, source) {
+    const now = new Date();
+    const payment = {
+        _id: new ObjectId(),
+        ...fields,
+        method: "online",
+        provider: gateway.name,
+        provider_ref: null,
+        status: "pending",
+        history: [{ status: "pending", source, at: now }],
+        createdAt: now,
+    };
+    await db.collection('payments').insertOne(payment);
+    let created;
+    try {
+        created = await gateway.createPayment({
+            paymentId: payment._id.toString(),
+            amount: payment.amount,
+            currency: payment.currency,
+        });
+    } catch (error) {
+        const failedAt = new Date();
+        await db.collection('payments').updateOne(
+            { _id: payment._id, status: "pending" },
+            {
+                $set: { status: "failed", updatedAt: failedAt },
+                $push: { history: { status: "failed", source: gateway.name, at: failedAt } },
+            }
+        );
+        throw error;
+    }
+    payment.provider_ref = created.provider_ref;
+    payment.client_data = created.client_data;
+    await db.collection('payments').updateOne(
+        { _id: payment._id },
+        { $set: { provider_ref: payment.provider_ref, client_data: payment.client_data } }
+    );
+    return payment;
+}
+
+// A payment as returned to the user app
+function describePayment(payment) {
+    return {
+        payment_id: payment._id,
+        status: payment.status,
+        amount: payment.amount,
+        currency: payment.currency,
+        provider: payment.provider,
+        client_data: payment.client_data,
+    };
+}
+
+// Fail if a booking already has an authorized or captured payment
+async function assertNotPaid(db, booking) {
+    const settled = await db.collection('payments').findOne({
+        booking_id: booking._id,
+        status: { $in: ["authorized", "captured"] },
+    });
+    if (settled) {
+        throw new AppError(409, 'BOOKING_ALREADY_PAID', "Booking is already paid");
+    }
+}
+
+module.exports = {
+    gateways,
+    TEST_GATEWAYS,
+    ensurePaymentIndexes,
+    isGatewayAvailable,
+    getGateway,
+    canTransition,
+    bookingPaymentStatus,
+    transitionPayment,
+    createOnlinePayment,
+    describePayment,
+    assertNotPaid,
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { AppError } = require('../errors');
+
+// Offline payment gateway. Payments are never charged; their outcome is
+// delivered as a webhook signed the same way a real provider would sign it.
+// Anyone who knows the secret can forge webhooks, so the development default
+// is refused in production.
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+const DEVELOPMENT_SECRET = 'mock-payment-secret';
+
+function createMockGateway({ secret = process.env.MOCK_PAYMENT_SECRET, env = process.env.NODE_ENV } = {}) {
+    if (!secret || secret === DEVELOPMENT_SECRET) {
+        if (env === 'production') {
+            throw new Error("MOCK_PAYMENT_SECRET must be set to a non-default value in production");
+        }
+        secret = DEVELOPMENT_SECRET;
+    }
+
+    function sign(payload) {
+        return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+    }
+
+    return {
+        name: 'mock',
+
+        async createPayment({ paymentId, amount, currency }) {
+            return {
+                provider_ref: `mock_${paymentId}`,
+                status: 'pending',
+                client_data: { amount, currency, instructions: "Use the simulate endpoint to settle this payment" },
+            };
+        },
+
+        async refund({ provider_ref }) {
+            return { provider_ref, status: 'refunded' };
+        },
+
+        // Build a signed webhook request body for an outcome, as the provider would send it
+        buildWebhook(providerRef, status) {
+            const body = JSON.stringify({ provider_ref: providerRef, status, sent_at: new Date().toISOString() });
+            return { body, headers: { [SIGNATURE_HEADER]: sign(body) } };
+        },
+
+        // Returns { provider_ref, status } for a genuine webhook, or null
+        verifyWebhook(rawBody, headers) {
+            const signature = headers[SIGNATURE_HEADER];
+            if (!rawBody || typeof signature !== 'string') return null;
+            const expected = Buffer.from(sign(rawBody), 'hex');
+            const received = Buffer.from(signature, 'hex');
+            if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+                return null;
+            }
+            try {
+                const { provider_ref, status } = JSON.parse(rawBody.toString());
+                if (typeof provider_ref !== 'string' || typeof status !== 'string') throw new Error('missing fields');
+                return { provider_ref, status };
+            } catch (error) {
+                throw new AppError(400, 'INVALID_WEBHOOK_BODY', "Webhook body is not a valid payment event");
+            }
+        },
+    };
+}
+
+module.exports = { createMockGateway };
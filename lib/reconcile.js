@@ -0,0 +1,124 @@
+const { isSetAside, slotCounters } = require('./slots');
+const { systemActor, updateAudited } = require('./audit');
+
+// Consistency check for the state derived from bookings. Bookings are the
+// source of truth: a slot with an active booking is "booked" and points at
+// it, a slot held for an open waitlist offer is "held", and every other slot
+// is "available". The counters on the parking area follow from the slots
+// and active bookings, as in lib/slots. Slots kept for a pass are left to
+// lib/passes.
+
+function countBy(docs, key) {
+    const counts = {};
+    for (const doc of docs) counts[doc[key]] = (counts[doc[key]] || 0) + 1;
+    return counts;
+}
+
+function sameId(a, b) {
+    return a && b ? a.equals(b) : !a && !b;
+}
+
+// The state a slot should be in given its active booking, if any, and the
+// waitlist offers currently holding slots
+function expectedSlotState(slot, activeBooking, offeredIds) {
+    if (activeBooking) return { status: "booked", current_booking_id: activeBooking._id };
+    const held = slot.status === "held" && slot.hold && offeredIds.has(slot.hold.waitlist_id.toString());
+    return { status: held ? "held" : "available", current_booking_id: null };
+}
+
+// Compare one parking area with its bookings and, with `fix`, correct the
+// slots and counters that disagree. Corrections are logged to lib/audit as
+// "reconcile" changes by `actor`. Returns a report of the mismatches found:
+//
+//   counters           [{ field, expected, actual }]
+//   slots              [{ slot_id, slot_number, vehicle_type, expected, actual }]
+//   orphaned_bookings  ids of active bookings whose slot no longer exists;
+//                      these are reported but never changed
+async function reconcileParkingArea(store, parkingId, { fix = false, actor = systemActor('reconcile') } = {}) {
+    const { db } = store;
+    return store.withTransaction(async (session) => {
+        const parkingArea = await db.collection('parking_areas').findOne({ _id: parkingId }, { session });
+        if (!parkingArea) return null;
+        // One read at a time: a session cannot run operations in parallel
+        const slots = await db.collection('slots')
+            .find({ parking_id: parkingId }, { session })
+            .sort({ vehicle_type: 1, slot_number: 1 })
+            .toArray();
+        const activeBookings = await db.collection('bookings')
+            .find({ parking_id: parkingId, status: "active" }, { session })
+            .toArray();
+        const offers = await db.collection('waitlist')
+            .find({ parking_id: parkingId, status: "offered" }, { session, projection: { _id: 1 } })
+            .toArray();
+        const bookingBySlot = new Map(activeBookings.map(booking => [booking.slot_id.toString(), booking]));
+        const offeredIds = new Set(offers.map(offer => offer._id.toString()));
+
+        const slotMismatches = [];
+        const expectedSlots = slots.map((slot) => {
+            const expected = expectedSlotState(slot, bookingBySlot.get(slot._id.toString()), offeredIds);
+            const actual = { status: slot.status, current_booking_id: slot.current_booking_id || null };
+            if (expected.status !== actual.status || !sameId(expected.current_booking_id, actual.current_booking_id)) {
+                slotMismatches.push({
+                    slot_id: slot._id,
+                    slot_number: slot.slot_number,
+                    vehicle_type: slot.vehicle_type,
+                    expected,
+                    actual,
+                });
+            }
+            return { ...slot, ...expected };
+        });
+        const slotIds = new Set(slots.map(slot => slot._id.toString()));
+        const orphaned = activeBookings.filter(booking => !slotIds.has(booking.slot_id.toString()));
+
+        const counters = slotCounters(parkingArea, {
+            totals: countBy(expectedSlots, 'vehicle_type'),
+            held: countBy(expectedSlots.filter(isSetAside), 'vehicle_type'),
+            booked: countBy(activeBookings, 'vehicle_type'),
+        });
+        const counterMismatches = Object.entries(counters)
+            .filter(([field, expected]) => parkingArea[field] !== expected)
+            .map(([field, expected]) => ({ field, expected, actual: parkingArea[field] ?? null }));
+
+        const hasMismatches = slotMismatches.length > 0 || counterMismatches.length > 0;
+        if (fix && hasMismatches) {
+            const audit = { session, actor, action: 'reconcile' };
+            for (const mismatch of slotMismatches) {
+                await updateAudited(db, 'slots',
+                    { _id: mismatch.slot_id },
+                    mismatch.expected.status === "held"
+                        ? { $set: mismatch.expected }
+                        : { $set: mismatch.expected, $unset: { hold: "" } },
+                    audit
+                );
+            }
+            if (counterMismatches.length) {
+                await updateAudited(db, 'parking_areas', { _id: parkingId }, { $set: counters }, audit);
+            }
+        }
+
+        return {
+            parking_id: parkingId,
+            name: parkingArea.name,
+            consistent: !hasMismatches && orphaned.length === 0,
+            fixed: fix && hasMismatches,
+            counters: counterMismatches,
+            slots: slotMismatches,
+            orphaned_bookings: orphaned.map(booking => booking._id),
+        };
+    });
+}
+
+// Reconcile every parking area, or only `parkingIds`. Returns one report
+// per area.
+async function reconcileParkingAreas(store, { parkingIds, ...options } = {}) {
+    const ids = parkingIds || await store.db.collection('parking_areas').distinct('_id');
+    const reports = [];
+    for (const parkingId of ids) {
+        const report = await reconcileParkingArea(store, parkingId, options);
+        if (report) reports.push(report);
+    }
+    return reports;
+}
+
+module.exports = { reconcileParkingArea, reconcileParkingAreas };
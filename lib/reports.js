@@ -0,0 +1,260 @@
+// Owner reports over the bookings, passes and payments of one parking area,
+// built as MongoDB aggregation pipelines. Every report takes the same options:
+//   { parkingId, from, to, granularity: 'day'|'week'|'month', timezone }
+// and resolves to { columns, rows } so it can be sent as JSON or CSV.
+
+const HOUR_MS = 60 * 60 * 1000;
+const GRANULARITIES = ['day', 'week', 'month'];
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+function period(field, { granularity, timezone }) {
+    return { $dateTrunc: { date: field, unit: granularity, timezone, startOfWeek: 'monday' } };
+}
+
+function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+// Amounts summed per period of `dateField`, keyed by the period's ISO date
+async function amountsByPeriod(db, collection, pipeline, dateField, amountField, options) {
+    const rows = await db.collection(collection).aggregate([
+        ...pipeline,
+        {
+            $group: {
+                _id: period(dateField, options),
+                amount: { $sum: { $ifNull: [amountField, 0] } },
+                count: { $sum: 1 },
+            },
+        },
+    ]).toArray();
+    return new Map(rows.map(row => [row._id.toISOString(), row]));
+}
+
+// Revenue per period: parking fees of completed bookings by exit time,
+// cancellation fees by cancellation time and pass sales and renewals by
+// the time they were paid, less refunds by the time they were made
+async function revenueReport(db, options) {
+    const { parkingId, from, to } = options;
+    const inRange = { $gte: from, $lt: to };
+    const fees = await amountsByPeriod(db, 'bookings', [
+        { $match: { parking_id: parkingId, status: "completed", exit_time: inRange } },
+    ], '$exit_time', '$amount', options);
+    const cancellations = await amountsByPeriod(db, 'bookings', [
+        { $match: { parking_id: parkingId, status: "cancelled", amount: { $gt: 0 }, cancelled_at: inRange } },
+    ], '$cancelled_at', '$amount', options);
+    const sales = await amountsByPeriod(db, 'passes', [
+        { $match: { parking_id: parkingId, paid_at: inRange } },
+    ], '$paid_at', '$price', options);
+    const renewals = await amountsByPeriod(db, 'passes', [
+        { $match: { parking_id: parkingId, 'renewals.at': inRange } },
+        { $unwind: '$renewals' },
+        { $match: { 'renewals.at': inRange } },
+    ], '$renewals.at', '$renewals.price', options);
+    const refunds = await amountsByPeriod(db, 'payments', [
+        { $match: { parking_id: parkingId, status: "refunded" } },
+        { $unwind: '$history' },
+        { $match: { 'history.status': "refunded", 'history.at': inRange } },
+    ], '$history.at', '$amount', options);
+
+    const amount = (rows, key) => (rows.has(key) ? rows.get(key).amount : 0);
+    const periods = [...new Set([fees, cancellations, sales, renewals, refunds].flatMap(rows => [...rows.keys()]))].sort();
+    return {
+        columns: ['period', 'revenue', 'parking_fees', 'cancellation_fees', 'pass_sales', 'refunds', 'sessions'],
+        rows: periods.map((key) => {
+            const parkingFees = amount(fees, key);
+            const cancellationFees = amount(cancellations, key);
+            const passSales = amount(sales, key) + amount(renewals, key);
+            const refunded = amount(refunds, key);
+            return {
+                period: new Date(key),
+                revenue: round(parkingFees + cancellationFees + passSales - refunded),
+                parking_fees: round(parkingFees),
+                cancellation_fees: round(cancellationFees),
+                pass_sales: round(passSales),
+                refunds: round(refunded),
+                sessions: fees.has(key) ? fees.get(key).count : 0,
+            };
+        }),
+    };
+}
+
+// Sessions started per period and the average stay of those completed
+async function sessionsReport(db, options) {
+    const { parkingId, from, to } = options;
+    const rows = await db.collection('bookings').aggregate([
+        {
+            $match: {
+                parking_id: parkingId,
+                status: { $in: ["active", "completed"] },
+                entry_time: { $gte: from, $lt: to },
+            },
+        },
+        {
+            $group: {
+                _id: period('$entry_time', options),
+                sessions: { $sum: 1 },
+                completed: { $sum: { $cond: [{ $eq: ['$status', "completed"] }, 1, 0] } },
+                avg_duration_minutes: {
+                    $avg: {
+                        $cond: [
+                            { $eq: ['$status', "completed"] },
+                            { $dateDiff: { startDate: '$entry_time', endDate: '$exit_time', unit: 'minute' } },
+                            null,
+                        ],
+                    },
+                },
+            },
+        },
+        { $sort: { _id: 1 } },
+    ]).toArray();
+    return {
+        columns: ['period', 'sessions', 'completed', 'avg_duration_minutes'],
+        rows: rows.map(row => ({
+            period: row._id,
+            sessions: row.sessions,
+            completed: row.completed,
+            avg_duration_minutes: row.avg_duration_minutes === null ? null : round(row.avg_duration_minutes, 1),
+        })),
+    };
+}
+
+// How often each local (weekday, hour) falls inside [from, to), counting
+// from the start of the local clock hour `from` falls in
+function countWeekdayHours(from, to, timezone) {
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'long',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        hourCycle: 'h23',
+    });
+    const field = (parts, type) => parts.find(part => part.type === type).value;
+    const first = format.formatToParts(from);
+    const start = from.getTime() - (Number(field(first, 'minute')) * 60 + Number(field(first, 'second'))) * 1000 - from.getMilliseconds();
+    const counts = new Map();
+    for (let time = start; time < to.getTime(); time += HOUR_MS) {
+        const parts = format.formatToParts(new Date(time));
+        const day = DAY_NAMES.indexOf(field(parts, 'weekday')) + 1;
+        const key = `${day}:${Number(field(parts, 'hour'))}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+}
+
+// Occupancy heatmap by local weekday and hour. Each booking contributes one
+// vehicle-hour to every clock hour it overlaps within the range; dividing by
+// the number of such hours in the range and the slot count gives the
+// average share of slots occupied.
+async function occupancyReport(db, options, totalSlots) {
+    const { parkingId, from, to, timezone } = options;
+    const now = new Date();
+    const rows = await db.collection('bookings').aggregate([
+        {
+            $match: {
+                parking_id: parkingId,
+                status: { $in: ["active", "completed"] },
+                entry_time: { $lt: to },
+                $or: [{ exit_time: { $gte: from } }, { status: "active" }],
+            },
+        },
+        {
+            $project: {
+                start: { $dateTrunc: { date: { $max: ['$entry_time', from] }, unit: 'hour', timezone } },
+                end: { $min: [{ $ifNull: ['$exit_time', now] }, to] },
+            },
+        },
+        { $match: { $expr: { $lt: ['$start', '$end'] } } },
+        {
+            $project: {
+                start: 1,
+                offsets: { $range: [0, { $add: [{ $dateDiff: { startDate: '$start', endDate: '$end', unit: 'hour', timezone } }, 1] }] },
+                end: 1,
+            },
+        },
+        { $unwind: '$offsets' },
+        { $project: { hour_start: { $dateAdd: { startDate: '$start', unit: 'hour', amount: '$offsets' } }, end: 1 } },
+        { $match: { $expr: { $lt: ['$hour_start', '$end'] } } },
+        {
+            $group: {
+                _id: {
+                    day: { $isoDayOfWeek: { date: '$hour_start', timezone } },
+                    hour: { $hour: { date: '$hour_start', timezone } },
+                },
+                vehicle_hours: { $sum: 1 },
+            },
+        },
+    ]).toArray();
+
+    const occurrences = countWeekdayHours(from, to, timezone);
+    const byKey = new Map(rows.map(row => [`${row._id.day}:${row._id.hour}`, row.vehicle_hours]));
+    const heatmap = [];
+    for (let day = 1; day <= 7; day++) {
+        for (let hour = 0; hour < 24; hour++) {
+            const key = `${day}:${hour}`;
+            const hours = occurrences.get(key) || 0;
+            if (!hours) continue;
+            const vehicleHours = byKey.get(key) || 0;
+            const avgOccupied = vehicleHours / hours;
+            heatmap.push({
+                day_of_week: DAY_NAMES[day - 1],
+                hour,
+                vehicle_hours: vehicleHours,
+                avg_occupied_slots: round(avgOccupied),
+                occupancy_pct: totalSlots ? round((avgOccupied / totalSlots) * 100, 1) : null,
+            });
+        }
+    }
+    return {
+        columns: ['day_of_week', 'hour', 'vehicle_hours', 'avg_occupied_slots', 'occupancy_pct'],
+        rows: heatmap,
+    };
+}
+
+// Sessions, revenue and average stay per vehicle type
+async function vehicleSplitReport(db, options) {
+    const { parkingId, from, to } = options;
+    const rows = await db.collection('bookings').aggregate([
+        {
+            $match: {
+                parking_id: parkingId,
+                status: { $in: ["active", "completed"] },
+                entry_time: { $gte: from, $lt: to },
+            },
+        },
+        {
+            $group: {
+                _id: '$vehicle_type',
+                sessions: { $sum: 1 },
+                revenue: { $sum: { $ifNull: ['$amount', 0] } },
+            },
+        },
+        { $sort: { sessions: -1 } },
+    ]).toArray();
+    const totalSessions = rows.reduce((sum, row) => sum + row.sessions, 0);
+    return {
+        columns: ['vehicle_type', 'sessions', 'share_pct', 'revenue'],
+        rows: rows.map(row => ({
+            vehicle_type: row._id,
+            sessions: row.sessions,
+            share_pct: totalSessions ? round((row.sessions / totalSessions) * 100, 1) : 0,
+            revenue: round(row.revenue),
+        })),
+    };
+}
+
+const REPORTS = {
+    revenue: (db, options) => revenueReport(db, options),
+    sessions: (db, options) => sessionsReport(db, options),
+    occupancy: (db, options, parkingArea) => occupancyReport(
+        db,
+        options,
+        Object.entries(parkingArea)
+            .filter(([key]) => /^total_\w+_slots$/.test(key))
+            .reduce((sum, [, value]) => sum + (value || 0), 0)
+    ),
+    'vehicle-split': (db, options) => vehicleSplitReport(db, options),
+};
+
+module.exports = { REPORTS, GRANULARITIES };
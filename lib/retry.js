@@ -0,0 +1,25 @@
+// Delay before retry number `attempt` (1-based): exponential from baseMs,
+// capped at maxMs, with up to 20% random jitter so restarting instances do
+// not retry in lockstep
+function backoffDelay(attempt, { baseMs, maxMs }) {
+    const delay = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.2));
+}
+
+// Call fn until it resolves or `attempts` calls have failed, in which case
+// the last error is thrown. onRetry(error, attempt, delayMs) is called
+// before each wait.
+async function retryWithBackoff(fn, { attempts, baseMs, maxMs, onRetry = () => {} }) {
+    for (let attempt = 1; ; attempt += 1) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= attempts) throw error;
+            const delay = backoffDelay(attempt, { baseMs, maxMs });
+            onRetry(error, attempt, delay);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+module.exports = { backoffDelay, retryWithBackoff };
@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const { BookingError, RESERVATION_LEAD_MS, overlapFilter, openSessionEnd } = require('./bookings');
+const { AppError } = require('./errors');
+const { updateAudited, insertAudited, deleteAudited } = require('./audit');
+
+// Every parking area has car and bike pools, possibly empty; owners can add
+// further types such as ev, truck or accessible, listed in vehicle_types.
+const DEFAULT_VEHICLE_TYPES = ['car', 'bike'];
+// Bookings in these states tie up a slot, so the slot cannot be removed
+const HOLDING_STATUSES = ["active", "reserved"];
+
+function areaVehicleTypes(parkingArea) {
+    return [...new Set([...DEFAULT_VEHICLE_TYPES, ...(parkingArea.vehicle_types || [])])];
+}
+
+function buildSlots(parkingId, vehicleType, slotNumbers) {
+    return slotNumbers.map(slotNumber => ({
+        parking_id: parkingId,
+        slot_number: slotNumber,
+        vehicle_type: vehicleType,
+        ...layoutOf({}),
+        status: "available",
+        current_booking_id: null,
+    }));
+}
+
+// Where a slot is and what it offers: the floor and zone it is on, the
+// label painted on the bay (e.g. "C-14") and attributes such as accessible,
+// covered or ev_charging. Slots are still identified by vehicle type and
+// slot_number; the layout is only for finding and choosing them.
+function layoutOf({ floor, zone, label, attributes }) {
+    return { floor: floor || null, zone: zone || null, label: label || null, attributes: attributes || [] };
+}
+
+// Query for slots on a floor and zone having all of `attributes`
+function layoutFilter({ floor, zone, attributes } = {}) {
+    return {
+        ...(floor && { floor }),
+        ...(zone && { zone }),
+        ...(attributes && attributes.length && { attributes: { $all: attributes } }),
+    };
+}
+
+// Slots of a type, optionally matching a layout filter, that createBooking
+// would accept for [start, end): not kept for a pass, available if the
+// booking starts now, and without another booking in that window. Without
+// an end the slot only has to be free until reservations can no longer be
+// checked in ahead of it, as createBooking bounds the session by the next;
+// slots reserved later on come after those that are not.
+async function findFreeSlots(db, parkingId, { vehicleType, layout, start, end = null, limit }) {
+    const now = new Date();
+    const startsNow = start - now <= RESERVATION_LEAD_MS;
+    const busy = await db.collection('bookings').distinct('slot_id', {
+        parking_id: parkingId,
+        ...overlapFilter(startsNow ? now : start, end || openSessionEnd(now)),
+    });
+    const reservedLater = startsNow && !end
+        ? await db.collection('bookings').distinct('slot_id', { parking_id: parkingId, status: "reserved", start_time: { $gte: now } })
+        : [];
+    const find = (ids, count) => db.collection('slots')
+        .find({
+            parking_id: parkingId,
+            vehicle_type: vehicleType,
+            status: startsNow ? "available" : { $ne: "held" },
+            reserved_pass: { $exists: false },
+            _id: ids,
+            ...layoutFilter(layout),
+        })
+        .sort({ slot_number: 1 })
+        .limit(count)
+        .toArray();
+
+    const slots = await find({ $nin: [...busy, ...reservedLater] }, limit);
+    if (slots.length < limit && reservedLater.length) {
+        slots.push(...await find({ $nin: busy, $in: reservedLater }, limit - slots.length));
+    }
+    return slots;
+}
+
+// Set the layout of the slots named in `rows` by vehicle_type and
+// slot_number, in one transaction. Fields left out of a row are cleared;
+// slots not named keep their layout. Labels must stay unique within the
+// parking area. Returns the number of slots whose layout changed.
+async function applySlotLayout(store, parkingId, rows, actor) {
+    const { db } = store;
+    return store.withTransaction(async (session) => {
+        const slots = await db.collection('slots').find({ parking_id: parkingId }, { session }).toArray();
+        const slotsByKey = new Map(slots.map(slot => [`${slot.vehicle_type}:${slot.slot_number}`, slot]));
+
+        const layouts = new Map();
+        const unknown = [];
+        const repeated = [];
+        rows.forEach((row, index) => {
+            const slot = slotsByKey.get(`${row.vehicle_type}:${row.slot_number}`);
+            if (!slot) {
+                unknown.push({ row: index + 1, vehicle_type: row.vehicle_type, slot_number: row.slot_number });
+            } else if (layouts.has(slot)) {
+                repeated.push({ row: index + 1, vehicle_type: row.vehicle_type, slot_number: row.slot_number });
+            } else {
+                layouts.set(slot, layoutOf(row));
+            }
+        });
+        if (unknown.length) {
+            throw new AppError(422, 'UNKNOWN_SLOTS', "Some rows name slots this parking area does not have", unknown);
+        }
+        if (repeated.length) {
+            throw new AppError(422, 'DUPLICATE_SLOTS', "Some slots are named more than once", repeated);
+        }
+
+        const labelled = new Map();
+        for (const slot of slots) {
+            const { label } = layouts.get(slot) || layoutOf(slot);
+            if (!label) continue;
+            const slotKey = { vehicle_type: slot.vehicle_type, slot_number: slot.slot_number };
+            labelled.set(label, [...(labelled.get(label) || []), slotKey]);
+        }
+        const clashes = [...labelled].filter(([, labelledSlots]) => labelledSlots.length > 1);
+        if (clashes.length) {
+            throw new AppError(422, 'DUPLICATE_LABELS', "Slot labels must be unique within a parking area",
+                clashes.map(([label, labelledSlots]) => ({ label, slots: labelledSlots })));
+        }
+
+        const audit = { session, actor, action: 'area.layout' };
+        let changed = 0;
+        for (const [slot, layout] of layouts) {
+            const before = layoutOf(slot);
+            if (JSON.stringify(before) === JSON.stringify(layout)) continue;
+            await updateAudited(db, 'slots', { _id: slot._id }, { $set: layout }, audit);
+            changed += 1;
+        }
+        return changed;
+    });
+}
+
+// Work out how to reach the requested slot totals without touching slots
+// that are in use. New slots get the next free numbers; removals take the
+// highest-numbered free slots first. `targets` maps vehicle type to the
+// requested total; types left undefined are not changed.
+//
+// The plan's `id` is a digest of its changes, so a confirmation can be
+// checked against the plan the owner reviewed.
+async function planSlotChanges(db, parkingArea, targets) {
+    const parkingId = parkingArea._id;
+    const slots = await db.collection('slots').find({ parking_id: parkingId }).toArray();
+    const holding = await db.collection('bookings').distinct('slot_id', {
+        parking_id: parkingId,
+        status: { $in: HOLDING_STATUSES },
+    });
+    const heldIds = new Set(holding.map(id => id.toString()));
+
+    const changes = {};
+    let hasChanges = false;
+    let blocked = false;
+    for (const vehicleType of Object.keys(targets)) {
+        const target = targets[vehicleType];
+        const existing = slots
+            .filter(slot => slot.vehicle_type === vehicleType)
+            .sort((a, b) => a.slot_number - b.slot_number);
+        if (target === undefined || target === existing.length) continue;
+
+        const change = { current: existing.length, target, add: [], remove: [], occupied: [] };
+        if (target > existing.length) {
+            const highest = existing.length ? existing[existing.length - 1].slot_number : 0;
+            change.add = Array.from({ length: target - existing.length }, (_, i) => highest + i + 1);
+        } else {
+            const free = existing.filter(slot => slot.status === "available" && !slot.reserved_pass && !heldIds.has(slot._id.toString()));
+            const needed = existing.length - target;
+            change.remove = free.slice(-needed).map(slot => ({ _id: slot._id, slot_number: slot.slot_number }));
+            if (change.remove.length < needed) {
+                change.occupied = existing
+                    .filter(slot => !free.includes(slot))
+                    .map(slot => slot.slot_number);
+                blocked = true;
+            }
+        }
+        changes[vehicleType] = change;
+        hasChanges = true;
+    }
+    const id = crypto.createHash('sha256').update(JSON.stringify([parkingId, changes])).digest('hex').slice(0, 16);
+    return { id, hasChanges, blocked, changes };
+}
+
+// Free slots that are not open to everyone: held for the waitlist, or kept
+// for the holder of a pass (see lib/passes). They are not counted as available.
+function isSetAside(slot) {
+    return slot.status === "held" || (slot.status === "available" && Boolean(slot.reserved_pass));
+}
+
+// Counter fields for a parking area given, per vehicle type, its number of
+// slots, of slots set aside and of active bookings
+function slotCounters(parkingArea, { totals, held, booked }) {
+    const counters = {};
+    for (const vehicleType of new Set([...areaVehicleTypes(parkingArea), ...Object.keys(totals)])) {
+        const total = totals[vehicleType] || 0;
+        const inUse = booked[vehicleType] || 0;
+        counters[`total_${vehicleType}_slots`] = total;
+        counters[`booked_${vehicleType}_slots`] = inUse;
+        counters[`available_${vehicleType}_slots`] = Math.max(0, total - inUse - (held[vehicleType] || 0));
+    }
+    return counters;
+}
+
+// The total/available/booked counters a parking area should have, counted
+// from its slots and active bookings
+async function countSlotCounters(db, parkingId, session) {
+    // Run one after another, as a transaction session cannot run operations in parallel
+    const slotCounts = await db.collection('slots').aggregate([
+        { $match: { parking_id: parkingId } },
+        { $group: { _id: '$vehicle_type', count: { $sum: 1 } } },
+    ], { session }).toArray();
+    // Slots set aside are not available either, see isSetAside
+    const heldCounts = await db.collection('slots').aggregate([
+        { $match: { parking_id: parkingId, $or: [{ status: "held" }, { status: "available", reserved_pass: { $exists: true } }] } },
+        { $group: { _id: '$vehicle_type', count: { $sum: 1 } } },
+    ], { session }).toArray();
+    const bookedCounts = await db.collection('bookings').aggregate([
+        { $match: { parking_id: parkingId, status: "active" } },
+        { $group: { _id: '$vehicle_type', count: { $sum: 1 } } },
+    ], { session }).toArray();
+    const totals = Object.fromEntries(slotCounts.map(({ _id, count }) => [_id, count]));
+    const held = Object.fromEntries(heldCounts.map(({ _id, count }) => [_id, count]));
+    const booked = Object.fromEntries(bookedCounts.map(({ _id, count }) => [_id, count]));
+    // Types whose pool is now empty still get their counters zeroed
+    const parkingArea = await db.collection('parking_areas').findOne(
+        { _id: parkingId },
+        { session, projection: { vehicle_types: 1 } }
+    );
+
+    return slotCounters(parkingArea || {}, { totals, held, booked });
+}
+
+// Recompute the counters of a parking area rather than adjusting them
+// incrementally. `audit` is { session, actor, action } as in lib/audit.
+async function recountSlotCounters(db, parkingId, audit) {
+    const counters = await countSlotCounters(db, parkingId, audit.session);
+    await updateAudited(db, 'parking_areas', { _id: parkingId }, { $set: counters }, audit);
+    return counters;
+}
+
+// Apply a plan from planSlotChanges inside the caller's transaction and
+// return the recounted counters. Slots are only deleted if they are still
+// free, so a booking made since the plan was drawn up makes the whole
+// transaction fail with a 409 instead of orphaning it.
+async function applySlotChanges(db, parkingId, plan, { session, actor }) {
+    const audit = { session, actor, action: 'area.slots' };
+    for (const [vehicleType, change] of Object.entries(plan.changes)) {
+        if (change.add.length) {
+            await insertAudited(db, 'slots', buildSlots(parkingId, vehicleType, change.add), audit);
+        }
+        if (change.remove.length) {
+            const ids = change.remove.map(slot => slot._id);
+            const inUse = await db.collection('bookings').countDocuments(
+                { slot_id: { $in: ids }, status: { $in: HOLDING_STATUSES } },
+                { session }
+            );
+            const deleted = await deleteAudited(db, 'slots', { _id: { $in: ids }, status: "available" }, audit);
+            if (inUse || deleted !== ids.length) {
+                throw new BookingError(409, 'SLOTS_CHANGED', "Slots changed while reconfiguring; review the changes again");
+            }
+        }
+    }
+    return recountSlotCounters(db, parkingId, audit);
+}
+
+module.exports = {
+    DEFAULT_VEHICLE_TYPES,
+    areaVehicleTypes,
+    buildSlots,
+    layoutOf,
+    layoutFilter,
+    findFreeSlots,
+    applySlotLayout,
+    planSlotChanges,
+    isSetAside,
+    slotCounters,
+    recountSlotCounters,
+    applySlotChanges,
+};
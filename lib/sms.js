@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+// SMS senders share one method: send(phone, message) -> Promise.
+// Pick one with SMS_SENDER; a real gateway only needs to add an entry here.
+
+function createConsoleSender() {
+    return {
+        async send(phone, message) {
+            console.log(`[sms] to ${phone}: ${message}`);
+        },
+    };
+}
+
+function createFileSender(file) {
+    return {
+        async send(phone, message) {
+            const line = JSON.stringify({ phone, message, sentAt: new Date().toISOString() });
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.appendFile(file, line + '\n');
+        },
+    };
+}
+
+const senders = {
+    console: () => createConsoleSender(),
+    file: () => createFileSender(process.env.SMS_OUTBOX_FILE || path.join(__dirname, '..', 'sms-outbox.log')),
+};
+
+function createSmsSender(name = process.env.SMS_SENDER || 'console') {
+    const factory = senders[name];
+    if (!factory) {
+        throw new Error(`Unknown SMS sender "${name}"`);
+    }
+    return factory();
+}
+
+module.exports = { createSmsSender };
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// File stores implement:
+//   save({ buffer, originalname, mimetype }) -> { key, url }
+//   remove(key)                              -> removes the file, ignoring missing ones
+//   list()                                   -> [{ key, modifiedAt }]
+// STORAGE_DRIVER selects one; only the local disk driver exists today.
+
+function createLocalDiskStorage({ dir, publicPath }) {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // Keys are generated here and never contain path separators, so a key
+    // read back from the database cannot point outside `dir`.
+    function fileFor(key) {
+        return path.join(dir, path.basename(key));
+    }
+
+    return {
+        async save({ buffer, originalname }) {
+            const ext = path.extname(originalname || '').toLowerCase();
+            const key = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`;
+            await fs.promises.writeFile(fileFor(key), buffer);
+            return { key, url: `${publicPath}/${key}` };
+        },
+
+        async remove(key) {
+            try {
+                await fs.promises.unlink(fileFor(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        },
+
+        async list() {
+            const names = await fs.promises.readdir(dir);
+            return Promise.all(names.map(async (name) => {
+                const stat = await fs.promises.stat(fileFor(name));
+                return { key: name, modifiedAt: stat.mtime };
+            }));
+        },
+    };
+}
+
+function createStorage(driver = process.env.STORAGE_DRIVER || 'local') {
+    if (driver === 'local') {
+        return createLocalDiskStorage({
+            dir: path.join(__dirname, '..', 'uploads'),
+            publicPath: '/uploads',
+        });
+    }
+    throw new Error(`Unknown storage driver "${driver}"`);
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,31 @@
+// Data access goes through a store: { db, withTransaction, close }.
+//
+//   db                    exposes collection(name) with the MongoDB driver API
+//   withTransaction(fn)   runs fn(session) atomically and returns its result;
+//                         every operation inside must pass { session }
+//   ping()                resolves if the database is reachable
+//   close()               releases the underlying connection
+//
+// The MongoDB store is used in production; lib/store/memory.js keeps the
+// data in process so the app and its tests can run without a database.
+
+const { createMemoryStore } = require('./memory');
+
+function createMongoStore(client, dbName) {
+    const db = client.db(dbName);
+    return {
+        db,
+        async withTransaction(fn) {
+            const session = client.startSession();
+            try {
+                return await session.withTransaction(() => fn(session));
+            } finally {
+                await session.endSession();
+            }
+        },
+        ping: () => db.command({ ping: 1 }),
+        close: () => client.close(),
+    };
+}
+
+module.exports = { createMongoStore, createMemoryStore };
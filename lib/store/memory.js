@@ -0,0 +1,870 @@
+const { ObjectId } = require('mongodb');
+const { WEEKDAYS, localParts, fromLocal } = require('../time');
+
+// An in-process stand-in for MongoDB, used by the test suite and for running
+// the app without a database. It implements the part of the driver API this
+// app relies on: queries with the comparison, $in/$nin/$all, $exists, $or/$and
+// and $expr operators; $set/$unset/$inc/$push/$pull/$setOnInsert updates with
+// upserts, and pipeline updates made of $set stages; unique (optionally
+// partial) indexes; and aggregation with $geoNear (spherical, on GeoJSON
+// points), $match, $group, $sort, $skip, $limit, $count, $facet, $lookup
+// (localField/foreignField form), $unwind, $project and $addFields. Of the
+// expression operators it knows the comparisons, $cond, $ifNull, $add,
+// $max/$min, $range, $toDouble and the time-zone aware date operators the
+// reports use ($dateTrunc, $dateAdd, $dateDiff, $hour, $isoDayOfWeek).
+//
+// Transactions run one at a time and are rolled back by restoring a copy of
+// every collection, so writes made outside a transaction while one is
+// running can be lost on rollback. That is fine for tests, not for production.
+//
+// With { concurrentTransactions: true } transactions are not queued but
+// interleave one operation at a time, each on its own snapshot, and conflict
+// like MongoDB transactions do (see createMemoryStore). Tests use this to
+// check what actually keeps concurrent requests apart.
+
+function clone(value) {
+    if (value instanceof ObjectId) return value;
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    if (Array.isArray(value)) return value.map(clone);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function isOperatorObject(value) {
+    return isPlainObject(value) && Object.keys(value).some(key => key.startsWith('$'));
+}
+
+const yieldTurn = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function duplicateKeyError(index) {
+    const error = new Error(`E11000 duplicate key error collection index: ${index.name}`);
+    error.code = 11000;
+    return error;
+}
+
+// --- Values ---
+
+// All values at a dotted path, descending into arrays along the way
+function valuesAt(doc, path) {
+    let values = [doc];
+    for (const part of path.split('.')) {
+        const next = [];
+        for (const value of values) {
+            if (Array.isArray(value) && !/^\d+$/.test(part)) {
+                value.forEach(item => next.push(item && typeof item === 'object' ? item[part] : undefined));
+            } else {
+                next.push(value !== null && typeof value === 'object' ? value[part] : undefined);
+            }
+        }
+        values = next;
+    }
+    return values;
+}
+
+function valueAt(doc, path) {
+    return path.split('.').reduce((value, part) => (value !== null && typeof value === 'object' ? value[part] : undefined), doc);
+}
+
+function setAt(doc, path, value) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    let target = doc;
+    for (const part of parts) {
+        if (target[part] === null || typeof target[part] !== 'object') target[part] = {};
+        target = target[part];
+    }
+    target[last] = value;
+}
+
+function unsetAt(doc, path) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), doc);
+    if (parent && typeof parent === 'object') delete parent[last];
+}
+
+function equals(a, b) {
+    if (a instanceof ObjectId || b instanceof ObjectId) {
+        return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+    }
+    if (a instanceof Date || b instanceof Date) {
+        return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    }
+    if (a === null || a === undefined || b === null || b === undefined) {
+        return (a === null || a === undefined) && (b === null || b === undefined);
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, i) => equals(item, b[i]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => equals(a[key], b[key]));
+    }
+    return a === b;
+}
+
+// Order two values the way a sort or range query would; values of different
+// kinds are not comparable and yield null.
+function compare(a, b) {
+    const rank = value => (value instanceof Date ? value.getTime() : value);
+    const left = rank(a);
+    const right = rank(b);
+    if (left instanceof ObjectId && right instanceof ObjectId) {
+        return left.toHexString().localeCompare(right.toHexString());
+    }
+    if (typeof left !== typeof right || !['number', 'string', 'boolean'].includes(typeof left)) return null;
+    return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function sortValue(a, b) {
+    if ((a === null || a === undefined) && (b === null || b === undefined)) return 0;
+    if (a === null || a === undefined) return -1;
+    if (b === null || b === undefined) return 1;
+    return compare(a, b) || 0;
+}
+
+// --- Queries ---
+
+function matchesValue(value, condition) {
+    if (isOperatorObject(condition)) {
+        return Object.entries(condition).every(([operator, operand]) => applyOperator(value, operator, operand));
+    }
+    if (Array.isArray(value) && !Array.isArray(condition)) {
+        return value.some(item => equals(item, condition));
+    }
+    return equals(value, condition);
+}
+
+function applyOperator(value, operator, operand) {
+    const candidates = Array.isArray(value) ? [value, ...value] : [value];
+    const some = test => candidates.some(test);
+    switch (operator) {
+        case '$eq': return matchesValue(value, operand);
+        case '$ne': return !matchesValue(value, operand);
+        case '$gt': return some(item => compare(item, operand) > 0);
+        case '$gte': return some(item => compare(item, operand) >= 0);
+        case '$lt': return some(item => compare(item, operand) < 0);
+        case '$lte': return some(item => compare(item, operand) <= 0);
+        case '$in': return operand.some(option => matchesValue(value, option));
+        case '$nin': return !operand.some(option => matchesValue(value, option));
+        case '$all': return operand.every(option => matchesValue(value, option));
+        case '$exists': return (value !== undefined) === Boolean(operand);
+        default: throw new Error(`Query operator ${operator} is not supported by the in-memory store`);
+    }
+}
+
+function matches(doc, filter = {}) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$or') return condition.some(branch => matches(doc, branch));
+        if (key === '$and') return condition.every(branch => matches(doc, branch));
+        if (key === '$nor') return !condition.some(branch => matches(doc, branch));
+        if (key === '$expr') {
+            const value = evaluate(doc, condition);
+            return !isMissing(value) && value !== false && value !== 0;
+        }
+        if (key.startsWith('$')) {
+            throw new Error(`Query operator ${key} is not supported by the in-memory store`);
+        }
+        const values = valuesAt(doc, key);
+        const value = values.length === 1 ? values[0] : values.flat();
+        return matchesValue(value, condition);
+    });
+}
+
+// --- Updates ---
+
+function applyUpdate(doc, update, isInsert) {
+    for (const [operator, fields] of Object.entries(update)) {
+        for (const [path, operand] of Object.entries(fields)) {
+            switch (operator) {
+                case '$set':
+                    setAt(doc, path, clone(operand));
+                    break;
+                case '$setOnInsert':
+                    if (isInsert) setAt(doc, path, clone(operand));
+                    break;
+                case '$unset':
+                    unsetAt(doc, path);
+                    break;
+                case '$inc':
+                    setAt(doc, path, (valueAt(doc, path) || 0) + operand);
+                    break;
+                case '$push': {
+                    const items = isPlainObject(operand) && operand.$each ? operand.$each : [operand];
+                    setAt(doc, path, [...(valueAt(doc, path) || []), ...items.map(clone)]);
+                    break;
+                }
+                case '$pull': {
+                    const keep = item => (isPlainObject(operand) && !isOperatorObject(operand)
+                        ? !matches(item, operand)
+                        : !matchesValue(item, operand));
+                    setAt(doc, path, (valueAt(doc, path) || []).filter(keep));
+                    break;
+                }
+                default:
+                    throw new Error(`Update operator ${operator} is not supported by the in-memory store`);
+            }
+        }
+    }
+    return doc;
+}
+
+// Pipeline-style updates, e.g. [{ $set: { total: { $toDouble: '$total' } } }]
+function applyPipelineUpdate(doc, stages) {
+    return stages.reduce((current, stage) => {
+        const [[name, spec]] = Object.entries(stage);
+        if (name !== '$set' && name !== '$addFields') {
+            throw new Error(`Update stage ${name} is not supported by the in-memory store`);
+        }
+        return addFields([current], spec)[0];
+    }, doc);
+}
+
+// The equality fields of a filter become the fields of an upserted document
+function upsertBase(filter) {
+    const doc = {};
+    for (const [key, condition] of Object.entries(filter)) {
+        if (!key.startsWith('$') && !isOperatorObject(condition)) setAt(doc, key, clone(condition));
+    }
+    return doc;
+}
+
+function project(doc, projection) {
+    if (!projection || Object.keys(projection).length === 0) return clone(doc);
+    const entries = Object.entries(projection).filter(([key]) => key !== '_id');
+    const including = entries.some(([, flag]) => flag);
+    let result;
+    if (including) {
+        result = {};
+        for (const [key] of entries) {
+            const value = valueAt(doc, key);
+            if (value !== undefined) setAt(result, key, clone(value));
+        }
+        if (projection._id !== 0 && doc._id !== undefined) result._id = doc._id;
+    } else {
+        result = clone(doc);
+        for (const [key] of entries) unsetAt(result, key);
+        if (projection._id === 0) delete result._id;
+    }
+    return result;
+}
+
+function sortDocs(docs, spec) {
+    const keys = Object.entries(spec);
+    return [...docs].sort((a, b) => {
+        for (const [key, direction] of keys) {
+            const order = sortValue(valueAt(a, key), valueAt(b, key));
+            if (order) return order * direction;
+        }
+        return 0;
+    });
+}
+
+// --- Aggregation ---
+
+// --- Dates ---
+
+const UNIT_MS = { millisecond: 1, second: 1000, minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+
+function dateTrunc(date, unit, timezone, startOfWeek = 'sunday') {
+    if (!(date instanceof Date)) return null;
+    const local = localParts(date, timezone);
+    switch (unit) {
+        case 'minute': return fromLocal({ ...local, second: 0 }, timezone);
+        case 'hour': return fromLocal({ ...local, minute: 0, second: 0 }, timezone);
+        case 'day': return fromLocal({ year: local.year, month: local.month, day: local.day }, timezone);
+        case 'week': {
+            const first = WEEKDAYS.findIndex(day => day.startsWith(startOfWeek.toLowerCase())) + 1;
+            const back = (local.isoWeekday - first + 7) % 7;
+            return fromLocal({ year: local.year, month: local.month, day: local.day - back }, timezone);
+        }
+        case 'month': return fromLocal({ year: local.year, month: local.month }, timezone);
+        case 'year': return fromLocal({ year: local.year, month: 1 }, timezone);
+        default: throw new Error(`$dateTrunc unit ${unit} is not supported by the in-memory store`);
+    }
+}
+
+// Date operators take either a date or { date, timezone }
+function dateOperand(doc, operands) {
+    const spec = isPlainObject(operands) && 'date' in operands ? operands : { date: operands };
+    return { date: evaluate(doc, spec.date), timezone: spec.timezone ? evaluate(doc, spec.timezone) : 'UTC' };
+}
+
+// --- Expressions ---
+
+function evaluateAll(doc, operands) {
+    return (Array.isArray(operands) ? operands : [operands]).map(operand => evaluate(doc, operand));
+}
+
+function isMissing(value) {
+    return value === null || value === undefined;
+}
+
+function evaluate(doc, expression) {
+    if (typeof expression === 'string' && expression.startsWith('$')) return valueAt(doc, expression.slice(1));
+    if (isOperatorObject(expression)) {
+        const [[operator, operands]] = Object.entries(expression);
+        switch (operator) {
+            case '$ifNull': {
+                const values = operands.map(operand => evaluate(doc, operand));
+                const found = values.find(value => value !== null && value !== undefined);
+                return found === undefined ? null : found;
+            }
+            case '$toDouble': {
+                const value = evaluate(doc, operands);
+                if (value === null || value === undefined) return null;
+                const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+                if (typeof number !== 'number' || Number.isNaN(number)) {
+                    throw new Error(`Failed to parse number '${value}' in $toDouble`);
+                }
+                return number;
+            }
+            case '$cond': {
+                const [test, then, otherwise] = Array.isArray(operands)
+                    ? operands
+                    : [operands.if, operands.then, operands.else];
+                const value = evaluate(doc, test);
+                return evaluate(doc, !isMissing(value) && value !== false && value !== 0 ? then : otherwise);
+            }
+            case '$eq':
+            case '$ne': {
+                const [a, b] = evaluateAll(doc, operands);
+                return equals(a, b) === (operator === '$eq');
+            }
+            case '$gt': return sortValue(...evaluateAll(doc, operands)) > 0;
+            case '$gte': return sortValue(...evaluateAll(doc, operands)) >= 0;
+            case '$lt': return sortValue(...evaluateAll(doc, operands)) < 0;
+            case '$lte': return sortValue(...evaluateAll(doc, operands)) <= 0;
+            case '$and': return evaluateAll(doc, operands).every(value => !isMissing(value) && value !== false && value !== 0);
+            case '$max':
+            case '$min': {
+                const values = evaluateAll(doc, operands).filter(value => !isMissing(value));
+                if (!values.length) return null;
+                const sign = operator === '$max' ? 1 : -1;
+                return values.reduce((best, value) => (sortValue(value, best) * sign > 0 ? value : best));
+            }
+            case '$add': {
+                const values = evaluateAll(doc, operands);
+                if (values.some(isMissing)) return null;
+                const total = values.reduce((sum, value) => sum + (value instanceof Date ? value.getTime() : value), 0);
+                return values.some(value => value instanceof Date) ? new Date(total) : total;
+            }
+            case '$range': {
+                const [start, end, step = 1] = evaluateAll(doc, operands);
+                const values = [];
+                for (let value = start; step > 0 ? value < end : value > end; value += step) values.push(value);
+                return values;
+            }
+            case '$dateTrunc': {
+                const { date, timezone } = dateOperand(doc, operands);
+                return dateTrunc(date, operands.unit, timezone, operands.startOfWeek);
+            }
+            case '$dateAdd': {
+                const start = evaluate(doc, operands.startDate);
+                const amount = evaluate(doc, operands.amount);
+                if (!UNIT_MS[operands.unit]) throw new Error(`$dateAdd unit ${operands.unit} is not supported by the in-memory store`);
+                return isMissing(start) || isMissing(amount) ? null : new Date(start.getTime() + amount * UNIT_MS[operands.unit]);
+            }
+            // Counts the unit boundaries crossed, like MongoDB
+            case '$dateDiff': {
+                const start = evaluate(doc, operands.startDate);
+                const end = evaluate(doc, operands.endDate);
+                if (isMissing(start) || isMissing(end)) return null;
+                const timezone = operands.timezone ? evaluate(doc, operands.timezone) : 'UTC';
+                if (!['minute', 'hour', 'day'].includes(operands.unit)) {
+                    throw new Error(`$dateDiff unit ${operands.unit} is not supported by the in-memory store`);
+                }
+                const boundary = (date) => {
+                    if (operands.unit !== 'day') return dateTrunc(date, operands.unit, timezone).getTime();
+                    const local = localParts(date, timezone);
+                    return Date.UTC(local.year, local.month - 1, local.day);
+                };
+                return Math.round((boundary(end) - boundary(start)) / UNIT_MS[operands.unit]);
+            }
+            case '$hour': {
+                const { date, timezone } = dateOperand(doc, operands);
+                return isMissing(date) ? null : localParts(date, timezone).hour;
+            }
+            case '$isoDayOfWeek': {
+                const { date, timezone } = dateOperand(doc, operands);
+                return isMissing(date) ? null : localParts(date, timezone).isoWeekday;
+            }
+            default: throw new Error(`Expression ${operator} is not supported by the in-memory store`);
+        }
+    }
+    if (Array.isArray(expression)) return expression.map(item => evaluate(doc, item));
+    if (isPlainObject(expression)) {
+        return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(doc, value)]));
+    }
+    return expression;
+}
+
+function group(docs, { _id: key, ...accumulators }) {
+    const groups = new Map();
+    for (const doc of docs) {
+        const id = evaluate(doc, key);
+        const hash = JSON.stringify(id);
+        if (!groups.has(hash)) groups.set(hash, { id, docs: [] });
+        groups.get(hash).docs.push(doc);
+    }
+    return [...groups.values()].map(({ id, docs: members }) => {
+        const result = { _id: id };
+        for (const [field, accumulator] of Object.entries(accumulators)) {
+            const [[operator, expression]] = Object.entries(accumulator);
+            const values = members.map(doc => evaluate(doc, expression));
+            const numbers = values.filter(value => typeof value === 'number');
+            switch (operator) {
+                case '$sum': result[field] = numbers.reduce((sum, value) => sum + value, 0); break;
+                case '$avg': result[field] = numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null; break;
+                case '$min': result[field] = numbers.length ? Math.min(...numbers) : null; break;
+                case '$max': result[field] = numbers.length ? Math.max(...numbers) : null; break;
+                default: throw new Error(`Accumulator ${operator} is not supported by the in-memory store`);
+            }
+        }
+        return result;
+    });
+}
+
+function lookup(docs, { from, localField, foreignField, as }, db) {
+    const foreign = db.collection(from).docs;
+    return docs.map((doc) => {
+        const local = valuesAt(doc, localField).flat();
+        const joined = foreign.filter(other => valuesAt(other, foreignField).flat()
+            .some(value => local.some(item => equals(item, value))));
+        const result = clone(doc);
+        setAt(result, as, joined.map(clone));
+        return result;
+    });
+}
+
+function unwind(docs, spec) {
+    const { path, preserveNullAndEmptyArrays = false } = typeof spec === 'string' ? { path: spec } : spec;
+    const field = path.slice(1);
+    return docs.flatMap((doc) => {
+        const value = valueAt(doc, field);
+        if (!Array.isArray(value) || value.length === 0) {
+            if (!preserveNullAndEmptyArrays) return Array.isArray(value) || value == null ? [] : [doc];
+            const result = clone(doc);
+            if (Array.isArray(value)) unsetAt(result, field);
+            return [result];
+        }
+        return value.map((item) => {
+            const result = clone(doc);
+            setAt(result, field, item);
+            return result;
+        });
+    });
+}
+
+// $project with 0/1 flags is an ordinary projection; any other value is an
+// expression computing a new field
+function projectStage(docs, spec) {
+    const computed = Object.entries(spec).filter(([, value]) => value !== 0 && value !== 1 && value !== true && value !== false);
+    const flags = Object.fromEntries(Object.entries(spec).filter(([key]) => !computed.some(([field]) => field === key)));
+    return docs.map((doc) => {
+        const result = Object.keys(flags).length ? project(doc, flags) : { _id: doc._id };
+        for (const [field, expression] of computed) setAt(result, field, evaluate(doc, expression));
+        return result;
+    });
+}
+
+function addFields(docs, spec) {
+    return docs.map((doc) => {
+        const result = clone(doc);
+        for (const [field, expression] of Object.entries(spec)) setAt(result, field, evaluate(doc, expression));
+        return result;
+    });
+}
+
+// Mean earth radius MongoDB uses for spherical distances
+const EARTH_RADIUS_M = 6378100;
+
+// Great-circle distance in metres between two GeoJSON points
+function sphericalDistance(from, to) {
+    const radians = degrees => degrees * Math.PI / 180;
+    const [lng1, lat1] = from.coordinates.map(radians);
+    const [lng2, lat2] = to.coordinates.map(radians);
+    const a = Math.sin((lat2 - lat1) / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// $geoNear against the single GeoJSON point field of each document, nearest first
+function geoNear(docs, { near, distanceField, maxDistance = Infinity, query = {}, key = 'location' }) {
+    return docs
+        .filter(doc => matches(doc, query) && isPlainObject(valueAt(doc, key)) && valueAt(doc, key).type === 'Point')
+        .map((doc) => {
+            const result = clone(doc);
+            setAt(result, distanceField, sphericalDistance(near, valueAt(doc, key)));
+            return result;
+        })
+        .filter(doc => valueAt(doc, distanceField) <= maxDistance)
+        .sort((a, b) => valueAt(a, distanceField) - valueAt(b, distanceField));
+}
+
+function aggregate(docs, pipeline, db) {
+    return pipeline.reduce((current, stage, index) => {
+        const [[name, spec]] = Object.entries(stage);
+        switch (name) {
+            case '$geoNear':
+                if (index !== 0) throw new Error('$geoNear is only valid as the first stage of a pipeline');
+                return geoNear(current, spec);
+            case '$facet':
+                return [Object.fromEntries(Object.entries(spec).map(([field, stages]) => [field, aggregate(current, stages, db)]))];
+            case '$match': return current.filter(doc => matches(doc, spec));
+            case '$lookup': return lookup(current, spec, db);
+            case '$unwind': return unwind(current, spec);
+            case '$project': return projectStage(current, spec);
+            case '$addFields':
+            case '$set': return addFields(current, spec);
+            case '$group': return group(current, spec);
+            case '$sort': return sortDocs(current, spec);
+            case '$skip': return current.slice(spec);
+            case '$limit': return current.slice(0, spec);
+            case '$count': return current.length ? [{ [spec]: current.length }] : [];
+            default: throw new Error(`Aggregation stage ${name} is not supported by the in-memory store`);
+        }
+    }, docs);
+}
+
+// --- Collections ---
+
+class MemoryCursor {
+    constructor(load, db) {
+        this.load = load;
+        this.db = db;
+        this.options = {};
+    }
+
+    sort(spec) { this.options.sort = spec; return this; }
+    skip(count) { this.options.skip = count; return this; }
+    limit(count) { this.options.limit = count; return this; }
+    project(projection) { this.options.projection = projection; return this; }
+
+    async toArray() {
+        if (this.db && this.db.concurrent) await yieldTurn();
+        let docs = this.load();
+        if (this.options.sort) docs = sortDocs(docs, this.options.sort);
+        if (this.options.skip) docs = docs.slice(this.options.skip);
+        if (this.options.limit) docs = docs.slice(0, this.options.limit);
+        return docs.map(doc => project(doc, this.options.projection));
+    }
+
+    async *[Symbol.asyncIterator]() {
+        yield* await this.toArray();
+    }
+}
+
+class MemoryCollection {
+    // onWrite(id) is told about every document written, see createMemoryStore
+    constructor(name, db, { docs = [], indexes = [], onWrite = () => {} } = {}) {
+        this.name = name;
+        this.db = db;
+        this.docs = docs;
+        this.indexes = indexes;
+        this.onWrite = onWrite;
+    }
+
+    // The collection an operation works on: its transaction's snapshot when
+    // transactions interleave, otherwise this one
+    target(options) {
+        const session = options && options.session;
+        return session && session.snapshot ? session.snapshot.collection(this.name) : this;
+    }
+
+    async createIndex(keys, options = {}) {
+        const name = options.name || Object.entries(keys).map(([key, value]) => `${key}_${value}`).join('_');
+        if (options.unique && !this.indexes.some(index => index.name === name)) {
+            this.indexes.push({ name, fields: Object.keys(keys), partial: options.partialFilterExpression });
+        }
+        return name;
+    }
+
+    async dropIndex(name) {
+        const index = this.indexes.findIndex(candidate => candidate.name === name);
+        if (index === -1) {
+            const error = new Error(`index not found with name [${name}]`);
+            error.code = 27;
+            error.codeName = 'IndexNotFound';
+            throw error;
+        }
+        this.indexes.splice(index, 1);
+    }
+
+    checkUnique(doc, ignore, others = this.docs) {
+        for (const index of this.indexes) {
+            if (index.partial && !matches(doc, index.partial)) continue;
+            const clash = others.some(other => other !== ignore
+                && (!index.partial || matches(other, index.partial))
+                && index.fields.every(field => equals(valueAt(other, field), valueAt(doc, field))));
+            if (clash) throw duplicateKeyError(index);
+        }
+    }
+
+    // Yield before an operation when transactions interleave
+    async turn() {
+        if (this.db.concurrent) await yieldTurn();
+    }
+
+    find(filter = {}, options = {}) {
+        const collection = this.target(options);
+        const cursor = new MemoryCursor(() => collection.docs.filter(doc => matches(doc, filter)), this.db);
+        if (options.sort) cursor.sort(options.sort);
+        if (options.skip) cursor.skip(options.skip);
+        if (options.limit) cursor.limit(options.limit);
+        if (options.projection) cursor.project(options.projection);
+        return cursor;
+    }
+
+    async findOne(filter = {}, options = {}) {
+        const [doc] = await this.find(filter, { ...options, limit: 1 }).toArray();
+        return doc || null;
+    }
+
+    async countDocuments(filter = {}, options = {}) {
+        await this.turn();
+        return this.target(options).docs.filter(doc => matches(doc, filter)).length;
+    }
+
+    async distinct(field, filter = {}, options = {}) {
+        await this.turn();
+        const values = [];
+        for (const doc of this.target(options).docs.filter(item => matches(item, filter))) {
+            for (const value of valuesAt(doc, field).flat()) {
+                if (value !== undefined && !values.some(existing => equals(existing, value))) values.push(value);
+            }
+        }
+        return values;
+    }
+
+    async insertOne(doc, options = {}) {
+        await this.turn();
+        const collection = this.target(options);
+        if (doc._id === undefined) doc._id = new ObjectId();
+        const stored = clone(doc);
+        collection.checkUnique(stored);
+        collection.docs.push(stored);
+        collection.onWrite(stored._id);
+        return { acknowledged: true, insertedId: doc._id };
+    }
+
+    async insertMany(docs, options = {}) {
+        const insertedIds = {};
+        for (const [i, doc] of docs.entries()) {
+            insertedIds[i] = (await this.insertOne(doc, options)).insertedId;
+        }
+        return { acknowledged: true, insertedCount: docs.length, insertedIds };
+    }
+
+    // Update the matching documents in place, or insert one when upserting.
+    // Returns the stored documents before and after the change.
+    modify(filter, update, { upsert = false, sort } = {}, many = false) {
+        let targets = this.docs.filter(doc => matches(doc, filter));
+        if (sort) targets = sortDocs(targets, sort);
+        if (!many) targets = targets.slice(0, 1);
+
+        if (targets.length === 0) {
+            if (!upsert) return [];
+            if (Array.isArray(update)) throw new Error('Upserts with pipeline updates are not supported by the in-memory store');
+            const doc = applyUpdate(upsertBase(filter), update, true);
+            if (doc._id === undefined) doc._id = new ObjectId();
+            this.checkUnique(doc);
+            this.docs.push(doc);
+            this.onWrite(doc._id);
+            return [{ before: null, after: doc, upserted: true }];
+        }
+
+        return targets.map((doc) => {
+            const before = clone(doc);
+            const after = Array.isArray(update) ? applyPipelineUpdate(doc, update) : applyUpdate(clone(doc), update, false);
+            this.checkUnique(after, doc);
+            this.docs[this.docs.indexOf(doc)] = after;
+            this.onWrite(after._id);
+            return { before, after, upserted: false };
+        });
+    }
+
+    async updateOne(filter, update, options = {}) {
+        await this.turn();
+        return this.updateResult(this.target(options).modify(filter, update, options, false));
+    }
+
+    async updateMany(filter, update, options = {}) {
+        await this.turn();
+        return this.updateResult(this.target(options).modify(filter, update, options, true));
+    }
+
+    updateResult(changes) {
+        const upserted = changes.find(change => change.upserted);
+        return {
+            acknowledged: true,
+            matchedCount: changes.filter(change => !change.upserted).length,
+            modifiedCount: changes.filter(change => !change.upserted && !equals(change.before, change.after)).length,
+            upsertedCount: upserted ? 1 : 0,
+            upsertedId: upserted ? upserted.after._id : null,
+        };
+    }
+
+    async findOneAndUpdate(filter, update, options = {}) {
+        await this.turn();
+        const [change] = this.target(options).modify(filter, update, options, false);
+        if (!change) return null;
+        const doc = options.returnDocument === 'after' ? change.after : change.before;
+        return doc ? project(doc, options.projection) : null;
+    }
+
+    async deleteOne(filter, options = {}) {
+        await this.turn();
+        const collection = this.target(options);
+        const index = collection.docs.findIndex(doc => matches(doc, filter));
+        if (index !== -1) collection.onWrite(collection.docs.splice(index, 1)[0]._id);
+        return { acknowledged: true, deletedCount: index === -1 ? 0 : 1 };
+    }
+
+    async deleteMany(filter = {}, options = {}) {
+        await this.turn();
+        const collection = this.target(options);
+        const deleted = collection.docs.filter(doc => matches(doc, filter));
+        collection.docs = collection.docs.filter(doc => !deleted.includes(doc));
+        deleted.forEach(doc => collection.onWrite(doc._id));
+        return { acknowledged: true, deletedCount: deleted.length };
+    }
+
+    aggregate(pipeline, options = {}) {
+        const collection = this.target(options);
+        return new MemoryCursor(() => aggregate(collection.docs, pipeline, collection.db), this.db);
+    }
+}
+
+// Transactions that interleave work on a snapshot of the data taken when
+// they start, plus their own writes, and are committed only if none of the
+// documents they wrote was written by anyone else meanwhile. Otherwise they
+// fail with a write conflict and are run again, like MongoDB transactions
+// under session.withTransaction. Writes to different documents never
+// conflict, so a transaction that checks one document and writes another
+// is not protected from a concurrent one doing the same.
+const WRITE_CONFLICT = 112;
+const MAX_TRANSACTION_ATTEMPTS = 20;
+
+function writeConflictError() {
+    const error = new Error('WriteConflict: a document written by this transaction was changed by another one');
+    error.code = WRITE_CONFLICT;
+    return error;
+}
+
+function createMemoryStore({ concurrentTransactions = false } = {}) {
+    const collections = new Map();
+    // Version of every document written, keyed by collection and _id
+    const versions = new Map();
+    const documentKey = (name, id) => `${name}:${id}`;
+    const db = {
+        concurrent: concurrentTransactions,
+        collection(name) {
+            if (!collections.has(name)) {
+                collections.set(name, new MemoryCollection(name, db, {
+                    onWrite: id => versions.set(documentKey(name, id), (versions.get(documentKey(name, id)) || 0) + 1),
+                }));
+            }
+            return collections.get(name);
+        },
+    };
+
+    // A private copy of every collection for one transaction, recording the
+    // documents it writes
+    function takeSnapshot() {
+        const base = new Map([...collections].map(([name, collection]) => [name, collection.docs.map(clone)]));
+        const seen = new Map(versions);
+        const written = new Map();
+        const snapshot = {
+            concurrent: true,
+            seen,
+            written,
+            collection(name) {
+                if (!written.has(name)) {
+                    const ids = new Set();
+                    written.set(name, {
+                        ids,
+                        collection: new MemoryCollection(name, snapshot, {
+                            docs: base.get(name) || [],
+                            indexes: db.collection(name).indexes,
+                            onWrite: id => ids.add(String(id)),
+                        }),
+                    });
+                }
+                return written.get(name).collection;
+            },
+        };
+        return snapshot;
+    }
+
+    // Apply a transaction's writes unless another write got in first
+    function commit(snapshot) {
+        const changes = [...snapshot.written].flatMap(([name, { ids, collection }]) => [...ids].map(id => ({
+            name,
+            id,
+            doc: collection.docs.find(doc => String(doc._id) === id) || null,
+        })));
+        for (const { name, id } of changes) {
+            if ((versions.get(documentKey(name, id)) || 0) !== (snapshot.seen.get(documentKey(name, id)) || 0)) {
+                throw writeConflictError();
+            }
+        }
+        for (const { name, doc } of changes) {
+            const target = db.collection(name);
+            const others = target.docs.filter(other => !changes.some(change => change.name === name && String(other._id) === change.id));
+            if (doc) target.checkUnique(doc, null, others);
+        }
+        for (const { name, id, doc } of changes) {
+            const target = db.collection(name);
+            const index = target.docs.findIndex(other => String(other._id) === id);
+            if (index !== -1) target.docs.splice(index, 1);
+            if (doc) target.docs.push(doc);
+            target.onWrite(id);
+        }
+    }
+
+    async function runInterleaved(fn) {
+        for (let attempt = 1; ; attempt++) {
+            const snapshot = takeSnapshot();
+            try {
+                const result = await fn({ inTransaction: true, snapshot });
+                await yieldTurn();
+                commit(snapshot);
+                return result;
+            } catch (error) {
+                if (error.code !== WRITE_CONFLICT || attempt === MAX_TRANSACTION_ATTEMPTS) throw error;
+            }
+        }
+    }
+
+    let queue = Promise.resolve();
+    return {
+        db,
+        withTransaction(fn) {
+            if (concurrentTransactions) return runInterleaved(fn);
+            const run = queue.then(async () => {
+                const saved = new Map([...collections].map(([name, collection]) => [name, collection.docs.map(clone)]));
+                try {
+                    return await fn({ inTransaction: true });
+                } catch (error) {
+                    for (const [name, collection] of collections) {
+                        collection.docs = saved.get(name) || [];
+                    }
+                    throw error;
+                }
+            });
+            queue = run.catch(() => {});
+            return run;
+        },
+        ping: async () => ({ ok: 1 }),
+        close: async () => {},
+    };
+}
+
+module.exports = { createMemoryStore };
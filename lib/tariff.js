@@ -0,0 +1,157 @@
+// Parking fee calculation from an owner-defined tariff.
+//
+// A tariff looks like:
+//   {
+//     currency: "INR",
+//     free_minutes: 10,          // stays this short are free
+//     first_hour_rate: 30,       // optional, replaces the rate for hour one
+//     hourly_rate: 20,           // required
+//     weekend_hourly_rate: 25,   // optional, Saturday and Sunday
+//     night: { start: "22:00", end: "06:00", hourly_rate: 10 },  // optional
+//     daily_cap: 200,            // optional, per 24 hours from entry
+//     timezone: "Asia/Kolkata",  // optional, defaults to the server's zone
+//   }
+//
+// Every started hour is billed at the rate in force when that hour begins.
+// The first hour rate wins over night rates, and night rates win over
+// weekend rates.
+
+const HOUR_MS = 60 * 60 * 1000;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function round(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function isRate(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function minutesOfDay(text) {
+    const [, hours, minutes] = TIME_OF_DAY.exec(text);
+    return Number(hours) * 60 + Number(minutes);
+}
+
+// Returns { tariff } normalized for storage, or { error } describing the first problem
+function normalizeTariff(input) {
+    if (!input || typeof input !== 'object') return { error: "Tariff is required" };
+    const { currency = 'INR', free_minutes = 0, first_hour_rate = null, hourly_rate,
+        weekend_hourly_rate = null, night = null, daily_cap = null, timezone = null } = input;
+
+    if (!isRate(hourly_rate)) return { error: "hourly_rate must be a non-negative number" };
+    if (!Number.isInteger(free_minutes) || free_minutes < 0) {
+        return { error: "free_minutes must be a non-negative integer" };
+    }
+    for (const [field, value] of Object.entries({ first_hour_rate, weekend_hourly_rate, daily_cap })) {
+        if (value !== null && !isRate(value)) return { error: `${field} must be a non-negative number` };
+    }
+    if (night !== null) {
+        if (typeof night !== 'object' || !TIME_OF_DAY.test(night.start) || !TIME_OF_DAY.test(night.end)) {
+            return { error: "night.start and night.end must be HH:MM times" };
+        }
+        if (!isRate(night.hourly_rate)) return { error: "night.hourly_rate must be a non-negative number" };
+    }
+    if (timezone !== null) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            return { error: `Unknown timezone "${timezone}"` };
+        }
+    }
+
+    return {
+        tariff: {
+            currency: String(currency),
+            free_minutes,
+            first_hour_rate,
+            hourly_rate,
+            weekend_hourly_rate,
+            night: night && { start: night.start, end: night.end, hourly_rate: night.hourly_rate },
+            daily_cap,
+            timezone,
+        },
+    };
+}
+
+// Local weekday (0 = Sunday) and minute of the day for `date`
+function localTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || undefined,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date);
+    const get = type => parts.find(part => part.type === type).value;
+    const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+    return { weekday, minute: Number(get('hour')) * 60 + Number(get('minute')) };
+}
+
+function isNight(night, minute) {
+    const start = minutesOfDay(night.start);
+    const end = minutesOfDay(night.end);
+    return start <= end
+        ? minute >= start && minute < end
+        : minute >= start || minute < end;
+}
+
+function rateFor(tariff, blockStart, isFirstHour) {
+    if (isFirstHour && tariff.first_hour_rate !== null && tariff.first_hour_rate !== undefined) {
+        return { type: 'first_hour', rate: tariff.first_hour_rate };
+    }
+    const { weekday, minute } = localTime(blockStart, tariff.timezone);
+    if (tariff.night && isNight(tariff.night, minute)) {
+        return { type: 'night', rate: tariff.night.hourly_rate };
+    }
+    if (tariff.weekend_hourly_rate !== null && tariff.weekend_hourly_rate !== undefined
+        && (weekday === 0 || weekday === 6)) {
+        return { type: 'weekend', rate: tariff.weekend_hourly_rate };
+    }
+    return { type: 'standard', rate: tariff.hourly_rate };
+}
+
+// Compute the fee for a stay. Returns the total with an itemized breakdown
+// of billed hours per rate and any daily cap discounts.
+function computeFee(tariff, entryTime, exitTime) {
+    const entry = new Date(entryTime);
+    const exit = new Date(exitTime);
+    const durationMinutes = Math.max(0, Math.ceil((exit - entry) / 60000));
+    const result = { currency: tariff.currency, duration_minutes: durationMinutes, amount: 0, breakdown: [] };
+
+    if (durationMinutes <= (tariff.free_minutes || 0)) {
+        result.breakdown.push({ type: 'free', minutes: durationMinutes, amount: 0 });
+        return result;
+    }
+
+    const hours = Math.ceil(durationMinutes / 60);
+    const lines = new Map();
+    const dayTotals = [];
+    for (let i = 0; i < hours; i++) {
+        const { type, rate } = rateFor(tariff, new Date(entry.getTime() + i * HOUR_MS), i === 0);
+        const key = `${type}:${rate}`;
+        const line = lines.get(key) || { type, rate, hours: 0, amount: 0 };
+        line.hours += 1;
+        line.amount = round(line.amount + rate);
+        lines.set(key, line);
+
+        const day = Math.floor(i / 24);
+        dayTotals[day] = (dayTotals[day] || 0) + rate;
+    }
+    result.breakdown.push(...lines.values());
+
+    let total = dayTotals.reduce((sum, amount) => sum + amount, 0);
+    if (tariff.daily_cap !== null && tariff.daily_cap !== undefined) {
+        dayTotals.forEach((amount, day) => {
+            if (amount > tariff.daily_cap) {
+                const discount = round(amount - tariff.daily_cap);
+                result.breakdown.push({ type: 'daily_cap', day: day + 1, cap: tariff.daily_cap, amount: -discount });
+                total -= discount;
+            }
+        });
+    }
+
+    result.amount = round(total);
+    return result;
+}
+
+module.exports = { normalizeTariff, computeFee };
@@ -0,0 +1,158 @@
+const QRCode = require('qrcode');
+const { ObjectId } = require('mongodb');
+const { AppError } = require('./errors');
+const { signToken, verifySignedToken } = require('./auth');
+
+// Signed parking tickets. Every booking gets a ticket whose token the app
+// shows as a QR code and the attendant scans at exit. The token is signed,
+// so it cannot be forged or guessed from a booking id, and names a ticket
+// record that says whether it is still valid: tickets are "issued", then
+// "used" when the booking completes or "revoked" when it is cancelled or
+// expires, or a new ticket replaces it. A reservation's ticket also
+// expires the validity period after its end_time, or start_time for
+// open-ended bookings; the expiry is kept on the record so it follows
+// changes to the booking. Once the vehicle is in, the ticket stays valid
+// for as long as the booking is active, so it can always be used to leave.
+// The ticket status is updated after the booking change itself, so a
+// booking that is no longer reserved or active also invalidates its ticket.
+
+const TICKET_VALIDITY_MS = (Number(process.env.TICKET_VALIDITY_HOURS) || 48) * 60 * 60 * 1000;
+const IMAGE_FORMATS = ['png', 'svg'];
+
+async function ensureTicketIndexes(db) {
+    await db.collection('tickets').createIndex({ booking_id: 1, status: 1 });
+}
+
+// When a ticket for the booking in its current state expires; null for
+// active bookings, whose tickets do not expire
+function ticketExpiry(booking) {
+    if (booking.status === "active") return null;
+    return new Date((booking.end_time || booking.start_time).getTime() + TICKET_VALIDITY_MS);
+}
+
+function isExpired(ticket, booking, now = new Date()) {
+    return booking.status !== "active" && Boolean(ticket.expires_at) && ticket.expires_at <= now;
+}
+
+// The token for a ticket. It carries no timestamps, so the same ticket
+// always has the same token and can be shown again without storing it.
+function ticketToken(ticket) {
+    return signToken('ticket', { bid: ticket.booking_id.toString() }, {
+        jwtid: ticket._id.toString(),
+        noTimestamp: true,
+    });
+}
+
+// Only reserved and active bookings have tickets
+function assertTicketable(booking) {
+    if (!["reserved", "active"].includes(booking.status)) {
+        throw new AppError(409, 'TICKET_UNAVAILABLE', `Booking is ${booking.status}`);
+    }
+}
+
+// Issue a new ticket for a booking, revoking any it had before
+async function issueTicket(db, booking) {
+    assertTicketable(booking);
+    const now = new Date();
+    await revokeTickets(db, booking._id, 'reissued');
+    const ticket = {
+        booking_id: booking._id,
+        parking_id: booking.parking_id,
+        status: "issued",
+        expires_at: ticketExpiry(booking),
+        createdAt: now,
+    };
+    await db.collection('tickets').insertOne(ticket);
+    return ticket;
+}
+
+// The booking's issued ticket, issuing one if it has none. A reservation's
+// expired ticket is returned as it is: a new one would expire at the same
+// time, and the reservation itself expires before long.
+async function currentTicket(db, booking) {
+    assertTicketable(booking);
+    const ticket = await db.collection('tickets').findOne({ booking_id: booking._id, status: "issued" });
+    return ticket || issueTicket(db, booking);
+}
+
+async function revokeTickets(db, bookingId, reason) {
+    await db.collection('tickets').updateMany(
+        { booking_id: bookingId, status: "issued" },
+        { $set: { status: "revoked", revoked_reason: reason, revokedAt: new Date() } }
+    );
+}
+
+async function useTickets(db, bookingId) {
+    await db.collection('tickets').updateMany(
+        { booking_id: bookingId, status: "issued" },
+        { $set: { status: "used", usedAt: new Date() } }
+    );
+}
+
+// Keep the expiry of a booking's tickets in step with its times and status
+async function refreshTicketExpiry(db, booking) {
+    await db.collection('tickets').updateMany(
+        { booking_id: booking._id, status: "issued" },
+        { $set: { expires_at: ticketExpiry(booking) } }
+    );
+}
+
+// The ticket as returned to the app, with its QR code as a PNG data URL
+async function presentTicket(ticket) {
+    const token = ticketToken(ticket);
+    return {
+        ticket_id: ticket._id,
+        token,
+        expires_at: ticket.expires_at,
+        qr_code: await QRCode.toDataURL(token),
+    };
+}
+
+// The QR code of a ticket as a PNG or SVG image
+async function renderTicket(ticket, format) {
+    const token = ticketToken(ticket);
+    return format === 'svg'
+        ? { contentType: 'image/svg+xml', body: await QRCode.toString(token, { type: 'svg' }) }
+        : { contentType: 'image/png', body: await QRCode.toBuffer(token) };
+}
+
+// The ticket record a scanned token names, provided the signature holds;
+// fails with INVALID_TICKET otherwise. Whether the ticket can still be used
+// is checked separately by assertTicketValid, once the caller is known to
+// be allowed to see it.
+async function findTicket(db, token) {
+    const payload = verifySignedToken(token, 'ticket');
+    const ticket = payload && ObjectId.isValid(payload.jti)
+        ? await db.collection('tickets').findOne({ _id: new ObjectId(payload.jti) })
+        : null;
+    if (!ticket || ticket.booking_id.toString() !== payload.bid) {
+        throw new AppError(422, 'INVALID_TICKET', "Ticket is not valid");
+    }
+    return ticket;
+}
+
+function assertTicketValid(ticket, booking, now = new Date()) {
+    if (ticket.status === "used" || booking.status === "completed") {
+        throw new AppError(409, 'TICKET_USED', "Ticket has already been used");
+    }
+    if (ticket.status === "revoked" || !["reserved", "active"].includes(booking.status)) {
+        throw new AppError(409, 'TICKET_REVOKED', "Ticket has been revoked");
+    }
+    if (isExpired(ticket, booking, now)) {
+        throw new AppError(409, 'TICKET_EXPIRED', "Ticket has expired");
+    }
+}
+
+module.exports = {
+    IMAGE_FORMATS,
+    ensureTicketIndexes,
+    issueTicket,
+    currentTicket,
+    revokeTickets,
+    useTickets,
+    refreshTicketExpiry,
+    presentTicket,
+    renderTicket,
+    findTicket,
+    assertTicketValid,
+};
@@ -0,0 +1,49 @@
+// Wall-clock time in IANA time zones, for code that has to work in an
+// area's local time rather than the server's: report buckets in the
+// in-memory store and pass periods.
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Wall-clock fields of a date in a time zone; isoWeekday runs 1 (Monday) to 7
+function localParts(date, timezone = 'UTC') {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        weekday: 'long',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+    }).formatToParts(date);
+    const field = type => parts.find(part => part.type === type).value;
+    return {
+        year: Number(field('year')),
+        month: Number(field('month')),
+        day: Number(field('day')),
+        hour: Number(field('hour')),
+        minute: Number(field('minute')),
+        second: Number(field('second')),
+        isoWeekday: WEEKDAYS.indexOf(field('weekday').toLowerCase()) + 1,
+    };
+}
+
+// The instant a wall-clock time in a time zone refers to. Fields out of
+// range roll over, as with Date.UTC.
+function fromLocal({ year, month, day = 1, hour = 0, minute = 0, second = 0, millisecond = 0 }, timezone = 'UTC') {
+    const wanted = Date.UTC(year, month - 1, day, hour, minute, second);
+    let time = wanted;
+    for (let i = 0; i < 2; i++) {
+        const local = localParts(new Date(time), timezone);
+        time += wanted - Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+    }
+    return new Date(time + millisecond);
+}
+
+// Days in a month (1 to 12) of a year
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+module.exports = { WEEKDAYS, localParts, fromLocal, daysInMonth };
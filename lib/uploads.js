@@ -0,0 +1,96 @@
+const multer = require('multer');
+const path = require('path');
+const { AppError } = require('./errors');
+const { updateAudited } = require('./audit');
+
+// Uploaded files are kept in memory by multer and persisted through the
+// file store, so the local disk can be swapped for another backend.
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+    fileFilter: (req, file, cb) => {
+        const extFiletypes = /\.jpeg|\.jpg|\.png/;
+        const mimeFiletypes = /image\/(jpeg|png)/;
+        const extname = extFiletypes.test(path.extname(file.originalname).toLowerCase());
+        const mimetype = mimeFiletypes.test(file.mimetype.toLowerCase());
+        if (extname && mimetype) {
+            cb(null, true);
+        } else {
+            cb(new AppError(400, 'INVALID_UPLOAD', 'Only JPEG/JPG/PNG images are allowed!', { field: file.fieldname }));
+        }
+    }
+});
+
+// Slot layout files for import (see routes/owner), kept in memory
+const layoutUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (['.csv', '.json'].includes(path.extname(file.originalname).toLowerCase())) {
+            cb(null, true);
+        } else {
+            cb(new AppError(400, 'INVALID_UPLOAD', 'Only CSV or JSON layout files are allowed', { field: file.fieldname }));
+        }
+    },
+});
+
+// Only files older than an hour are swept so uploads still being recorded
+// are left alone
+const ORPHAN_UPLOAD_AGE_MS = 60 * 60 * 1000;
+
+// Booking snapshots and upload housekeeping on top of a file store from
+// lib/storage
+function createUploads(db, fileStorage) {
+    // Store an uploaded vehicle snapshot on a booking, deleting any file it replaces
+    async function attachSnapshot(bookingId, kind, file, actor) {
+        const saved = await fileStorage.save(file);
+        const snapshot = { key: saved.key, url: saved.url, uploadedAt: new Date() };
+        try {
+            const previous = await updateAudited(db, 'bookings',
+                { _id: bookingId },
+                { $set: { [`snapshots.${kind}`]: snapshot } },
+                { returnDocument: 'before', actor, action: 'booking.snapshot' }
+            );
+            const replaced = previous && previous.snapshots && previous.snapshots[kind];
+            if (replaced) await fileStorage.remove(replaced.key);
+        } catch (error) {
+            await fileStorage.remove(saved.key);
+            throw error;
+        }
+        return snapshot;
+    }
+
+    // Attach a snapshot after the booking change itself has succeeded. A failed
+    // upload is logged rather than reported, since the booking change stands.
+    function attachSnapshotIfPresent(bookingId, kind, file, actor) {
+        if (!file) return Promise.resolve(null);
+        return attachSnapshot(bookingId, kind, file, actor).catch((error) => {
+            console.error(`Error storing ${kind} snapshot:`, error);
+            return null;
+        });
+    }
+
+    // Remove stored files that no parking area photo or booking snapshot
+    // refers to, e.g. after a booking document was deleted
+    async function sweepOrphanedUploads() {
+        const cutoff = Date.now() - ORPHAN_UPLOAD_AGE_MS;
+        const candidates = (await fileStorage.list())
+            .filter(file => file.modifiedAt.getTime() < cutoff)
+            .map(file => file.key);
+        if (candidates.length === 0) return 0;
+
+        const referenced = new Set((await Promise.all([
+            db.collection('parking_areas').distinct('photos.key', { 'photos.key': { $in: candidates } }),
+            db.collection('bookings').distinct('snapshots.entry.key', { 'snapshots.entry.key': { $in: candidates } }),
+            db.collection('bookings').distinct('snapshots.exit.key', { 'snapshots.exit.key': { $in: candidates } }),
+        ])).flat());
+
+        const orphans = candidates.filter(key => !referenced.has(key));
+        await Promise.all(orphans.map(key => fileStorage.remove(key)));
+        return orphans.length;
+    }
+
+    return { attachSnapshot, attachSnapshotIfPresent, sweepOrphanedUploads };
+}
+
+module.exports = { upload, layoutUpload, ORPHAN_UPLOAD_AGE_MS, createUploads };
@@ -0,0 +1,67 @@
+const Joi = require('joi');
+const { ObjectId } = require('mongodb');
+const { AppError } = require('./errors');
+
+// Shared field types. Ids are converted to ObjectId and number plates are
+// upper-cased, so handlers receive values ready for queries.
+const objectId = () => Joi.string()
+    .custom((value, helpers) => (/^[0-9a-f]{24}$/i.test(value) ? new ObjectId(value) : helpers.error('any.invalid')))
+    .messages({ 'any.invalid': '{{#label}} must be a valid id' });
+const phone = () => Joi.string().trim().pattern(/^\+?[1-9]\d{9,14}$/)
+    .messages({ 'string.pattern.base': '{{#label}} must be a phone number of 10 to 15 digits' });
+const numberPlate = () => Joi.string().trim().uppercase().pattern(/^[A-Z0-9][A-Z0-9 -]{2,14}$/)
+    .messages({ 'string.pattern.base': '{{#label}} must be a vehicle number plate' });
+const vehicleType = () => Joi.string().trim().lowercase().pattern(/^[a-z][a-z_]{1,19}$/)
+    .messages({ 'string.pattern.base': '{{#label}} must be a vehicle type such as car or bike' });
+const slotAttribute = () => Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9_]{1,29}$/)
+    .messages({ 'string.pattern.base': '{{#label}} must be a slot attribute such as accessible or ev_charging' });
+const date = () => Joi.date().iso();
+const dateAfter = field => date().greater(Joi.ref(field))
+    .messages({ 'date.greater': `{{#label}} must be after ${field}` });
+const location = () => Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required(),
+});
+
+const SOURCES = {
+    params: { status: 400, code: 'INVALID_PARAMETER' },
+    query: { status: 400, code: 'INVALID_QUERY' },
+    body: { status: 422, code: 'VALIDATION_FAILED' },
+};
+
+// Validate req.params, req.query and req.body against Joi schemas and
+// replace them with the converted values. Unknown body and query fields are
+// rejected so typos do not pass silently.
+function validate(schemas) {
+    return (req, res, next) => {
+        for (const [source, schema] of Object.entries(schemas)) {
+            const { error, value } = schema.validate(req[source] || {}, {
+                abortEarly: false,
+                convert: true,
+                stripUnknown: false,
+            });
+            if (error) {
+                const { status, code } = SOURCES[source];
+                return next(new AppError(status, code, error.details[0].message, error.details.map(detail => ({
+                    field: detail.path.join('.'),
+                    message: detail.message,
+                }))));
+            }
+            req[source] = value;
+        }
+        next();
+    };
+}
+
+module.exports = {
+    Joi,
+    validate,
+    objectId,
+    phone,
+    numberPlate,
+    vehicleType,
+    slotAttribute,
+    date,
+    dateAfter,
+    location,
+};
@@ -0,0 +1,121 @@
+const { AppError } = require('./errors');
+
+// Users register their vehicles once and book with a vehicle_id. Each
+// vehicle has a type matching the slot pools of parking areas (car, bike,
+// truck, ...); EVs may also park in "ev" slots. A user registers each plate
+// once however it is written: `plate_key` holds normalizePlate of the plate,
+// which is what gates match on.
+async function ensureVehicleIndexes(db) {
+    // Replaced by the index on plate_key, which also catches plates written
+    // another way
+    await db.collection('vehicles').dropIndex('one_vehicle_per_plate_per_user').catch((error) => {
+        if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') throw error;
+    });
+    await db.collection('vehicles').createIndex(
+        { phone: 1, plate_key: 1 },
+        { name: 'one_vehicle_per_plate_key_per_user', unique: true, partialFilterExpression: { plate_key: { $exists: true } } }
+    );
+}
+
+// Add plate keys to vehicles registered before they were kept, oldest
+// first. A vehicle whose plate is another way of writing one its owner
+// registered earlier is left without a key, and reported. Returns
+// { keyed, duplicates }.
+async function migrateVehiclePlateKeys(db) {
+    const vehicles = await db.collection('vehicles')
+        .find({ plate_key: { $exists: false } }, { projection: { phone: 1, number_plate: 1 } })
+        .sort({ createdAt: 1 })
+        .toArray();
+    let keyed = 0;
+    const duplicates = [];
+    for (const vehicle of vehicles) {
+        const plateKey = normalizePlate(vehicle.number_plate);
+        const taken = await db.collection('vehicles').findOne({ phone: vehicle.phone, plate_key: plateKey });
+        if (taken) {
+            duplicates.push(vehicle._id);
+            continue;
+        }
+        await db.collection('vehicles').updateOne({ _id: vehicle._id }, { $set: { plate_key: plateKey } });
+        keyed += 1;
+    }
+    return { keyed, duplicates };
+}
+
+// Plates are written with and without spaces and hyphens ("KA-01 AB 1234");
+// this key is the same for every way of writing a plate, for matching them
+function normalizePlate(numberPlate) {
+    return String(numberPlate).toUpperCase().replace(/[\s-]/g, '');
+}
+
+// Whether a vehicle may be parked in a slot of `slotType`
+function fitsSlot(vehicle, slotType) {
+    return vehicle.vehicle_type === slotType || (slotType === 'ev' && Boolean(vehicle.is_ev));
+}
+
+async function findUserVehicle(db, phone, vehicleId, options = {}) {
+    const vehicle = await db.collection('vehicles').findOne({ _id: vehicleId, phone }, options);
+    if (!vehicle) {
+        throw new AppError(404, 'VEHICLE_NOT_FOUND', "Vehicle not found");
+    }
+    return vehicle;
+}
+
+// The user's vehicle with this plate, registered with `vehicleType` if the
+// user has not registered it yet. Used for bookings and profiles that still
+// send a bare number plate.
+async function registerPlate(db, phone, numberPlate, vehicleType, options = {}) {
+    const now = new Date();
+    return db.collection('vehicles').findOneAndUpdate(
+        { phone, plate_key: normalizePlate(numberPlate) },
+        {
+            $setOnInsert: {
+                number_plate: numberPlate,
+                vehicle_type: vehicleType,
+                nickname: null,
+                is_ev: false,
+                createdAt: now,
+            },
+        },
+        { ...options, upsert: true, returnDocument: 'after' }
+    );
+}
+
+// Profiles used to hold one car and one bike plate. Copy those into the
+// registry; safe to run repeatedly since plates already registered are kept.
+async function migrateProfilePlates(db) {
+    const users = await db.collection('users').find(
+        { $or: [{ car_number_plate: { $nin: [null, ''] } }, { bike_number_plate: { $nin: [null, ''] } }] },
+        { projection: { phone: 1, car_number_plate: 1, bike_number_plate: 1 } }
+    ).toArray();
+    let registered = 0;
+    for (const user of users) {
+        for (const [field, vehicleType] of [['car_number_plate', 'car'], ['bike_number_plate', 'bike']]) {
+            if (!user[field]) continue;
+            const result = await db.collection('vehicles').updateOne(
+                { phone: user.phone, plate_key: normalizePlate(user[field]) },
+                {
+                    $setOnInsert: {
+                        number_plate: user[field],
+                        vehicle_type: vehicleType,
+                        nickname: null,
+                        is_ev: false,
+                        createdAt: new Date(),
+                    },
+                },
+                { upsert: true }
+            );
+            registered += result.upsertedCount;
+        }
+    }
+    return registered;
+}
+
+module.exports = {
+    ensureVehicleIndexes,
+    migrateVehiclePlateKeys,
+    normalizePlate,
+    fitsSlot,
+    findUserVehicle,
+    registerPlate,
+    migrateProfilePlates,
+};
@@ -0,0 +1,246 @@
+const { AppError } = require('./errors');
+const { areaVehicleTypes } = require('./slots');
+const { fitsSlot, findUserVehicle } = require('./vehicles');
+const { systemActor, updateAudited } = require('./audit');
+
+// How long a freed slot is held for the next person on the waitlist, unless
+// the parking area sets waitlist_hold_minutes
+const DEFAULT_HOLD_MINUTES = Number(process.env.WAITLIST_HOLD_MINUTES) || 10;
+
+// Entries are "waiting" in line, "offered" while they hold a slot, and then
+// "claimed", "expired" or "left". `open` is set on waiting and offered
+// entries so a user can only be in each line once.
+async function ensureWaitlistIndexes(db) {
+    await db.collection('waitlist').createIndex(
+        { parking_id: 1, vehicle_type: 1, phone: 1 },
+        { name: 'one_open_entry_per_line', unique: true, partialFilterExpression: { open: true } }
+    );
+    await db.collection('waitlist').createIndex({ parking_id: 1, vehicle_type: 1, status: 1, createdAt: 1 });
+}
+
+// Per parking area and vehicle type lines of users waiting for a slot.
+// When a slot frees up it is held for the first person in line, who is
+// notified and can claim it before the hold expires; otherwise it passes
+// to the next person.
+function createWaitlist({ store, live, notifier }) {
+    const { db } = store;
+
+    async function describe(entry) {
+        const position = entry.status === "waiting"
+            ? 1 + await db.collection('waitlist').countDocuments({
+                parking_id: entry.parking_id,
+                vehicle_type: entry.vehicle_type,
+                status: "waiting",
+                createdAt: { $lt: entry.createdAt },
+            })
+            : null;
+        return {
+            waitlist_id: entry._id,
+            parking_id: entry.parking_id,
+            vehicle_type: entry.vehicle_type,
+            vehicle_id: entry.vehicle_id,
+            number_plate: entry.number_plate,
+            status: entry.status,
+            position,
+            hold: entry.hold,
+            createdAt: entry.createdAt,
+        };
+    }
+
+    // Join the line for a vehicle type. Only full parking areas have a line;
+    // while slots are free the user should book one directly.
+    async function join({ parkingId, phone, vehicleId, vehicleType }) {
+        const parkingArea = await db.collection('parking_areas').findOne({ _id: parkingId });
+        if (!parkingArea) {
+            throw new AppError(404, 'PARKING_AREA_NOT_FOUND', "Parking area not found");
+        }
+        const vehicle = await findUserVehicle(db, phone, vehicleId);
+        const type = vehicleType || vehicle.vehicle_type;
+        if (!areaVehicleTypes(parkingArea).includes(type)) {
+            throw new AppError(422, 'UNKNOWN_VEHICLE_TYPE', `Parking area has no ${type} slots`);
+        }
+        if (!fitsSlot(vehicle, type)) {
+            throw new AppError(422, 'VEHICLE_TYPE_MISMATCH', `Vehicle does not fit ${type} slots`);
+        }
+        if (parkingArea[`available_${type}_slots`] > 0) {
+            throw new AppError(409, 'SLOTS_AVAILABLE', `There are free ${type} slots; book one directly`);
+        }
+
+        const entry = {
+            parking_id: parkingId,
+            vehicle_type: type,
+            vehicle_id: vehicle._id,
+            number_plate: vehicle.number_plate,
+            phone,
+            status: "waiting",
+            open: true,
+            hold: null,
+            createdAt: new Date(),
+        };
+        try {
+            await db.collection('waitlist').insertOne(entry);
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new AppError(409, 'ALREADY_WAITLISTED', `You are already waiting for a ${type} slot here`);
+            }
+            throw error;
+        }
+        return describe(entry);
+    }
+
+    async function list(phone) {
+        const entries = await db.collection('waitlist').find({ phone, open: true }).sort({ createdAt: 1 }).toArray();
+        return Promise.all(entries.map(describe));
+    }
+
+    async function findOpenEntry(entryId, phone) {
+        const entry = await db.collection('waitlist').findOne({ _id: entryId, phone, open: true });
+        if (!entry) {
+            throw new AppError(404, 'WAITLIST_ENTRY_NOT_FOUND', "Waitlist entry not found");
+        }
+        return entry;
+    }
+
+    // The user's entry holding a slot, for claiming it
+    async function findOffer(entryId, phone) {
+        const entry = await findOpenEntry(entryId, phone);
+        if (entry.status !== "offered") {
+            throw new AppError(409, 'NO_HOLD', "No slot is held for this entry yet");
+        }
+        return entry;
+    }
+
+    // Hold a freed slot for the first person in line and notify them.
+    // Runs after the slot was released, so failures are logged and
+    // otherwise ignored. Returns the offered entry, or null.
+    async function offerFreedSlot(parkingId, vehicleType, slotId) {
+        try {
+            const now = new Date();
+            const offer = await store.withTransaction(async (session) => {
+                const audit = { session, actor: systemActor('waitlist'), action: 'waitlist.hold' };
+                const [next] = await db.collection('waitlist')
+                    .find({ parking_id: parkingId, vehicle_type: vehicleType, status: "waiting" }, { session })
+                    .sort({ createdAt: 1 })
+                    .limit(1)
+                    .toArray();
+                if (!next) return null;
+
+                const parkingArea = await db.collection('parking_areas').findOne(
+                    { _id: parkingId },
+                    { session, projection: { name: 1, waitlist_hold_minutes: 1 } }
+                );
+                const holdMinutes = parkingArea.waitlist_hold_minutes ?? DEFAULT_HOLD_MINUTES;
+                const expiresAt = new Date(now.getTime() + holdMinutes * 60 * 1000);
+
+                const slot = await updateAudited(db, 'slots',
+                    { _id: slotId, parking_id: parkingId, status: "available", reserved_pass: { $exists: false } },
+                    { $set: { status: "held", hold: { waitlist_id: next._id, expires_at: expiresAt } } },
+                    audit
+                );
+                if (!slot) return null;
+                const entry = await db.collection('waitlist').findOneAndUpdate(
+                    { _id: next._id, status: "waiting" },
+                    { $set: { status: "offered", hold: { slot_id: slotId, expires_at: expiresAt }, offered_at: now } },
+                    { session, returnDocument: 'after' }
+                );
+                if (!entry) {
+                    throw new AppError(409, 'WAITLIST_CHANGED', "Waitlist entry changed while offering a slot");
+                }
+                await updateAudited(db, 'parking_areas',
+                    { _id: parkingId },
+                    { $inc: { [`available_${vehicleType}_slots`]: -1 } },
+                    audit
+                );
+                return { entry, slot, parkingArea };
+            });
+            if (!offer) return null;
+
+            const { entry, slot, parkingArea } = offer;
+            live.publishAreaChange(parkingId, { slotIds: [slotId] });
+            await notifier.notify(entry.phone, {
+                type: 'waitlist.offer',
+                message: `A ${vehicleType} slot (#${slot.slot_number}) is free at ${parkingArea.name}. `
+                    + `It is held for you until ${entry.hold.expires_at.toISOString()}; claim it in the app.`,
+                data: {
+                    waitlist_id: entry._id,
+                    parking_id: parkingId,
+                    slot_id: slotId,
+                    slot_number: slot.slot_number,
+                    expires_at: entry.hold.expires_at,
+                },
+            }).catch(error => console.error("Error sending waitlist notification:", error));
+            return entry;
+        } catch (error) {
+            console.error("Error offering a freed slot to the waitlist:", error);
+            return null;
+        }
+    }
+
+    // Close an offered entry and pass its slot to the next person in line.
+    // Returns false if the entry was no longer offered, e.g. because it was
+    // claimed in the meantime.
+    async function releaseHold(entry, status, actor) {
+        const released = await store.withTransaction(async (session) => {
+            const audit = { session, actor, action: 'waitlist.release' };
+            const closed = await db.collection('waitlist').findOneAndUpdate(
+                { _id: entry._id, status: "offered" },
+                { $set: { status, open: false, closedAt: new Date() } },
+                { session }
+            );
+            if (!closed) return null;
+            const slot = await updateAudited(db, 'slots',
+                { _id: entry.hold.slot_id, status: "held", 'hold.waitlist_id': entry._id },
+                { $set: { status: "available" }, $unset: { hold: "" } },
+                audit
+            );
+            if (!slot) return { slotFreed: false };
+            await updateAudited(db, 'parking_areas',
+                { _id: entry.parking_id },
+                { $inc: { [`available_${entry.vehicle_type}_slots`]: 1 } },
+                audit
+            );
+            return { slotFreed: true };
+        });
+        if (released && released.slotFreed) {
+            live.publishAreaChange(entry.parking_id, { slotIds: [entry.hold.slot_id] });
+            await offerFreedSlot(entry.parking_id, entry.vehicle_type, entry.hold.slot_id);
+        }
+        return Boolean(released);
+    }
+
+    async function leave({ entryId, phone, actor }) {
+        const entry = await findOpenEntry(entryId, phone);
+        if (entry.status === "offered") {
+            await releaseHold(entry, "left", actor);
+            return;
+        }
+        await db.collection('waitlist').updateOne(
+            { _id: entry._id, status: "waiting" },
+            { $set: { status: "left", open: false, closedAt: new Date() } }
+        );
+    }
+
+    // Pass slots whose hold ran out to the next person in line. Holds
+    // claimed or left while the sweep runs are skipped. Returns the number
+    // of expired holds.
+    async function expireHolds(now = new Date()) {
+        const due = await db.collection('waitlist')
+            .find({ status: "offered", 'hold.expires_at': { $lte: now } })
+            .toArray();
+        let expired = 0;
+        for (const entry of due) {
+            if (!await releaseHold(entry, "expired", systemActor('waitlist_sweep'))) continue;
+            expired += 1;
+            notifier.notify(entry.phone, {
+                type: 'waitlist.expired',
+                message: "Your held parking slot was passed on because it was not claimed in time.",
+                data: { waitlist_id: entry._id, parking_id: entry.parking_id },
+            }).catch(error => console.error("Error sending waitlist notification:", error));
+        }
+        return expired;
+    }
+
+    return { join, list, leave, findOffer, offerFreedSlot, expireHolds };
+}
+
+module.exports = { DEFAULT_HOLD_MINUTES, ensureWaitlistIndexes, createWaitlist };
@@ -0,0 +1,45 @@
+const express = require('express');
+const { AppError, asyncHandler } = require('../lib/errors');
+
+// How long /readyz waits for the database before reporting it unreachable
+const PING_TIMEOUT_MS = 2000;
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Probes for the load balancer / orchestrator. /healthz only says the
+// process is up; /readyz says it should receive traffic, i.e. the database
+// is connected and the server is not shutting down.
+function createHealthRouter({ store, lifecycle }) {
+    const router = express.Router();
+
+    // Liveness
+    router.get('/healthz', (req, res) => {
+        res.json({ status: "ok" });
+    });
+
+    // Readiness
+    router.get('/readyz', asyncHandler(async (req, res) => {
+        if (lifecycle.draining) {
+            throw new AppError(503, 'SHUTTING_DOWN', "Server is shutting down");
+        }
+        if (!lifecycle.ready) {
+            throw new AppError(503, 'NOT_READY', "Server is still starting");
+        }
+        try {
+            await withTimeout(store.ping(), PING_TIMEOUT_MS);
+        } catch (error) {
+            throw new AppError(503, 'DATABASE_UNAVAILABLE', "Database is not reachable");
+        }
+        res.json({ status: "ready" });
+    }));
+
+    return router;
+}
+
+module.exports = { createHealthRouter };
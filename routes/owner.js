@@ -0,0 +1,1195 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { hashPassword, verifyPassword, issueTokens, requireAccount, accountForRefreshToken } = require('../lib/auth');
+const { normalizeTariff } = require('../lib/tariff');
+const { getGateway, transitionPayment, assertNotPaid } = require('../lib/payments');
+const { toGeoPoint, presentParkingArea } = require('../lib/geo');
+const { parseTimeRange } = require('../lib/live');
+const { upload, layoutUpload } = require('../lib/uploads');
+const {
+    areaVehicleTypes,
+    buildSlots,
+    layoutOf,
+    applySlotLayout,
+    planSlotChanges,
+    recountSlotCounters,
+    applySlotChanges,
+} = require('../lib/slots');
+const { STAFF_ROLES, areaRoles, authorizeArea } = require('../lib/access');
+const { REPORTS, GRANULARITIES } = require('../lib/reports');
+const { toCsv, parseCsv } = require('../lib/csv');
+const { ENTITIES, accountActor, updateAudited, insertAudited } = require('../lib/audit');
+const { findTicket, assertTicketValid, revokeTickets } = require('../lib/tickets');
+const { sessionFee } = require('../lib/bookings');
+const { PASS_PERIODS } = require('../lib/passes');
+const { AppError, asyncHandler } = require('../lib/errors');
+const { Joi, validate, objectId, phone, numberPlate, vehicleType, date, dateAfter, location } = require('../lib/validation');
+const { pageQuery, dateRangeQuery, dateRangeFilter, pageSpec, findPage, mapPage } = require('../lib/pagination');
+const {
+    idParams,
+    layoutFields,
+    slotQuery,
+    refreshBody,
+    bookingBody,
+    parkingAreaSorts,
+    parkingAreaListQuery,
+    parkingAreaListFilter,
+} = require('./schemas');
+
+const slotTotal = () => Joi.number().integer().min(0);
+const parkingAreaBody = {
+    parking_area_name: Joi.string().trim().min(1).max(100),
+    location: location(),
+    total_car_slots: slotTotal(),
+    total_bike_slots: slotTotal(),
+    // Slot totals keyed by vehicle type, e.g. { ev: 4, truck: 2 }
+    slot_totals: Joi.object().pattern(vehicleType(), slotTotal()),
+    no_show_grace_minutes: Joi.number().integer().min(0).max(24 * 60),
+    waitlist_hold_minutes: Joi.number().integer().min(1).max(24 * 60),
+    confirm: Joi.boolean(),
+    // The plan_id of the dry run being confirmed
+    plan_id: Joi.string().hex().length(16).when('confirm', { is: true, then: Joi.required() }),
+};
+
+// Requested slot total per vehicle type; total_car_slots and
+// total_bike_slots are still accepted from older app versions
+function slotTargets({ total_car_slots, total_bike_slots, slot_totals = {} }) {
+    const targets = { ...slot_totals };
+    if (total_car_slots !== undefined) targets.car = total_car_slots;
+    if (total_bike_slots !== undefined) targets.bike = total_bike_slots;
+    return targets;
+}
+
+// Present a slot plan without internal ids
+function describeSlotChanges(changes) {
+    return Object.fromEntries(Object.entries(changes).map(([vehicleType, change]) => [vehicleType, {
+        ...change,
+        remove: change.remove.map(slot => slot.slot_number),
+    }]));
+}
+
+// Reports cover at most 366 days
+const MAX_REPORT_RANGE_MS = 366 * 24 * 60 * 60 * 1000;
+const timeZone = () => Joi.string().custom((value, helpers) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return value;
+    } catch (error) {
+        return helpers.error('any.invalid');
+    }
+}).messages({ 'any.invalid': '{{#label}} must be an IANA timezone such as Asia/Kolkata' });
+
+// Tariff fields, see lib/tariff. normalizeTariff fills in the defaults.
+const rate = () => Joi.number().min(0);
+const timeOfDay = () => Joi.string().pattern(/^([01]\d|2[0-3]):([0-5]\d)$/)
+    .messages({ 'string.pattern.base': '{{#label}} must be a HH:MM time' });
+const tariffBody = Joi.object({
+    currency: Joi.string().trim().uppercase().length(3),
+    free_minutes: Joi.number().integer().min(0),
+    first_hour_rate: rate().allow(null),
+    hourly_rate: rate().required(),
+    weekend_hourly_rate: rate().allow(null),
+    night: Joi.object({
+        start: timeOfDay().required(),
+        end: timeOfDay().required(),
+        hourly_rate: rate().required(),
+    }).allow(null),
+    daily_cap: rate().allow(null),
+    timezone: timeZone().allow(null),
+});
+
+const staffParams = Joi.object({
+    id: objectId().required(),
+    staffId: objectId().required(),
+});
+const staffRole = () => Joi.string().valid(...STAFF_ROLES);
+
+// One slot's layout in an import, naming the slot by type and number
+const layoutRow = Joi.object({
+    vehicle_type: vehicleType().required(),
+    slot_number: Joi.number().integer().min(1).required(),
+    ...layoutFields,
+});
+
+// Turn an uploaded layout file into req.body.slots. CSV files have a header
+// row with vehicle_type, slot_number, floor, zone, label and attributes, the
+// attributes separated by semicolons; JSON files hold an array of rows or
+// { slots: [...] }. Without a file the rows are read from the JSON body.
+function readLayoutFile(req, res, next) {
+    if (!req.file) return next();
+    const text = req.file.buffer.toString('utf8');
+    try {
+        if (req.file.originalname.toLowerCase().endsWith('.csv')) {
+            req.body = {
+                slots: parseCsv(text).map(({ attributes, ...row }) => ({
+                    ...row,
+                    ...(attributes !== undefined && {
+                        attributes: attributes.split(';').map(attribute => attribute.trim()).filter(Boolean),
+                    }),
+                })),
+            };
+        } else {
+            const parsed = JSON.parse(text);
+            req.body = Array.isArray(parsed) ? { slots: parsed } : parsed;
+        }
+    } catch (error) {
+        return next(new AppError(422, 'INVALID_LAYOUT_FILE', `Layout file could not be read: ${error.message}`));
+    }
+    next();
+}
+
+const auditSorts = { at: 'at' };
+
+const passProductFields = {
+    name: Joi.string().trim().min(1).max(100),
+    price: Joi.number().min(0),
+    currency: Joi.string().trim().uppercase().length(3),
+    // How many passes of the product may be valid at once
+    capacity: Joi.number().integer().min(1).max(10000),
+};
+const passProductParams = Joi.object({
+    id: objectId().required(),
+    productId: objectId().required(),
+});
+const passSorts = { created_at: '_id', valid_until: 'valid_until' };
+
+async function findBooking(db, bookingId) {
+    const booking = await db.collection('bookings').findOne({ _id: bookingId });
+    if (!booking) {
+        throw new AppError(404, 'BOOKING_NOT_FOUND', "Booking not found");
+    }
+    return booking;
+}
+
+// Owner app endpoints, mounted under /api/owner. Staff accounts invited to
+// a parking area sign in here too and are limited to their role.
+function createOwnerRouter({ store, db, live, uploads, fileStorage, bookingService, gate, waitlist, passes }) {
+    const router = express.Router();
+    const requireOwner = requireAccount(db, 'owner');
+
+    // Register Parking Area Owner
+    router.post('/register', validate({
+        body: Joi.object({
+            phone: phone().required(),
+            parking_area_name: Joi.string().trim().max(100).allow(''),
+            password: Joi.string().min(8).max(128).required(),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { phone, parking_area_name, password } = req.body;
+
+        const existingUser = await db.collection('register_login').findOne({ phone });
+        if (existingUser) {
+            throw new AppError(409, 'ACCOUNT_EXISTS', "User already exists");
+        }
+
+        const user = {
+            phone,
+            parking_area_name,
+            password_hash: await hashPassword(password),
+            token_version: 0,
+            createdAt: new Date(),
+        };
+        await db.collection('register_login').insertOne(user);
+        res.status(200).json({ message: "Registered successfully" });
+    }));
+
+    // Login Parking Area Owner
+    router.post('/login', validate({
+        body: Joi.object({
+            phone: phone().required(),
+            password: Joi.string().required(),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { phone, password } = req.body;
+
+        const user = await db.collection('register_login').findOne({ phone });
+        let valid = false;
+        if (user && user.password_hash) {
+            valid = await verifyPassword(password, user.password_hash);
+        } else if (user) {
+            // Accounts created before hashing still hold a plaintext password;
+            // upgrade them to a hash on their first successful login.
+            valid = typeof user.password === 'string' && user.password === password;
+            if (valid) {
+                await db.collection('register_login').updateOne(
+                    { _id: user._id },
+                    {
+                        $set: { password_hash: await hashPassword(password), updatedAt: new Date() },
+                        $unset: { password: "" },
+                    }
+                );
+            }
+        }
+        if (!valid) {
+            throw new AppError(401, 'INVALID_CREDENTIALS', "Invalid credentials");
+        }
+
+        res.status(200).json({
+            message: "Login successful",
+            phone: user.phone,
+            parking_area_name: user.parking_area_name,
+            ...issueTokens(user, 'owner'),
+        });
+    }));
+
+    // Exchange an Owner Refresh Token for a New Token Pair
+    router.post('/token/refresh', validate({ body: refreshBody }), asyncHandler(async (req, res) => {
+        const user = await accountForRefreshToken(db, req.body.refresh_token, 'owner');
+        res.status(200).json(issueTokens(user, 'owner'));
+    }));
+
+    // EventSource cannot send headers, so the owner event stream may pass its
+    // access token as ?access_token= instead
+    router.use('/parking_areas/:id/events', (req, res, next) => {
+        if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+            req.headers.authorization = `Bearer ${req.query.access_token}`;
+        }
+        next();
+    });
+
+    // Every /api/owner route registered below this point requires an owner access token
+    router.use(requireOwner);
+
+    // Logout Owner (revokes all outstanding refresh tokens)
+    router.post('/logout', asyncHandler(async (req, res) => {
+        await db.collection('register_login').updateOne(
+            { _id: req.owner._id },
+            { $inc: { token_version: 1 }, $set: { updatedAt: new Date() } }
+        );
+        res.status(200).json({ message: "Logged out" });
+    }));
+
+    // Update an existing parking area. Fields left out of the body are kept.
+    //
+    // Changing the slot totals is a two-step operation: the first request
+    // returns a dry-run diff of the slots to add and remove with its plan_id,
+    // and the change is only applied when the request is repeated with
+    // confirm: true and that plan_id. If the diff has changed in between the
+    // new one is returned for review instead. Occupied or reserved slots are
+    // never removed, and added slots are offered to the waitlist like any
+    // other freed slot. The area's fields and slots change together or not
+    // at all.
+    //
+    // `actor` is the owner or staff account making the change, for lib/audit.
+    async function updateParkingArea(req, res, existingArea, actor) {
+        const { parking_area_name, location, no_show_grace_minutes, waitlist_hold_minutes, confirm, plan_id } = req.body;
+
+        const point = location && toGeoPoint(location);
+
+        const parkingId = existingArea._id;
+        const targets = slotTargets(req.body);
+        const plan = await planSlotChanges(db, existingArea, targets);
+        if (plan.blocked) {
+            throw new AppError(409, 'SLOTS_IN_USE', "Not enough free slots to remove; occupied or reserved slots are kept", {
+                dry_run: true,
+                changes: describeSlotChanges(plan.changes),
+            });
+        }
+        if (plan.hasChanges && confirm !== true) {
+            return res.status(200).json({
+                message: "Review the slot changes and resend with confirm: true and the plan_id to apply them",
+                dry_run: true,
+                plan_id: plan.id,
+                changes: describeSlotChanges(plan.changes),
+            });
+        }
+        if (plan.hasChanges && plan_id !== plan.id) {
+            throw new AppError(409, 'PLAN_CHANGED', "The slot changes are no longer the ones reviewed; review them again", {
+                dry_run: true,
+                plan_id: plan.id,
+                changes: describeSlotChanges(plan.changes),
+            });
+        }
+
+        const counters = await store.withTransaction(async (session) => {
+            await updateAudited(db, 'parking_areas',
+                { _id: parkingId },
+                {
+                    $set: {
+                        ...(parking_area_name && { name: parking_area_name }),
+                        ...(point && { location: point }),
+                        ...(no_show_grace_minutes !== undefined && { no_show_grace_minutes }),
+                        ...(waitlist_hold_minutes !== undefined && { waitlist_hold_minutes }),
+                        vehicle_types: areaVehicleTypes({
+                            vehicle_types: [...(existingArea.vehicle_types || []), ...Object.keys(targets)],
+                        }),
+                        updatedAt: new Date(),
+                    },
+                },
+                { session, actor, action: 'area.update' }
+            );
+            return plan.hasChanges
+                ? applySlotChanges(db, parkingId, plan, { session, actor })
+                : recountSlotCounters(db, parkingId, { session, actor, action: 'area.update' });
+        });
+        if (plan.hasChanges) {
+            live.publishAreaChange(parkingId, { snapshot: true });
+            for (const [vehicleType, change] of Object.entries(plan.changes)) {
+                if (!change.add.length) continue;
+                const added = await db.collection('slots')
+                    .find({ parking_id: parkingId, vehicle_type: vehicleType, slot_number: { $in: change.add } })
+                    .sort({ slot_number: 1 })
+                    .toArray();
+                for (const slot of added) {
+                    await waitlist.offerFreedSlot(parkingId, vehicleType, slot._id);
+                }
+            }
+        }
+        res.status(200).json({
+            message: "Parking area updated successfully",
+            dry_run: false,
+            changes: describeSlotChanges(plan.changes),
+            counters,
+        });
+    }
+
+    // Create a Parking Area, or Update One
+    //
+    // Requests carrying an `id`, or naming an area the owner already has, update
+    // that area; anything else creates a new area owned by the signed-in account.
+    router.post('/parking_areas', validate({
+        body: Joi.object({ id: objectId(), ...parkingAreaBody }),
+    }), asyncHandler(async (req, res) => {
+        const { id, parking_area_name, location, no_show_grace_minutes, waitlist_hold_minutes } = req.body;
+
+        if (id) {
+            const { parkingArea, actor } = await authorizeArea(db, req.owner, id, 'manage_layout');
+            return updateParkingArea(req, res, parkingArea, actor);
+        }
+
+        const existingArea = parking_area_name && await db.collection('parking_areas').findOne({
+            owner_id: req.owner._id,
+            name: parking_area_name,
+        });
+        if (existingArea) {
+            return updateParkingArea(req, res, existingArea, accountActor('owner', req.owner));
+        }
+
+        if (!parking_area_name || !location) {
+            throw new AppError(422, 'VALIDATION_FAILED', "parking_area_name and location are required to create a parking area", [
+                ...(!parking_area_name ? [{ field: 'parking_area_name', message: '"parking_area_name" is required' }] : []),
+                ...(!location ? [{ field: 'location', message: '"location" is required' }] : []),
+            ]);
+        }
+
+        const targets = slotTargets(req.body);
+        const vehicleTypes = areaVehicleTypes({ vehicle_types: Object.keys(targets) });
+        const counters = {};
+        for (const vehicleType of vehicleTypes) {
+            const total = targets[vehicleType] || 0;
+            counters[`total_${vehicleType}_slots`] = total;
+            counters[`available_${vehicleType}_slots`] = total;
+            counters[`booked_${vehicleType}_slots`] = 0;
+        }
+        const parkingArea = {
+            name: parking_area_name,
+            owner_id: req.owner._id,
+            location: toGeoPoint(location),
+            vehicle_types: vehicleTypes,
+            ...counters,
+            ...(no_show_grace_minutes !== undefined && { no_show_grace_minutes }),
+            ...(waitlist_hold_minutes !== undefined && { waitlist_hold_minutes }),
+            createdAt: new Date(),
+        };
+        const audit = { actor: accountActor('owner', req.owner), action: 'area.create' };
+        const [parkingId] = await insertAudited(db, 'parking_areas', parkingArea, audit);
+
+        // Older app versions still read the single parking_area_name from login
+        await db.collection('register_login').updateOne(
+            { _id: req.owner._id, parking_area_name: { $in: [null, ''] } },
+            { $set: { parking_area_name, updatedAt: new Date() } }
+        );
+
+        const slots = vehicleTypes.flatMap(vehicleType => buildSlots(
+            parkingId,
+            vehicleType,
+            Array.from({ length: targets[vehicleType] || 0 }, (_, i) => i + 1)
+        ));
+        await insertAudited(db, 'slots', slots, audit);
+
+        res.status(200).json({ message: "Parking area created", id: parkingId });
+    }));
+
+    // Update a Parking Area
+    router.put('/parking_areas/:id', validate({
+        params: idParams,
+        body: Joi.object(parkingAreaBody),
+    }), asyncHandler(async (req, res) => {
+        const { parkingArea, actor } = await authorizeArea(db, req.owner, req.params.id, 'manage_layout');
+        await updateParkingArea(req, res, parkingArea, actor);
+    }));
+
+    // Occupancy and Revenue Reports for a Parking Area
+    //
+    // GET /api/owner/parking_areas/:id/reports/:report?from=&to=&granularity=&timezone=&format=
+    // where :report is revenue, sessions, occupancy or vehicle-split. format=csv
+    // downloads the report instead of returning JSON.
+    router.get('/parking_areas/:id/reports/:report', validate({
+        params: Joi.object({
+            id: objectId().required(),
+            report: Joi.string().required(),
+        }),
+        query: Joi.object({
+            from: date().required(),
+            to: dateAfter('from').required(),
+            granularity: Joi.string().valid(...GRANULARITIES).default('day'),
+            timezone: timeZone().default('UTC'),
+            format: Joi.string().valid('json', 'csv').default('json'),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { from, to, granularity, timezone, format } = req.query;
+
+        const build = REPORTS[req.params.report];
+        if (!build) {
+            throw new AppError(404, 'REPORT_NOT_FOUND', `Unknown report; use one of ${Object.keys(REPORTS).join(', ')}`);
+        }
+        if (to - from > MAX_REPORT_RANGE_MS) {
+            throw new AppError(400, 'INVALID_QUERY', "Reports cover at most 366 days");
+        }
+
+        const { parkingArea } = await authorizeArea(db, req.owner, req.params.id, 'view_reports');
+        const options = { parkingId: parkingArea._id, from, to, granularity, timezone };
+        const { columns, rows } = await build(db, options, parkingArea);
+
+        if (format === 'csv') {
+            const day = date => date.toISOString().slice(0, 10);
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${req.params.report}-${day(from)}-${day(to)}.csv"`);
+            return res.status(200).send(toCsv(rows, columns));
+        }
+        res.status(200).json({
+            report: req.params.report,
+            parking_id: parkingArea._id,
+            from,
+            to,
+            granularity,
+            timezone,
+            rows,
+        });
+    }));
+
+    // Audit Log of a Parking Area
+    //
+    // Changes to the area, its slots, bookings and passes, newest first,
+    // filtered by entity (booking, slot, parking_area, pass or pass_product)
+    // and entity_id, action, actor_phone and a from/to range.
+    router.get('/parking_areas/:id/audit', validate({
+        params: idParams,
+        query: Joi.object({
+            entity: Joi.string().valid(...Object.values(ENTITIES)),
+            entity_id: objectId(),
+            action: Joi.string().trim().max(50),
+            actor_phone: phone(),
+            ...dateRangeQuery(),
+            ...pageQuery(auditSorts, '-at'),
+        }).with('entity_id', 'entity'),
+    }), asyncHandler(async (req, res) => {
+        const { entity, entity_id, action, actor_phone, from, to } = req.query;
+
+        const { parkingArea } = await authorizeArea(db, req.owner, req.params.id, 'view_reports');
+        const filter = {
+            parking_id: parkingArea._id,
+            ...(entity && { entity }),
+            ...(entity_id && { entity_id }),
+            ...(action && { action }),
+            ...(actor_phone && { 'actor.phone': actor_phone }),
+            ...dateRangeFilter('at', { from, to }),
+        };
+        res.status(200).json(await findPage(db.collection('audit_log'), filter, pageSpec(auditSorts, req.query)));
+    }));
+
+    // List Staff of a Parking Area
+    router.get('/parking_areas/:id/staff', validate({ params: idParams }), asyncHandler(async (req, res) => {
+        const { parkingArea } = await authorizeArea(db, req.owner, req.params.id, 'manage_staff');
+        const staff = await db.collection('parking_area_staff').find({ parking_id: parkingArea._id }).toArray();
+        res.status(200).json(staff);
+    }));
+
+    // Invite a Staff Member to a Parking Area
+    router.post('/parking_areas/:id/staff', validate({
+        params: idParams,
+        body: Joi.object({
+            phone: phone().required(),
+            role: staffRole().required(),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { phone, role } = req.body;
+
+        if (phone === req.owner.phone) {
+            throw new AppError(422, 'CANNOT_INVITE_SELF', "You cannot invite yourself");
+        }
+
+        const { parkingArea } = await authorizeArea(db, req.owner, req.params.id, 'manage_staff');
+        const existing = await db.collection('parking_area_staff').findOne({ parking_id: parkingArea._id, phone });
+        if (existing) {
+            throw new AppError(409, 'STAFF_EXISTS', "This phone is already on the staff list", { staff: existing });
+        }
+        const invitation = {
+            parking_id: parkingArea._id,
+            parking_area_name: parkingArea.name,
+            phone,
+            role,
+            status: "invited",
+            invited_by: req.owner._id,
+            createdAt: new Date(),
+        };
+        const result = await db.collection('parking_area_staff').insertOne(invitation);
+        res.status(201).json({ message: "Staff member invited", staff: { _id: result.insertedId, ...invitation } });
+    }));
+
+    // Change a Staff Member's Role
+    router.patch('/parking_areas/:id/staff/:staffId', validate({
+        params: staffParams,
+        body: Joi.object({ role: staffRole().required() }),
+    }), asyncHandler(async (req, res) => {
+        const { parkingArea } = await authorizeArea(db, req.owner, req.params.id, 'manage_staff');
+        const staff = await db.collection('parking_area_staff').findOneAndUpdate(
+            { _id: req.params.staffId, parking_id: parkingArea._id },
+            { $set: { role: req.body.role, updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        if (!staff) {
+            throw new AppError(404, 'STAFF_NOT_FOUND', "Staff member not found");
+        }
+        res.status(200).json({ message: "Role updated", staff });
+    }));
+
+    // Remove a Staff Member or Withdraw an Invitation
+    router.delete('/parking_areas/:id/staff/:staffId', validate({
+        params: staffParams,
+    }), asyncHandler(async (req, res) => {
+        const { parkingArea } = await authorizeArea(db, req.owner, req.params.id, 'manage_staff');
+        const result = await db.collection('parking_area_staff').deleteOne({
+            _id: req.params.staffId,
+            parking_id: parkingArea._id,
+        });
+        if (result.deletedCount === 0) {
+            throw new AppError(404, 'STAFF_NOT_FOUND', "Staff member not found");
+        }
+        res.status(200).json({ message: "Staff member removed" });
+    }));
+
+    // List Pending Staff Invitations for the Signed-In Account
+    router.get('/invitations', asyncHandler(async (req, res) => {
+        const invitations = await db.collection('parking_area_staff')
+            .find({ phone: req.owner.phone, status: "invited" })
+            .toArray();
+        res.status(200).json(invitations);
+    }));
+
+    // Accept a Staff Invitation
+    router.post('/invitations/:id/accept', validate({ params: idParams }), asyncHandler(async (req, res) => {
+        const staff = await db.collection('parking_area_staff').findOneAndUpdate(
+            { _id: req.params.id, phone: req.owner.phone, status: "invited" },
+            { $set: { status: "active", account_id: req.owner._id, acceptedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        if (!staff) {
+            throw new AppError(404, 'INVITATION_NOT_FOUND', "Invitation not found");
+        }
+        res.status(200).json({ message: "Invitation accepted", staff });
+    }));
+
+    // Get Parking Areas for Owner
+    router.get('/parking_areas', validate({ query: parkingAreaListQuery }), asyncHandler(async (req, res) => {
+        const roles = await areaRoles(db, req.owner);
+        const spec = pageSpec(parkingAreaSorts, req.query);
+        const page = await findPage(db.collection('parking_areas'), {
+            _id: { $in: [...roles.keys()].map(id => new ObjectId(id)) },
+            ...parkingAreaListFilter(req.query),
+        }, spec);
+        res.status(200).json(mapPage(page, area => ({
+            ...presentParkingArea(area),
+            role: roles.get(area._id.toString()),
+        })));
+    }));
+
+    // Upload Photos for a Parking Area
+    router.post('/parking_areas/:id/photos', upload.array('photos', 10), validate({
+        params: idParams,
+    }), asyncHandler(async (req, res) => {
+        if (!req.files || req.files.length === 0) {
+            throw new AppError(422, 'PHOTO_REQUIRED', "At least one photo is required");
+        }
+
+        const { parkingArea, actor } = await authorizeArea(db, req.owner, req.params.id, 'manage_area');
+        const saved = await Promise.all(req.files.map(file => fileStorage.save(file)));
+        const photos = saved.map(({ key, url }) => ({
+            _id: new ObjectId(),
+            key,
+            url,
+            uploaded_by: req.owner._id,
+            uploadedAt: new Date(),
+        }));
+        try {
+            await updateAudited(db, 'parking_areas',
+                { _id: parkingArea._id },
+                { $push: { photos: { $each: photos } }, $set: { updatedAt: new Date() } },
+                { actor, action: 'area.photos' }
+            );
+        } catch (error) {
+            await Promise.all(saved.map(({ key }) => fileStorage.remove(key)));
+            throw error;
+        }
+        res.status(201).json({ message: "Photos uploaded", photos });
+    }));
+
+    // Delete a Parking Area Photo
+    router.delete('/parking_areas/:id/photos/:photoId', validate({
+        params: Joi.object({
+            id: objectId().required(),
+            photoId: objectId().required(),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { photoId } = req.params;
+
+        const { parkingArea, actor } = await authorizeArea(db, req.owner, req.params.id, 'manage_area');
+        const photo = (parkingArea.photos || []).find(p => p._id.equals(photoId));
+        if (!photo) {
+            throw new AppError(404, 'PHOTO_NOT_FOUND', "Photo not found");
+        }
+        await updateAudited(db, 'parking_areas',
+            { _id: parkingArea._id },
+            { $pull: { photos: { _id: photoId } }, $set: { updatedAt: new Date() } },
+            { actor, action: 'area.photos' }
+        );
+        await fileStorage.remove(photo.key);
+        res.status(200).json({ message: "Photo deleted" });
+    }));
+
+    // Set the Tariff for a Vehicle Type in a Parking Area
+    //
+    // Fields left out of the body take their defaults.
+    router.put('/parking_areas/:id/tariffs/:vehicle_type', validate({
+        params: Joi.object({
+            id: objectId().required(),
+            vehicle_type: vehicleType().required(),
+        }),
+        body: tariffBody,
+    }), asyncHandler(async (req, res) => {
+        const vehicleType = req.params.vehicle_type;
+
+        const { tariff, error: invalid } = normalizeTariff(req.body);
+        if (invalid) {
+            throw new AppError(422, 'INVALID_TARIFF', invalid);
+        }
+
+        const { parkingArea, actor } = await authorizeArea(db, req.owner, req.params.id, 'manage_tariffs');
+        if (!areaVehicleTypes(parkingArea).includes(vehicleType)) {
+            throw new AppError(422, 'UNKNOWN_VEHICLE_TYPE', `Parking area has no ${vehicleType} slots`);
+        }
+        await updateAudited(db, 'parking_areas',
+            { _id: parkingArea._id },
+            { $set: { [`tariffs.${vehicleType}`]: tariff, updatedAt: new Date() } },
+            { actor, action: 'area.tariff' }
+        );
+        res.status(200).json({ message: "Tariff updated", vehicle_type: vehicleType, tariff });
+    }));
+
+    // Set the Cancellation Policy of a Parking Area
+    //
+    // Users cancel for free until free_cancellation_minutes before their
+    // booking starts and pay `fee` after that. A fee of 0 makes every
+    // cancellation free.
+    router.put('/parking_areas/:id/cancellation_policy', validate({
+        params: idParams,
+        body: Joi.object({
+            free_cancellation_minutes: Joi.number().integer().min(0).max(7 * 24 * 60).required(),
+            fee: Joi.number().min(0).required(),
+            currency: Joi.string().trim().uppercase().length(3).default('INR'),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { parkingArea, actor } = await authorizeArea(db, req.owner, req.params.id, 'manage_tariffs');
+        await updateAudited(db, 'parking_areas',
+            { _id: parkingArea._id },
+            { $set: { cancellation_policy: req.body, updatedAt: new Date() } },
+            { actor, action: 'area.cancellation_policy' }
+        );
+        res.status(200).json({ message: "Cancellation policy updated", cancellation_policy: req.body });
+    }));
+
+    async function findPassProduct(req, permission) {
+        const { parkingArea, actor } = await authorizeArea(db, req.owner, req.params.id, permission);
+        const product = await db.collection('pass_products').findOne({ _id: req.params.productId, parking_id: parkingArea._id });
+        if (!product) {
+            throw new AppError(404, 'PASS_PRODUCT_NOT_FOUND', "Pass product not found");
+        }
+        return { parkingArea, product, actor };
+    }
+
+    // List the Pass Products of a Parking Area, Including Retired Ones
+    router.get('/parking_areas/:id/pass_products', validate({ params: idParams }), asyncHandler(async (req, res) => {
+        const { parkingArea } = await authorizeArea(db, req.owner, req.params.id, 'view');
+        const products = await db.collection('pass_products').find({ parking_id: parkingArea._id }).sort({ createdAt: 1 }).toArray();
+        res.status(200).json(products);
+    }));
+
+    // Create a Pass Product for a Parking Area
+    //
+    // period is monthly or weekly; weekdays_only passes cover sessions that
+    // start Monday to Friday in `timezone`. With reserved_slot each pass
+    // keeps a slot of its own, so capacity cannot exceed the area's slots of
+    // that type.
+    router.post('/parking_areas/:id/pass_products', validate({
+        params: idParams,
+        body: Joi.object({
+            ...passProductFields,
+            name: passProductFields.name.required(),
+            vehicle_type: vehicleType().required(),
+            period: Joi.string().valid(...PASS_PERIODS).required(),
+            weekdays_only: Joi.boolean().default(false),
+            timezone: timeZone().allow(null).default(null),
+            reserved_slot: Joi.boolean().default(false),
+            price: passProductFields.price.required(),
+            currency: passProductFields.currency.default('INR'),
+            capacity: passProductFields.capacity.required(),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { vehicle_type, reserved_slot, capacity } = req.body;
+
+        const { parkingArea, actor } = await authorizeArea(db, req.owner, req.params.id, 'manage_tariffs');
+        if (!areaVehicleTypes(parkingArea).includes(vehicle_type)) {
+            throw new AppError(422, 'UNKNOWN_VEHICLE_TYPE', `Parking area has no ${vehicle_type} slots`);
+        }
+        if (reserved_slot && capacity > (parkingArea[`total_${vehicle_type}_slots`] || 0)) {
+            throw new AppError(422, 'CAPACITY_EXCEEDS_SLOTS', `Parking area has fewer than ${capacity} ${vehicle_type} slots to reserve`);
+        }
+        const product = {
+            parking_id: parkingArea._id,
+            ...req.body,
+            available_passes: capacity,
+            active: true,
+            createdAt: new Date(),
+        };
+        await insertAudited(db, 'pass_products', product, {
+            actor,
+            action: 'area.pass_product',
+        });
+        res.status(201).json({ message: "Pass product created", product });
+    }));
+
+    // Change the Name, Price or Capacity of a Pass Product, or Retire It
+    //
+    // Passes already sold keep their price and can be renewed until the
+    // product is retired with active: false. Capacity cannot drop below the
+    // number of valid passes.
+    router.patch('/parking_areas/:id/pass_products/:productId', validate({
+        params: passProductParams,
+        body: Joi.object({ ...passProductFields, active: Joi.boolean() }).min(1),
+    }), asyncHandler(async (req, res) => {
+        const { capacity, ...fields } = req.body;
+
+        const { parkingArea, product, actor } = await findPassProduct(req, 'manage_tariffs');
+        const update = { $set: { ...fields, updatedAt: new Date() } };
+        if (capacity !== undefined) {
+            const sold = product.capacity - product.available_passes;
+            if (capacity < sold) {
+                throw new AppError(409, 'CAPACITY_IN_USE', `${sold} passes of this product are still valid`);
+            }
+            if (product.reserved_slot && capacity > (parkingArea[`total_${product.vehicle_type}_slots`] || 0)) {
+                throw new AppError(422, 'CAPACITY_EXCEEDS_SLOTS', `Parking area has fewer than ${capacity} ${product.vehicle_type} slots to reserve`);
+            }
+            update.$set.capacity = capacity;
+            update.$inc = { available_passes: capacity - product.capacity };
+        }
+        // A pass sold or expired since the product was read would make the
+        // new available_passes wrong, so the client retries instead
+        const updated = await updateAudited(db, 'pass_products',
+            { _id: product._id, ...(capacity !== undefined && { available_passes: product.available_passes }) },
+            update,
+            { actor, action: 'area.pass_product' }
+        );
+        if (!updated) {
+            throw new AppError(409, 'PASS_PRODUCT_CHANGED', "Passes were sold or expired meanwhile, please retry");
+        }
+        res.status(200).json({ message: "Pass product updated", product: updated });
+    }));
+
+    // List the Passes Sold for a Parking Area
+    //
+    // Newest first by default. Filter by status and product_id.
+    router.get('/parking_areas/:id/passes', validate({
+        params: idParams,
+        query: Joi.object({
+            status: Joi.string().valid("pending", "active", "expired", "cancelled"),
+            product_id: objectId(),
+            ...pageQuery(passSorts, '-created_at'),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { status, product_id } = req.query;
+
+        const { parkingArea } = await authorizeArea(db, req.owner, req.params.id, 'view');
+        const filter = {
+            parking_id: parkingArea._id,
+            ...(status && { status }),
+            ...(product_id && { product_id }),
+        };
+        res.status(200).json(await findPage(db.collection('passes'), filter, pageSpec(passSorts, req.query)));
+    }));
+
+    // Get Slots for a Parking Area for Owner
+    router.get('/parking_areas/:id/slots', validate({
+        params: idParams,
+        query: slotQuery,
+    }), asyncHandler(async (req, res) => {
+        const range = parseTimeRange(req.query);
+        const { parkingArea } = await authorizeArea(db, req.owner, req.params.id, 'view');
+        const slotsWithStatus = await live.listSlotsWithStatus(parkingArea._id, {
+            vehicleType: req.query.vehicle_type,
+            layout: { floor: req.query.floor, zone: req.query.zone, attributes: req.query.attributes },
+            range,
+        });
+        res.status(200).json(slotsWithStatus);
+    }));
+
+    // Set the Layout of One Slot
+    //
+    // Fields left out keep their value; empty values clear them.
+    router.patch('/parking_areas/:id/slots/:slotId', validate({
+        params: Joi.object({
+            id: objectId().required(),
+            slotId: objectId().required(),
+        }),
+        body: Joi.object(layoutFields).min(1),
+    }), asyncHandler(async (req, res) => {
+        const { parkingArea, actor } = await authorizeArea(db, req.owner, req.params.id, 'manage_layout');
+        const slot = await db.collection('slots').findOne({ _id: req.params.slotId, parking_id: parkingArea._id });
+        if (!slot) {
+            throw new AppError(404, 'SLOT_NOT_FOUND', "Slot not found");
+        }
+        const row = { vehicle_type: slot.vehicle_type, slot_number: slot.slot_number, ...layoutOf(slot), ...req.body };
+        await applySlotLayout(store, parkingArea._id, [row], actor);
+        live.publishAreaChange(parkingArea._id, { slotIds: [slot._id] });
+        res.status(200).json({
+            message: "Slot layout updated",
+            slot: await db.collection('slots').findOne({ _id: slot._id }),
+        });
+    }));
+
+    // Import a Slot Layout
+    //
+    // Sets the floor, zone, label and attributes of the slots named, from a
+    // CSV or JSON file uploaded as `file` or a JSON body of { slots: [...] }.
+    // Fields a row leaves out are cleared and slots not named are left as
+    // they are. Nothing is changed if any row is invalid.
+    router.post('/parking_areas/:id/layout', layoutUpload.single('file'), readLayoutFile, validate({
+        params: idParams,
+        body: Joi.object({ slots: Joi.array().items(layoutRow).min(1).max(5000).required() }),
+    }), asyncHandler(async (req, res) => {
+        const { parkingArea, actor } = await authorizeArea(db, req.owner, req.params.id, 'manage_layout');
+        const updated = await applySlotLayout(store, parkingArea._id, req.body.slots, actor);
+        if (updated) {
+            live.publishAreaChange(parkingArea._id, { snapshot: true });
+        }
+        res.status(200).json({ message: "Slot layout imported", updated });
+    }));
+
+    // Subscribe to Live Slot and Booking Updates for an Owner's Parking Area
+    router.get('/parking_areas/:id/events', validate({
+        params: idParams,
+        query: Joi.object({
+            access_token: Joi.string(),
+            last_event_id: Joi.string(),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { parkingArea } = await authorizeArea(db, req.owner, req.params.id, 'view');
+        await live.streamAreaEvents(req, res, parkingArea._id, 'owner');
+    }));
+
+    // Book a Slot for Owner
+    router.post('/bookings', upload.single('entry_image'), validate({
+        // Vehicles are registered per user, so picking one needs the phone
+        body: Joi.object({ ...bookingBody, phone: phone() }).with('vehicle_id', 'phone'),
+    }), asyncHandler(async (req, res) => {
+        const { parking_id, slot_id, slot_request, vehicle_type, vehicle_id, number_plate, entry_time, start_time, end_time, phone } = req.body;
+
+        const { parkingArea, actor } = await authorizeArea(db, req.owner, parking_id, 'check_in_out');
+        res.status(200).json(await bookingService.book({
+            parkingId: parkingArea._id,
+            slotId: slot_id,
+            slotRequest: slot_request,
+            vehicleType: vehicle_type,
+            vehicleId: vehicle_id,
+            numberPlate: number_plate,
+            entryTime: entry_time,
+            startTime: start_time,
+            endTime: end_time,
+            phone,
+            entryImage: req.file,
+            actor,
+        }));
+    }));
+
+    // Check In a Reserved Booking for Owner
+    router.post('/bookings/:id/check-in', upload.single('entry_image'), validate({
+        params: idParams,
+        body: Joi.object({
+            parking_id: objectId().required(),
+            entry_time: date(),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { parking_id, entry_time } = req.body;
+
+        const { parkingArea, actor } = await authorizeArea(db, req.owner, parking_id, 'check_in_out');
+        res.status(200).json(await bookingService.checkIn({
+            parkingId: parkingArea._id,
+            bookingId: req.params.id,
+            entryTime: entry_time,
+            entryImage: req.file,
+            actor,
+        }));
+    }));
+
+    // Let a Vehicle In at the Gate by Number Plate
+    //
+    // Checks in the vehicle's reservation, or starts a walk-in session on the
+    // first free slot of vehicle_type when it has none.
+    router.post('/parking_areas/:id/gate/entry', upload.single('entry_image'), validate({
+        params: idParams,
+        body: Joi.object({
+            number_plate: numberPlate().required(),
+            vehicle_type: vehicleType(),
+            entry_time: date(),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { number_plate, vehicle_type, entry_time } = req.body;
+
+        const { parkingArea, actor } = await authorizeArea(db, req.owner, req.params.id, 'check_in_out');
+        res.status(200).json(await gate.enter(parkingArea, {
+            numberPlate: number_plate,
+            vehicleType: vehicle_type,
+            entryTime: entry_time,
+            entryImage: req.file,
+            actor,
+        }));
+    }));
+
+    // Let a Vehicle Out at the Gate by Number Plate
+    router.post('/parking_areas/:id/gate/exit', upload.single('exit_image'), validate({
+        params: idParams,
+        body: Joi.object({
+            number_plate: numberPlate().required(),
+            exit_time: date(),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { number_plate, exit_time } = req.body;
+
+        const { parkingArea, actor } = await authorizeArea(db, req.owner, req.params.id, 'check_in_out');
+        res.status(200).json(await gate.exit(parkingArea, {
+            numberPlate: number_plate,
+            exitTime: exit_time,
+            exitImage: req.file,
+            actor,
+        }));
+    }));
+
+    // Resolve a scanned ticket token to its booking, checking the account may
+    // act on the booking's parking area before telling it whether the ticket
+    // is still valid
+    async function scanTicket(req) {
+        const ticket = await findTicket(db, req.body.token);
+        const { parkingArea, actor } = await authorizeArea(db, req.owner, ticket.parking_id, 'check_in_out');
+        const booking = await findBooking(db, ticket.booking_id);
+        assertTicketValid(ticket, booking);
+        return { ticket, booking, parkingArea, actor };
+    }
+
+    const ticketBody = { token: Joi.string().trim().max(2048).required() };
+
+    // Verify a Scanned Parking Ticket
+    //
+    // Shows the booking, its slot and the fee due if it were checked out now,
+    // worked out as checking out would, so sessions on a pass show no charge
+    // up to its expiry.
+    router.post('/tickets/verify', validate({ body: Joi.object(ticketBody) }), asyncHandler(async (req, res) => {
+        const { ticket, booking } = await scanTicket(req);
+        const slot = await db.collection('slots').findOne(
+            { _id: booking.slot_id },
+            { projection: { slot_number: 1, vehicle_type: 1 } }
+        );
+        res.status(200).json({
+            ticket: { ticket_id: ticket._id, status: ticket.status, expires_at: ticket.expires_at },
+            booking: {
+                booking_id: booking._id,
+                status: booking.status,
+                number_plate: booking.number_plate,
+                vehicle_type: booking.vehicle_type,
+                start_time: booking.start_time,
+                end_time: booking.end_time,
+                entry_time: booking.entry_time,
+                payment_status: booking.payment_status || null,
+                walk_in: Boolean(booking.walk_in),
+            },
+            slot: slot && { slot_id: slot._id, slot_number: slot.slot_number, vehicle_type: slot.vehicle_type },
+            fee_due: booking.status === "active" ? await sessionFee(db, undefined, booking, new Date()) : null,
+        });
+    }));
+
+    // Check Out the Vehicle on a Scanned Parking Ticket
+    router.post('/tickets/checkout', upload.single('exit_image'), validate({
+        body: Joi.object({ ...ticketBody, exit_time: date() }),
+    }), asyncHandler(async (req, res) => {
+        const { booking, parkingArea, actor } = await scanTicket(req);
+        if (booking.status !== "active") {
+            throw new AppError(409, 'BOOKING_NOT_ACTIVE', "The vehicle on this ticket has not checked in");
+        }
+        res.status(200).json(await bookingService.complete({
+            parkingId: parkingArea._id,
+            slotId: booking.slot_id,
+            exitTime: req.body.exit_time,
+            exitImage: req.file,
+            actor,
+        }));
+    }));
+
+    // Revoke the Parking Ticket of a Booking, e.g. When It Was Lost
+    router.post('/bookings/:id/ticket/revoke', validate({ params: idParams }), asyncHandler(async (req, res) => {
+        const booking = await findBooking(db, req.params.id);
+        await authorizeArea(db, req.owner, booking.parking_id, 'check_in_out');
+        await revokeTickets(db, booking._id, 'owner');
+        res.status(200).json({ message: "Ticket revoked" });
+    }));
+
+    // Get Booking Details for Owner
+    router.get('/bookings', validate({
+        query: Joi.object({ slot_id: objectId().required() }),
+    }), asyncHandler(async (req, res) => {
+        const { slot_id } = req.query;
+
+        const slot = await db.collection('slots').findOne({ _id: slot_id });
+        if (!slot) {
+            throw new AppError(404, 'SLOT_NOT_FOUND', "Slot not found");
+        }
+        await authorizeArea(db, req.owner, slot.parking_id, 'view');
+        const bookings = await db.collection('bookings').find({
+            slot_id,
+            status: "active",
+        }).toArray();
+        res.status(200).json(bookings);
+    }));
+
+    // Complete a Booking and Free the Slot for Owner
+    router.post('/bookings/complete', upload.single('exit_image'), validate({
+        body: Joi.object({
+            parking_id: objectId().required(),
+            slot_id: objectId().required(),
+            exit_time: date(),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { slot_id, parking_id, exit_time } = req.body;
+
+        const { parkingArea, actor } = await authorizeArea(db, req.owner, parking_id, 'check_in_out');
+        res.status(200).json(await bookingService.complete({
+            parkingId: parkingArea._id,
+            slotId: slot_id,
+            exitTime: exit_time,
+            exitImage: req.file,
+            actor,
+        }));
+    }));
+
+    // Attach or Replace an Entry/Exit Snapshot on a Booking
+    router.post('/bookings/:id/snapshots/:kind', upload.single('image'), validate({
+        params: Joi.object({
+            id: objectId().required(),
+            kind: Joi.string().valid('entry', 'exit').required(),
+        }),
+    }), asyncHandler(async (req, res) => {
+        if (!req.file) {
+            throw new AppError(422, 'IMAGE_REQUIRED', "An image file is required");
+        }
+
+        const booking = await findBooking(db, req.params.id);
+        const { actor } = await authorizeArea(db, req.owner, booking.parking_id, 'check_in_out');
+        const snapshot = await uploads.attachSnapshot(booking._id, req.params.kind, req.file, actor);
+        res.status(201).json({ message: "Snapshot saved", snapshot });
+    }));
+
+    // Record a Cash or On-Site Payment for a Booking
+    //
+    // Only once the fee is final: for a completed or cancelled booking. A
+    // booking with a fee must be paid in full; one without a tariff takes
+    // the amount (and currency) collected.
+    router.post('/bookings/:id/payments/cash', validate({
+        params: idParams,
+        body: Joi.object({
+            amount: Joi.number().min(0),
+            currency: Joi.string().trim().uppercase().length(3).default('INR'),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { amount, currency } = req.body;
+
+        const booking = await findBooking(db, req.params.id);
+        const { actor } = await authorizeArea(db, req.owner, booking.parking_id, 'check_in_out');
+        if (!["completed", "cancelled"].includes(booking.status)) {
+            throw new AppError(409, 'FEE_NOT_FINAL', `Cannot take payment for a ${booking.status} booking before it ends`);
+        }
+        const hasFee = typeof booking.amount === 'number';
+        const received = amount !== undefined ? amount : booking.amount;
+        if (typeof received !== 'number') {
+            throw new AppError(422, 'AMOUNT_REQUIRED', "The booking has no fee; pass the amount received");
+        }
+        if (hasFee && received !== booking.amount) {
+            throw new AppError(422, 'AMOUNT_MISMATCH', `The booking's fee is ${booking.amount} ${booking.currency}`, {
+                amount_due: booking.amount,
+            });
+        }
+        await assertNotPaid(db, booking);
+
+        const now = new Date();
+        const payment = {
+            booking_id: booking._id,
+            parking_id: booking.parking_id,
+            phone: booking.phone,
+            amount: received,
+            currency: hasFee ? booking.currency : currency,
+            method: "cash",
+            provider: null,
+            status: "captured",
+            recorded_by: req.owner._id,
+            history: [{ status: "captured", source: "owner", at: now }],
+            createdAt: now,
+        };
+        const result = await db.collection('payments').insertOne(payment);
+        await updateAudited(db, 'bookings',
+            { _id: booking._id },
+            { $set: { payment_status: "paid", updatedAt: now } },
+            { actor, action: 'booking.payment' }
+        );
+        res.status(201).json({ message: "Cash payment recorded", payment_id: result.insertedId });
+    }));
+
+    // Refund a Captured Payment for Owner
+    router.post('/payments/:id/refund', validate({ params: idParams }), asyncHandler(async (req, res) => {
+        const payment = await db.collection('payments').findOne({ _id: req.params.id });
+        if (!payment) {
+            throw new AppError(404, 'PAYMENT_NOT_FOUND', "Payment not found");
+        }
+        const { actor } = await authorizeArea(db, req.owner, payment.parking_id, 'manage_payments');
+        if (payment.status !== "captured") {
+            throw new AppError(409, 'INVALID_PAYMENT_TRANSITION', `Cannot refund a ${payment.status} payment`);
+        }
+        if (payment.method === "online") {
+            const gateway = payment.provider && getGateway(payment.provider);
+            if (!gateway) {
+                throw new AppError(503, 'PAYMENTS_UNAVAILABLE', "The payment's provider is not available for refunds");
+            }
+            await gateway.refund({
+                provider_ref: payment.provider_ref,
+                amount: payment.amount,
+            });
+        }
+        const updated = await transitionPayment(db, payment, "refunded", "owner", actor);
+        if (!updated) {
+            throw new AppError(409, 'PAYMENT_CHANGED', "Payment changed while refunding; try again");
+        }
+        if (updated.pass_id) {
+            await passes.applyPayment(updated, actor);
+        }
+        res.status(200).json({ message: "Payment refunded", status: updated.status });
+    }));
+
+    return router;
+}
+
+module.exports = { createOwnerRouter };
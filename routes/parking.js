@@ -0,0 +1,142 @@
+const express = require('express');
+const { computeFee } = require('../lib/tariff');
+const { toGeoPoint, presentParkingArea } = require('../lib/geo');
+const { parseTimeRange } = require('../lib/live');
+const { AppError, asyncHandler } = require('../lib/errors');
+const { Joi, validate, vehicleType, date, dateAfter } = require('../lib/validation');
+const { pageSpec, findPage, mapPage } = require('../lib/pagination');
+const { idParams, slotQuery, parkingAreaSorts, parkingAreaListQuery, parkingAreaListFilter } = require('./schemas');
+
+async function findParkingArea(db, parkingId, options) {
+    const parkingArea = await db.collection('parking_areas').findOne({ _id: parkingId }, options);
+    if (!parkingArea) {
+        throw new AppError(404, 'PARKING_AREA_NOT_FOUND', "Parking area not found");
+    }
+    return parkingArea;
+}
+
+// Public parking area endpoints used by the user app, mounted under
+// /api/parking_areas
+function createParkingRouter({ db, live }) {
+    const router = express.Router();
+
+    // Get All Parking Areas
+    router.get('/', validate({ query: parkingAreaListQuery }), asyncHandler(async (req, res) => {
+        const spec = pageSpec(parkingAreaSorts, req.query);
+        const page = await findPage(db.collection('parking_areas'), parkingAreaListFilter(req.query), spec);
+        res.status(200).json(mapPage(page, presentParkingArea));
+    }));
+
+    // Search Parking Areas Near a Point
+    router.get('/search', validate({
+        query: Joi.object({
+            lat: Joi.number().min(-90).max(90).required(),
+            lng: Joi.number().min(-180).max(180).required(),
+            radius_km: Joi.number().greater(0).max(100).default(5),
+            vehicle_type: vehicleType(),
+            sort: Joi.string().valid('distance', 'availability').default('distance'),
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(100).default(20),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { vehicle_type, sort, radius_km: radiusKm, page, limit } = req.query;
+        const point = toGeoPoint(req.query);
+
+        const availableField = vehicle_type ? `available_${vehicle_type}_slots` : null;
+        const pipeline = [
+            {
+                $geoNear: {
+                    near: point,
+                    distanceField: 'distance_m',
+                    maxDistance: radiusKm * 1000,
+                    spherical: true,
+                    query: availableField ? { [availableField]: { $gt: 0 } } : {},
+                },
+            },
+        ];
+        if (sort === 'availability') {
+            pipeline.push(availableField
+                ? { $sort: { [availableField]: -1, distance_m: 1 } }
+                : { $sort: { available_car_slots: -1, available_bike_slots: -1, distance_m: 1 } });
+        }
+        pipeline.push({
+            $facet: {
+                results: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+                total: [{ $count: 'count' }],
+            },
+        });
+
+        const [{ results, total }] = await db.collection('parking_areas').aggregate(pipeline).toArray();
+        res.status(200).json({
+            results: results.map(area => ({
+                ...presentParkingArea(area),
+                distance_km: Math.round(area.distance_m) / 1000,
+            })),
+            page,
+            limit,
+            total: total.length ? total[0].count : 0,
+        });
+    }));
+
+    // Get Parking Area Details by ID for User App
+    router.get('/:id', validate({ params: idParams }), asyncHandler(async (req, res) => {
+        const parkingArea = await findParkingArea(db, req.params.id);
+        res.status(200).json(presentParkingArea(parkingArea));
+    }));
+
+    // Get All Slots for a Parking Area for User App
+    router.get('/:id/slots', validate({
+        params: idParams,
+        query: slotQuery,
+    }), asyncHandler(async (req, res) => {
+        const range = parseTimeRange(req.query);
+        const slotsWithStatus = await live.listSlotsWithStatus(req.params.id, {
+            vehicleType: req.query.vehicle_type,
+            layout: { floor: req.query.floor, zone: req.query.zone, attributes: req.query.attributes },
+            range,
+        });
+        res.status(200).json(slotsWithStatus);
+    }));
+
+    // Subscribe to Live Slot Updates for a Parking Area (Server-Sent Events)
+    router.get('/:id/events', validate({
+        params: idParams,
+        query: Joi.object({ last_event_id: Joi.string() }),
+    }), asyncHandler(async (req, res) => {
+        const parkingArea = await findParkingArea(db, req.params.id, { projection: { _id: 1 } });
+        await live.streamAreaEvents(req, res, parkingArea._id, 'public');
+    }));
+
+    // List the Passes on Sale at a Parking Area
+    router.get('/:id/pass_products', validate({ params: idParams }), asyncHandler(async (req, res) => {
+        const parkingArea = await findParkingArea(db, req.params.id, { projection: { _id: 1 } });
+        const products = await db.collection('pass_products')
+            .find({ parking_id: parkingArea._id, active: true })
+            .sort({ createdAt: 1 })
+            .toArray();
+        res.status(200).json(products);
+    }));
+
+    // Quote the Expected Fee for a Stay
+    router.get('/:id/quote', validate({
+        params: idParams,
+        query: Joi.object({
+            vehicle_type: vehicleType().required(),
+            start: date().required(),
+            end: dateAfter('start').required(),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { vehicle_type, start, end } = req.query;
+
+        const parkingArea = await findParkingArea(db, req.params.id);
+        const tariff = parkingArea.tariffs && parkingArea.tariffs[vehicle_type];
+        if (!tariff) {
+            throw new AppError(404, 'TARIFF_NOT_FOUND', "No tariff configured for this vehicle type");
+        }
+        res.status(200).json(computeFee(tariff, start, end));
+    }));
+
+    return router;
+}
+
+module.exports = { createParkingRouter };
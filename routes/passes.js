@@ -0,0 +1,53 @@
+const express = require('express');
+const { requireAccount } = require('../lib/auth');
+const { asyncHandler } = require('../lib/errors');
+const { accountActor } = require('../lib/audit');
+const { describePayment } = require('../lib/payments');
+const { Joi, validate, objectId } = require('../lib/validation');
+const { idParams } = require('./schemas');
+
+// Pass endpoints for the user app, mounted under /api/passes. Passes on
+// sale are listed under /api/parking_areas/:id/pass_products.
+function createPassRouter({ db, passes }) {
+    const router = express.Router();
+    router.use(requireAccount(db, 'user'));
+
+    // Buy a Pass for One of the Signed-In User's Vehicles
+    //
+    // The pass is pending until the payment returned with it is captured.
+    router.post('/', validate({
+        body: Joi.object({
+            product_id: objectId().required(),
+            vehicle_id: objectId().required(),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { pass, payment } = await passes.buy({
+            productId: req.body.product_id,
+            phone: req.user.phone,
+            vehicleId: req.body.vehicle_id,
+            actor: accountActor('user', req.user),
+        });
+        res.status(201).json({ message: "Pass reserved; complete the payment to activate it", pass, payment: describePayment(payment) });
+    }));
+
+    // List the Signed-In User's Passes
+    router.get('/', asyncHandler(async (req, res) => {
+        res.status(200).json(await passes.list(req.user.phone));
+    }));
+
+    // Renew a Pass for Another Period
+    //
+    // The pass is extended once the payment returned is captured.
+    router.post('/:id/renew', validate({ params: idParams }), asyncHandler(async (req, res) => {
+        const { pass, payment } = await passes.renew({
+            passId: req.params.id,
+            phone: req.user.phone,
+            actor: accountActor('user', req.user),
+        });
+        res.status(200).json({ message: "Complete the payment to renew the pass", pass, payment: describePayment(payment) });
+    }));
+
+    return router;
+}
+
+module.exports = { createPassRouter };
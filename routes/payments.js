@@ -0,0 +1,140 @@
+const express = require('express');
+const { requireAccount } = require('../lib/auth');
+const { getGateway, transitionPayment, createOnlinePayment, describePayment, assertNotPaid } = require('../lib/payments');
+const { AppError, asyncHandler } = require('../lib/errors');
+const { accountActor, systemActor, updateAudited } = require('../lib/audit');
+const { Joi, validate, objectId } = require('../lib/validation');
+const { idParams } = require('./schemas');
+
+// Apply a verified gateway event to the matching payment, and to the pass
+// it pays for if any, and return the response body
+async function applyGatewayEvent({ db, passes }, gateway, event) {
+    const payment = await db.collection('payments').findOne({
+        provider: gateway.name,
+        provider_ref: event.provider_ref,
+    });
+    if (!payment) {
+        throw new AppError(404, 'PAYMENT_NOT_FOUND', "Payment not found");
+    }
+    if (payment.status === event.status) {
+        return { message: "Already processed", status: payment.status };
+    }
+    const source = `webhook:${gateway.name}`;
+    const updated = await transitionPayment(db, payment, event.status, source, systemActor(source));
+    if (!updated) {
+        throw new AppError(409, 'INVALID_PAYMENT_TRANSITION', `Cannot move payment from ${payment.status} to ${event.status}`);
+    }
+    if (updated.pass_id) {
+        await passes.applyPayment(updated, systemActor(source));
+    }
+    return { message: "Payment updated", status: updated.status };
+}
+
+async function findUserPayment(db, paymentId, user) {
+    const payment = await db.collection('payments').findOne({ _id: paymentId, phone: user.phone });
+    if (!payment) {
+        throw new AppError(404, 'PAYMENT_NOT_FOUND', "Payment not found");
+    }
+    return payment;
+}
+
+// Online payment endpoints for the user app and gateway webhooks, mounted
+// under /api/payments
+function createPaymentRouter({ db, passes }) {
+    const router = express.Router();
+    const requireUser = requireAccount(db, 'user');
+
+    // Initiate an Online Payment for a Completed Booking
+    router.post('/', requireUser, validate({
+        body: Joi.object({ booking_id: objectId().required() }),
+    }), asyncHandler(async (req, res) => {
+        const booking = await db.collection('bookings').findOne({
+            _id: req.body.booking_id,
+            phone: req.user.phone,
+        });
+        if (!booking) {
+            throw new AppError(404, 'BOOKING_NOT_FOUND', "Booking not found");
+        }
+        // Completed bookings owe their fee, cancelled ones any cancellation fee
+        if (!["completed", "cancelled"].includes(booking.status) || !(booking.amount > 0)) {
+            throw new AppError(409, 'NO_AMOUNT_DUE', "Booking has no amount due");
+        }
+        await assertNotPaid(db, booking);
+
+        const gateway = getGateway();
+        if (!gateway) {
+            throw new AppError(503, 'PAYMENTS_UNAVAILABLE', "Online payments are not available");
+        }
+        const findPending = () => db.collection('payments').findOne({ booking_id: booking._id, status: "pending" });
+        const pending = await findPending();
+        if (pending) {
+            return res.status(200).json(describePayment(pending));
+        }
+
+        let payment;
+        try {
+            payment = await createOnlinePayment(db, gateway, {
+                booking_id: booking._id,
+                parking_id: booking.parking_id,
+                phone: booking.phone,
+                amount: booking.amount,
+                currency: booking.currency,
+            }, "user");
+        } catch (error) {
+            // Another request opened the payment in the meantime
+            const existing = error.code === 11000 && await findPending();
+            if (existing) {
+                return res.status(200).json(describePayment(existing));
+            }
+            throw error;
+        }
+        await updateAudited(db, 'bookings',
+            { _id: booking._id },
+            { $set: { payment_status: "pending", updatedAt: payment.createdAt } },
+            { actor: accountActor('user', req.user), action: 'booking.payment' }
+        );
+
+        res.status(201).json(describePayment(payment));
+    }));
+
+    // Get Payment Status
+    router.get('/:id', requireUser, validate({ params: idParams }), asyncHandler(async (req, res) => {
+        const payment = await findUserPayment(db, req.params.id, req.user);
+        res.status(200).json(payment);
+    }));
+
+    // Settle a Mock Payment (only available with the mock gateway, never in production)
+    router.post('/:id/simulate', requireUser, validate({
+        params: idParams,
+        body: Joi.object({ status: Joi.string().valid("authorized", "captured", "failed").required() }),
+    }), asyncHandler(async (req, res) => {
+        const gateway = getGateway('mock');
+        const payment = gateway && await findUserPayment(db, req.params.id, req.user);
+        if (!payment || payment.provider !== 'mock') {
+            throw new AppError(404, 'PAYMENT_NOT_FOUND', "Payment not found");
+        }
+        const webhook = gateway.buildWebhook(payment.provider_ref, req.body.status);
+        const event = gateway.verifyWebhook(Buffer.from(webhook.body), webhook.headers);
+        res.status(200).json(await applyGatewayEvent({ db, passes }, gateway, event));
+    }));
+
+    // Receive Payment Gateway Webhooks
+    //
+    // The body is not validated here: it is the provider's format and is only
+    // trusted once its signature has been checked against the raw bytes.
+    router.post('/webhooks/:provider', asyncHandler(async (req, res) => {
+        const gateway = getGateway(req.params.provider);
+        if (!gateway) {
+            throw new AppError(404, 'PROVIDER_NOT_FOUND', "Unknown payment provider");
+        }
+        const event = gateway.verifyWebhook(req.rawBody, req.headers);
+        if (!event) {
+            throw new AppError(401, 'INVALID_SIGNATURE', "Invalid webhook signature");
+        }
+        res.status(200).json(await applyGatewayEvent({ db, passes }, gateway, event));
+    }));
+
+    return router;
+}
+
+module.exports = { createPaymentRouter };
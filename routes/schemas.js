@@ -0,0 +1,85 @@
+const { Joi, objectId, numberPlate, vehicleType, slotAttribute, date } = require('../lib/validation');
+const { pageQuery, dateRangeQuery, dateRangeFilter } = require('../lib/pagination');
+
+// Request schemas, and the filters they describe, shared by several routers
+const idParams = Joi.object({ id: objectId().required() });
+
+// Where a slot is and what it offers, see layoutOf in lib/slots. Empty
+// values clear a field.
+const layoutName = () => Joi.string().trim().max(20).allow(null, '');
+const slotAttributes = () => Joi.array().items(slotAttribute()).unique().max(10);
+const layoutFields = {
+    floor: layoutName(),
+    zone: layoutName(),
+    label: layoutName(),
+    attributes: slotAttributes(),
+};
+
+// Slots on a floor and zone with all of the given attributes
+// (?attributes=covered&attributes=ev_charging)
+const slotQuery = Joi.object({
+    vehicle_type: vehicleType(),
+    floor: Joi.string().trim().max(20),
+    zone: Joi.string().trim().max(20),
+    attributes: slotAttributes().single(),
+    from: date(),
+    to: date(),
+});
+
+const refreshBody = Joi.object({ refresh_token: Joi.string().required() });
+
+const bookingBody = {
+    parking_id: objectId().required(),
+    // A slot, or the kind of slot wanted, in which case the first free one
+    // that matches is booked
+    slot_id: objectId().when('slot_request', {
+        is: Joi.exist(),
+        then: Joi.forbidden(),
+        otherwise: Joi.required(),
+    }),
+    slot_request: Joi.object({
+        floor: Joi.string().trim().max(20),
+        zone: Joi.string().trim().max(20),
+        attributes: slotAttributes(),
+    }).min(1),
+    vehicle_type: vehicleType(),
+    // A registered vehicle, or a bare plate from older app versions
+    vehicle_id: objectId(),
+    number_plate: numberPlate().when('vehicle_id', {
+        is: Joi.exist(),
+        then: Joi.forbidden(),
+        otherwise: Joi.required(),
+    }),
+    entry_time: date(),
+    start_time: date(),
+    end_time: date(),
+};
+
+// Parking area lists: areas with slots for vehicle_type (free ones only
+// with available=true), created within from/to
+const parkingAreaSorts = { created_at: '_id', name: 'name' };
+const parkingAreaListQuery = Joi.object({
+    vehicle_type: vehicleType(),
+    available: Joi.boolean(),
+    ...dateRangeQuery(),
+    ...pageQuery(parkingAreaSorts, 'name', { optional: true }),
+}).with('available', 'vehicle_type');
+
+function parkingAreaListFilter({ vehicle_type, available, ...range }) {
+    const counter = available ? 'available' : 'total';
+    return {
+        ...(vehicle_type && { [`${counter}_${vehicle_type}_slots`]: { $gt: 0 } }),
+        ...dateRangeFilter('createdAt', range),
+    };
+}
+
+module.exports = {
+    idParams,
+    layoutFields,
+    slotQuery,
+    refreshBody,
+    bookingBody,
+    parkingAreaSorts,
+    parkingAreaListQuery,
+    parkingAreaListFilter,
+};
@@ -0,0 +1,388 @@
+const express = require('express');
+const { issueTokens, requireAccount, accountForRefreshToken } = require('../lib/auth');
+const { issueOtp, verifyOtp } = require('../lib/otp');
+const { AppError, asyncHandler } = require('../lib/errors');
+const { normalizePlate, findUserVehicle, registerPlate } = require('../lib/vehicles');
+const { accountActor } = require('../lib/audit');
+const { IMAGE_FORMATS, issueTicket, currentTicket, presentTicket, renderTicket } = require('../lib/tickets');
+const { pageQuery, dateRangeQuery, dateRangeFilter, pageSpec, findPage, pageStages, toPage } = require('../lib/pagination');
+const { Joi, validate, objectId, phone, numberPlate, vehicleType, date } = require('../lib/validation');
+const { idParams, refreshBody, bookingBody } = require('./schemas');
+
+const otpCode = () => Joi.string().trim().pattern(/^\d{4,8}$/)
+    .messages({ 'string.pattern.base': '{{#label}} must be the numeric code sent by SMS' });
+
+// Fail with the reason a verification code was rejected
+async function assertOtp(db, phone, code) {
+    const verification = await verifyOtp(db, phone, code);
+    if (!verification.ok) {
+        throw new AppError(verification.status, verification.code, verification.message);
+    }
+}
+
+// Only the signed-in user may read data filed under their phone number
+function assertOwnPhone(req) {
+    if (req.params.phone !== req.user.phone) {
+        throw new AppError(403, 'FORBIDDEN', "You can only access your own account");
+    }
+}
+
+// Older app versions still send one car and one bike plate with the
+// profile; keep them in the vehicle registry as well
+async function registerProfilePlates(db, phone, { car_number_plate, bike_number_plate }) {
+    if (car_number_plate) await registerPlate(db, phone, car_number_plate, 'car');
+    if (bike_number_plate) await registerPlate(db, phone, bike_number_plate, 'bike');
+}
+
+const BOOKING_STATUSES = ["reserved", "active", "completed", "cancelled", "expired"];
+const bookingSorts = { created_at: 'createdAt', start_time: 'start_time' };
+const userSorts = { created_at: '_id', name: 'name' };
+
+const vehicleFields = {
+    nickname: Joi.string().trim().max(50).allow(null),
+    is_ev: Joi.boolean(),
+};
+
+// User app endpoints, mounted under /api
+function createUserRouter({ db, sms, bookingService }) {
+    const router = express.Router();
+    const requireUser = requireAccount(db, 'user');
+    const requireOwner = requireAccount(db, 'owner');
+
+    // Request a Phone Verification Code
+    router.post('/users/otp/request', validate({
+        body: Joi.object({ phone: phone().required() }),
+    }), asyncHandler(async (req, res) => {
+        const result = await issueOtp(db, sms, req.body.phone);
+        if (result.retryAfter) {
+            const error = new AppError(429, 'OTP_COOLDOWN', "Please wait before requesting another code", {
+                retry_after: result.retryAfter,
+            });
+            error.retryAfter = result.retryAfter;
+            throw error;
+        }
+        res.status(200).json({
+            message: "Verification code sent",
+            expires_in: result.expiresIn,
+            resend_after: result.resendAfter,
+        });
+    }));
+
+    // User Registration Endpoint
+    router.post('/users/register', validate({
+        body: Joi.object({
+            phone: phone().required(),
+            code: otpCode().required(),
+            name: Joi.string().trim().max(100),
+            car_number_plate: numberPlate().allow(''),
+            bike_number_plate: numberPlate().allow(''),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { phone, code, name, car_number_plate, bike_number_plate } = req.body;
+
+        await assertOtp(db, phone, code);
+
+        const existingUser = await db.collection('users').findOne({ phone });
+        if (existingUser) {
+            return res.status(200).json({
+                message: "User already exists",
+                user: existingUser,
+                ...issueTokens(existingUser, 'user'),
+            });
+        }
+
+        const newUser = {
+            phone,
+            name: name || 'User',
+            car_number_plate: car_number_plate || '',
+            bike_number_plate: bike_number_plate || '',
+            token_version: 0,
+            createdAt: new Date(),
+        };
+        await db.collection('users').insertOne(newUser);
+        await registerProfilePlates(db, phone, newUser);
+        res.status(201).json({
+            message: "User registered successfully",
+            user: newUser,
+            ...issueTokens(newUser, 'user'),
+        });
+    }));
+
+    // User Login Endpoint
+    router.post('/users/login', validate({
+        body: Joi.object({
+            phone: phone().required(),
+            code: otpCode().required(),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { phone, code } = req.body;
+
+        const user = await db.collection('users').findOne({ phone });
+        if (!user) {
+            throw new AppError(404, 'USER_NOT_FOUND', "User not found. Please register.");
+        }
+        await assertOtp(db, phone, code);
+        res.status(200).json({ message: "Login successful", user, ...issueTokens(user, 'user') });
+    }));
+
+    // Exchange a User Refresh Token for a New Token Pair
+    router.post('/users/token/refresh', validate({ body: refreshBody }), asyncHandler(async (req, res) => {
+        const user = await accountForRefreshToken(db, req.body.refresh_token, 'user');
+        res.status(200).json(issueTokens(user, 'user'));
+    }));
+
+    // Get User Profile
+    router.get('/users/profile/:phone', requireUser, validate({
+        params: Joi.object({ phone: phone().required() }),
+    }), asyncHandler(async (req, res) => {
+        assertOwnPhone(req);
+
+        const user = await db.collection('users').findOne({ phone: req.params.phone });
+        if (!user) {
+            throw new AppError(404, 'USER_NOT_FOUND', "User not found");
+        }
+        const vehicles = await db.collection('vehicles').find({ phone: user.phone }).sort({ createdAt: 1 }).toArray();
+        res.status(200).json({ ...user, vehicles });
+    }));
+
+    // Update User Profile Endpoint
+    router.put('/users/profile', requireUser, validate({
+        body: Joi.object({
+            name: Joi.string().trim().min(1).max(100),
+            car_number_plate: numberPlate().allow(''),
+            bike_number_plate: numberPlate().allow(''),
+        }).min(1),
+    }), asyncHandler(async (req, res) => {
+        const { phone } = req.user;
+
+        const result = await db.collection('users').updateOne(
+            { phone },
+            { $set: { ...req.body, updatedAt: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+            throw new AppError(404, 'USER_NOT_FOUND', "User not found");
+        }
+        await registerProfilePlates(db, phone, req.body);
+        const updatedUser = await db.collection('users').findOne({ phone });
+        res.status(200).json({ message: "Profile updated successfully", user: updatedUser });
+    }));
+
+    // Get User Bookings
+    //
+    // Newest first by default. Filter by status (repeatable), parking_id,
+    // vehicle_type and a from/to range on the start time. Every booking is
+    // returned unless limit or cursor asks for a page.
+    router.get('/users/bookings/:phone', requireUser, validate({
+        params: Joi.object({ phone: phone().required() }),
+        query: Joi.object({
+            status: Joi.array().items(Joi.string().valid(...BOOKING_STATUSES)).single(),
+            parking_id: objectId(),
+            vehicle_type: vehicleType(),
+            ...dateRangeQuery(),
+            ...pageQuery(bookingSorts, '-created_at', { optional: true }),
+        }),
+    }), asyncHandler(async (req, res) => {
+        assertOwnPhone(req);
+        const { status, parking_id, vehicle_type } = req.query;
+
+        const query = {
+            phone: req.params.phone,
+            ...(status && { status: { $in: status } }),
+            ...(parking_id && { parking_id }),
+            ...(vehicle_type && { vehicle_type }),
+            ...dateRangeFilter('start_time', req.query),
+        };
+        const spec = pageSpec(bookingSorts, req.query);
+        const bookings = await db.collection('bookings').aggregate([
+            ...pageStages(query, spec),
+            { $lookup: { from: 'parking_areas', localField: 'parking_id', foreignField: '_id', as: 'parking_area' } },
+            { $lookup: { from: 'slots', localField: 'slot_id', foreignField: '_id', as: 'slot' } },
+            { $unwind: { path: '$parking_area', preserveNullAndEmptyArrays: true } },
+            { $unwind: { path: '$slot', preserveNullAndEmptyArrays: true } },
+            {
+                $addFields: {
+                    location: { $ifNull: ['$parking_area.name', 'Unknown Location'] },
+                    slot_number: { $ifNull: ['$slot.slot_number', 'Unknown Slot'] },
+                },
+            },
+            { $project: { parking_area: 0, slot: 0 } },
+        ]).toArray();
+        res.status(200).json(toPage(bookings, spec));
+    }));
+
+    // List the Signed-In User's Vehicles
+    router.get('/users/vehicles', requireUser, asyncHandler(async (req, res) => {
+        const vehicles = await db.collection('vehicles').find({ phone: req.user.phone }).sort({ createdAt: 1 }).toArray();
+        res.status(200).json(vehicles);
+    }));
+
+    // Register a Vehicle
+    router.post('/users/vehicles', requireUser, validate({
+        body: Joi.object({
+            number_plate: numberPlate().required(),
+            vehicle_type: vehicleType().required(),
+            ...vehicleFields,
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { number_plate, vehicle_type, nickname = null, is_ev = false } = req.body;
+        const vehicle = {
+            phone: req.user.phone,
+            number_plate,
+            plate_key: normalizePlate(number_plate),
+            vehicle_type,
+            nickname,
+            is_ev,
+            createdAt: new Date(),
+        };
+        try {
+            await db.collection('vehicles').insertOne(vehicle);
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new AppError(409, 'VEHICLE_EXISTS', "This number plate is already registered");
+            }
+            throw error;
+        }
+        res.status(201).json({ message: "Vehicle registered", vehicle });
+    }));
+
+    // Update a Vehicle's Type, Nickname or EV Flag
+    router.patch('/users/vehicles/:id', requireUser, validate({
+        params: idParams,
+        body: Joi.object({ vehicle_type: vehicleType(), ...vehicleFields }).min(1),
+    }), asyncHandler(async (req, res) => {
+        const vehicle = await findUserVehicle(db, req.user.phone, req.params.id);
+        const updated = await db.collection('vehicles').findOneAndUpdate(
+            { _id: vehicle._id },
+            { $set: { ...req.body, updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        res.status(200).json({ message: "Vehicle updated", vehicle: updated });
+    }));
+
+    // Remove a Vehicle
+    //
+    // Vehicles with a reserved or active booking are kept until it ends, and
+    // vehicles with a pass until the pass expires.
+    router.delete('/users/vehicles/:id', requireUser, validate({ params: idParams }), asyncHandler(async (req, res) => {
+        const vehicle = await findUserVehicle(db, req.user.phone, req.params.id);
+        const inUse = await db.collection('bookings').countDocuments({
+            vehicle_id: vehicle._id,
+            status: { $in: ["reserved", "active"] },
+        });
+        if (inUse) {
+            throw new AppError(409, 'VEHICLE_IN_USE', "Vehicle has a reserved or active booking");
+        }
+        if (await db.collection('passes').countDocuments({ vehicle_id: vehicle._id, open: true })) {
+            throw new AppError(409, 'VEHICLE_IN_USE', "Vehicle has an active or unpaid pass");
+        }
+        await db.collection('vehicles').deleteOne({ _id: vehicle._id });
+        res.status(200).json({ message: "Vehicle removed" });
+    }));
+
+    // List Users for the Back Office
+    //
+    // Owner sign-in only. Newest first by default; filter by a from/to range
+    // on the sign-up time. Every user is returned unless limit or cursor asks
+    // for a page.
+    router.get('/users/all', requireOwner, validate({
+        query: Joi.object({
+            ...dateRangeQuery(),
+            ...pageQuery(userSorts, '-created_at', { optional: true }),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const spec = pageSpec(userSorts, req.query);
+        res.status(200).json(await findPage(db.collection('users'), dateRangeFilter('createdAt', req.query), spec, {
+            projection: { token_version: 0 },
+        }));
+    }));
+
+    // Book a Slot for User App
+    router.post('/bookings', requireUser, validate({
+        body: Joi.object(bookingBody),
+    }), asyncHandler(async (req, res) => {
+        const { parking_id, slot_id, slot_request, vehicle_type, vehicle_id, number_plate, entry_time, start_time, end_time } = req.body;
+        res.status(200).json(await bookingService.book({
+            parkingId: parking_id,
+            slotId: slot_id,
+            slotRequest: slot_request,
+            vehicleType: vehicle_type,
+            vehicleId: vehicle_id,
+            numberPlate: number_plate,
+            entryTime: entry_time,
+            startTime: start_time,
+            endTime: end_time,
+            phone: req.user.phone,
+            actor: accountActor('user', req.user),
+        }));
+    }));
+
+    // Cancel a Booking for User App
+    //
+    // A fee may be due under the parking area's cancellation policy; it is
+    // returned here and can be paid through /api/payments.
+    router.post('/bookings/:id/cancel', requireUser, validate({
+        params: idParams,
+        body: Joi.object({ reason: Joi.string().trim().max(200) }),
+    }), asyncHandler(async (req, res) => {
+        res.status(200).json(await bookingService.cancel({
+            bookingId: req.params.id,
+            phone: req.user.phone,
+            reason: req.body.reason,
+            actor: accountActor('user', req.user),
+        }));
+    }));
+
+    // Move a Booking to Another Slot or Time for User App
+    router.patch('/bookings/:id', requireUser, validate({
+        params: idParams,
+        body: Joi.object({
+            slot_id: objectId(),
+            start_time: date(),
+            end_time: date(),
+        }).min(1),
+    }), asyncHandler(async (req, res) => {
+        const { slot_id, start_time, end_time } = req.body;
+        res.status(200).json(await bookingService.modify({
+            bookingId: req.params.id,
+            phone: req.user.phone,
+            slotId: slot_id,
+            startTime: start_time,
+            endTime: end_time,
+            actor: accountActor('user', req.user),
+        }));
+    }));
+
+    async function findOwnBooking(req) {
+        const booking = await db.collection('bookings').findOne({ _id: req.params.id, phone: req.user.phone });
+        if (!booking) {
+            throw new AppError(404, 'BOOKING_NOT_FOUND', "Booking not found");
+        }
+        return booking;
+    }
+
+    // Get the Parking Ticket of a Booking for User App
+    //
+    // format=png or format=svg returns the QR code image instead of the
+    // token and a PNG data URL.
+    router.get('/bookings/:id/ticket', requireUser, validate({
+        params: idParams,
+        query: Joi.object({ format: Joi.string().valid('json', ...IMAGE_FORMATS).default('json') }),
+    }), asyncHandler(async (req, res) => {
+        const ticket = await currentTicket(db, await findOwnBooking(req));
+        if (req.query.format === 'json') {
+            return res.status(200).json(await presentTicket(ticket));
+        }
+        const { contentType, body } = await renderTicket(ticket, req.query.format);
+        res.status(200).type(contentType).send(body);
+    }));
+
+    // Replace the Parking Ticket of a Booking, e.g. When It Was Shared
+    router.post('/bookings/:id/ticket', requireUser, validate({ params: idParams }), asyncHandler(async (req, res) => {
+        const ticket = await issueTicket(db, await findOwnBooking(req));
+        res.status(201).json(await presentTicket(ticket));
+    }));
+
+    return router;
+}
+
+module.exports = { createUserRouter };
@@ -0,0 +1,56 @@
+const express = require('express');
+const { requireAccount } = require('../lib/auth');
+const { asyncHandler } = require('../lib/errors');
+const { accountActor } = require('../lib/audit');
+const { Joi, validate, objectId, vehicleType } = require('../lib/validation');
+const { idParams } = require('./schemas');
+
+// Waitlist endpoints for the user app, mounted under /api/waitlist
+function createWaitlistRouter({ db, waitlist, bookingService }) {
+    const router = express.Router();
+    router.use(requireAccount(db, 'user'));
+
+    // Join the Waitlist of a Full Parking Area
+    //
+    // vehicle_type defaults to the vehicle's own type; EVs may wait for ev slots.
+    router.post('/', validate({
+        body: Joi.object({
+            parking_id: objectId().required(),
+            vehicle_id: objectId().required(),
+            vehicle_type: vehicleType(),
+        }),
+    }), asyncHandler(async (req, res) => {
+        const { parking_id, vehicle_id, vehicle_type } = req.body;
+        const entry = await waitlist.join({
+            parkingId: parking_id,
+            phone: req.user.phone,
+            vehicleId: vehicle_id,
+            vehicleType: vehicle_type,
+        });
+        res.status(201).json({ message: "Added to the waitlist", ...entry });
+    }));
+
+    // List the Signed-In User's Waitlist Entries
+    router.get('/', asyncHandler(async (req, res) => {
+        res.status(200).json(await waitlist.list(req.user.phone));
+    }));
+
+    // Claim the Slot Held for a Waitlist Entry
+    router.post('/:id/claim', validate({ params: idParams }), asyncHandler(async (req, res) => {
+        res.status(200).json(await bookingService.claimHold({
+            waitlistId: req.params.id,
+            phone: req.user.phone,
+            actor: accountActor('user', req.user),
+        }));
+    }));
+
+    // Leave the Waitlist, Passing On Any Held Slot
+    router.delete('/:id', validate({ params: idParams }), asyncHandler(async (req, res) => {
+        await waitlist.leave({ entryId: req.params.id, phone: req.user.phone, actor: accountActor('user', req.user) });
+        res.status(200).json({ message: "Left the waitlist" });
+    }));
+
+    return router;
+}
+
+module.exports = { createWaitlistRouter };
@@ -0,0 +1,74 @@
+require('dotenv').config({ path: process.env.ENV_FILE || '.env', quiet: true });
+
+const { MongoClient, ObjectId } = require('mongodb');
+const { loadConfig } = require('../lib/config');
+const { createMongoStore } = require('../lib/store');
+const { reconcileParkingAreas } = require('../lib/reconcile');
+
+// Check parking area counters and slot states against the bookings
+//
+//   npm run reconcile -- [--fix] [--json] [--parking-id <id>]...
+//
+// Without --fix the mismatches are only reported. Exits with 0 when every
+// area is consistent (or was fixed), 2 when mismatches or orphaned bookings
+// remain and 1 on errors. Uses the same settings as the server.
+
+const USAGE = "Usage: npm run reconcile -- [--fix] [--json] [--parking-id <id>]...";
+
+function parseArgs(argv) {
+    const options = { fix: false, json: false, parkingIds: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--fix') options.fix = true;
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--parking-id' && ObjectId.isValid(argv[i + 1] || '')) options.parkingIds.push(new ObjectId(argv[++i]));
+        else throw new Error(`Unexpected argument ${arg}\n${USAGE}`);
+    }
+    return options;
+}
+
+function describe(report) {
+    const lines = [`${report.name} (${report.parking_id}): ${report.consistent ? 'consistent' : report.fixed ? 'fixed' : 'MISMATCHES'}`];
+    for (const { field, expected, actual } of report.counters) {
+        lines.push(`  ${field}: ${actual} -> ${expected}`);
+    }
+    for (const { slot_number, vehicle_type, expected, actual } of report.slots) {
+        lines.push(`  ${vehicle_type} slot #${slot_number}: ${actual.status}/${actual.current_booking_id}`
+            + ` -> ${expected.status}/${expected.current_booking_id}`);
+    }
+    for (const bookingId of report.orphaned_bookings) {
+        lines.push(`  active booking ${bookingId} refers to a slot that no longer exists`);
+    }
+    return lines.join('\n');
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = loadConfig();
+    const client = new MongoClient(config.mongo.uri, { retryWrites: true, serverApi: { version: "1" } });
+    const store = createMongoStore(client, config.mongo.dbName);
+    try {
+        await client.connect();
+        const reports = await reconcileParkingAreas(store, {
+            fix: options.fix,
+            parkingIds: options.parkingIds.length ? options.parkingIds : undefined,
+        });
+        if (options.json) {
+            console.log(JSON.stringify(reports, null, 2));
+        } else {
+            reports.forEach(report => console.log(describe(report)));
+        }
+        const unresolved = reports.filter(report => report.orphaned_bookings.length || (!report.consistent && !report.fixed));
+        return unresolved.length ? 2 : 0;
+    } finally {
+        await store.close();
+    }
+}
+
+main().then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        console.error(error.message || error);
+        process.exitCode = 1;
+    }
+);
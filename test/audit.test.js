@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { OWNER_PHONE, USER_PHONE, request, signUpOwner, setUpParkingArea } = require('./helpers');
+const { reconcileParkingArea } = require('../lib/reconcile');
+const { systemActor, updateAudited } = require('../lib/audit');
+
+async function setUp() {
+    return setUpParkingArea({ user: true, slots: { cars: 2, bikes: 1 } });
+}
+
+function auditLog(ctx, query = {}) {
+    return request(ctx.app)
+        .get(`/api/owner/parking_areas/${ctx.parkingId}/audit`)
+        .set('Authorization', `Bearer ${ctx.ownerToken}`)
+        .query(query);
+}
+
+test('booking, slot and parking area changes are logged with actor and before/after values', async () => {
+    const ctx = await setUp();
+    const [slot] = ctx.slots;
+
+    const booked = await request(ctx.app)
+        .post('/api/bookings')
+        .set('Authorization', `Bearer ${ctx.userToken}`)
+        .send({ parking_id: ctx.parkingId, slot_id: slot._id, number_plate: 'KA01AB1234' })
+        .expect(200);
+    await request(ctx.app)
+        .post('/api/owner/bookings/complete')
+        .set('Authorization', `Bearer ${ctx.ownerToken}`)
+        .send({ parking_id: ctx.parkingId, slot_id: slot._id })
+        .expect(200);
+
+    const bookingLog = (await auditLog(ctx, { entity: 'booking', entity_id: booked.body.booking_id }).expect(200)).body;
+    assert.deepEqual(bookingLog.results.map(entry => entry.action), ['booking.complete', 'booking.create']);
+    const [completed, created] = bookingLog.results;
+    assert.equal(created.actor.type, 'user');
+    assert.equal(created.actor.phone, USER_PHONE);
+    assert.equal(created.before, null);
+    assert.equal(created.after.status, 'active');
+    assert.equal(completed.actor.type, 'owner');
+    assert.equal(completed.actor.phone, OWNER_PHONE);
+    assert.deepEqual(
+        { before: completed.before.status, after: completed.after.status },
+        { before: 'active', after: 'completed' }
+    );
+
+    const slotLog = (await auditLog(ctx, { entity: 'slot', entity_id: slot._id }).expect(200)).body;
+    assert.deepEqual(
+        slotLog.results.map(entry => entry.action),
+        ['booking.complete', 'booking.create', 'booking.create', 'area.create']
+    );
+    assert.deepEqual(slotLog.results[0].after, { status: 'available', current_booking_id: null });
+    assert.equal(slotLog.results[3].before, null);
+
+    const counters = (await auditLog(ctx, { entity: 'parking_area', action: 'booking.create' }).expect(200)).body;
+    assert.deepEqual(counters.results[0].before, { available_car_slots: 2, booked_car_slots: 0 });
+    assert.deepEqual(counters.results[0].after, { available_car_slots: 1, booked_car_slots: 1 });
+
+    const byUser = (await auditLog(ctx, { actor_phone: USER_PHONE }).expect(200)).body;
+    assert.ok(byUser.results.length > 0);
+    assert.ok(byUser.results.every(entry => entry.action === 'booking.create'));
+
+    const tariff = (await auditLog(ctx, { action: 'area.tariff' }).expect(200)).body;
+    assert.equal(tariff.results.length, 1);
+    assert.equal(tariff.results[0].after.tariffs.car.hourly_rate, 20);
+
+    const otherToken = await signUpOwner(ctx, '9123456781');
+    await request(ctx.app)
+        .get(`/api/owner/parking_areas/${ctx.parkingId}/audit`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+});
+
+test('failed changes leave no audit entries', async () => {
+    const ctx = await setUp();
+    const before = (await auditLog(ctx, { limit: 100 }).expect(200)).body.results.length;
+
+    const res = await request(ctx.app)
+        .post('/api/bookings')
+        .set('Authorization', `Bearer ${ctx.userToken}`)
+        .send({ parking_id: ctx.parkingId, slot_id: ctx.slots[0]._id, vehicle_type: 'bike', number_plate: 'KA01AB1234' })
+        .expect(422);
+    assert.equal(res.body.code, 'VEHICLE_TYPE_MISMATCH');
+
+    const after = (await auditLog(ctx, { limit: 100 }).expect(200)).body.results.length;
+    assert.equal(after, before);
+});
+
+// Update the area's name while another request writes `concurrent`
+// between the first and second call this one makes to the collection
+async function renameDuringWrite(ctx, name, concurrent) {
+    const areas = ctx.db.collection('parking_areas');
+    const parkingId = new ObjectId(ctx.parkingId);
+    const methods = { findOne: areas.findOne, findOneAndUpdate: areas.findOneAndUpdate };
+    let calls = 0;
+    for (const [method, original] of Object.entries(methods)) {
+        areas[method] = async (...args) => {
+            calls += 1;
+            if (calls === 2) await areas.updateOne({ _id: parkingId }, { $set: concurrent });
+            return original.apply(areas, args);
+        };
+    }
+    try {
+        await updateAudited(ctx.db, 'parking_areas', { _id: parkingId }, { $set: { name } }, {
+            actor: systemActor('test'),
+            action: 'area.update',
+        });
+    } finally {
+        Object.assign(areas, methods);
+    }
+    const entry = (await ctx.db.collection('audit_log').find({ 'actor.name': 'test' }).toArray()).pop();
+    return { area: await areas.findOne({ _id: parkingId }), entry };
+}
+
+test('a write landing between the read and the update is not credited to the actor', async () => {
+    const ctx = await setUp();
+    const other = await renameDuringWrite(ctx, 'North Lot', { no_show_grace_minutes: 5 });
+    assert.deepEqual([other.area.name, other.area.no_show_grace_minutes], ['North Lot', 5]);
+    assert.deepEqual([other.entry.before, other.entry.after], [{ name: 'Central Lot' }, { name: 'North Lot' }]);
+
+    // A write to the same field is read again and logged as what was replaced
+    const same = await renameDuringWrite(ctx, 'South Lot', { name: 'West Lot' });
+    assert.equal(same.area.name, 'South Lot');
+    assert.deepEqual([same.entry.before, same.entry.after], [{ name: 'West Lot' }, { name: 'South Lot' }]);
+});
+
+test('reconciliation reports drifted counters and slot states, then fixes them', async () => {
+    const ctx = await setUp();
+    const [first, second] = ctx.slots;
+    const parkingId = new ObjectId(ctx.parkingId);
+
+    const booked = await request(ctx.app)
+        .post('/api/bookings')
+        .set('Authorization', `Bearer ${ctx.userToken}`)
+        .send({ parking_id: ctx.parkingId, slot_id: first._id, number_plate: 'KA01AB1234' })
+        .expect(200);
+    assert.equal((await reconcileParkingArea(ctx.context.store, parkingId)).consistent, true);
+
+    // Simulate writes that failed partway
+    await ctx.db.collection('slots').updateOne(
+        { _id: new ObjectId(first._id) },
+        { $set: { status: 'available', current_booking_id: null } }
+    );
+    await ctx.db.collection('slots').updateOne({ _id: new ObjectId(second._id) }, { $set: { status: 'booked' } });
+    await ctx.db.collection('parking_areas').updateOne({ _id: parkingId }, { $inc: { available_car_slots: 3 } });
+
+    const report = await reconcileParkingArea(ctx.context.store, parkingId);
+    assert.equal(report.consistent, false);
+    assert.equal(report.fixed, false);
+    assert.deepEqual(report.counters, [{ field: 'available_car_slots', expected: 1, actual: 4 }]);
+    assert.deepEqual(report.slots.map(slot => [slot.slot_number, slot.actual.status, slot.expected.status]), [[1, 'available', 'booked'], [2, 'booked', 'available']]);
+    assert.equal(report.slots[0].expected.current_booking_id.toString(), booked.body.booking_id);
+    const unchanged = await ctx.db.collection('parking_areas').findOne({ _id: parkingId });
+    assert.equal(unchanged.available_car_slots, 4);
+
+    const fixed = await reconcileParkingArea(ctx.context.store, parkingId, { fix: true });
+    assert.equal(fixed.fixed, true);
+    assert.equal((await reconcileParkingArea(ctx.context.store, parkingId)).consistent, true);
+    const area = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.equal(area.body.available_car_slots, 1);
+
+    const log = (await auditLog(ctx, { action: 'reconcile' }).expect(200)).body.results;
+    assert.equal(log.length, 3);
+    assert.ok(log.every(entry => entry.actor.type === 'system' && entry.actor.name === 'reconcile'));
+});
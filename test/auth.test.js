@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OWNER_PHONE, request, createTestApp, signUpUser } = require('./helpers');
+
+test('owner passwords are stored hashed and legacy plaintext ones are upgraded on login', async () => {
+    const { app, db } = await createTestApp();
+    await request(app).post('/api/owner/register').send({ phone: OWNER_PHONE, password: 'correct-horse' }).expect(200);
+    const owner = await db.collection('register_login').findOne({ phone: OWNER_PHONE });
+    assert.equal(owner.password, undefined);
+    assert.notEqual(owner.password_hash, 'correct-horse');
+
+    const wrong = await request(app).post('/api/owner/login').send({ phone: OWNER_PHONE, password: 'battery-staple' }).expect(401);
+    assert.equal(wrong.body.code, 'INVALID_CREDENTIALS');
+    await request(app).post('/api/owner/login').send({ phone: OWNER_PHONE, password: 'correct-horse' }).expect(200);
+
+    await db.collection('register_login').insertOne({ phone: '9123456781', password: 'old-plaintext' });
+    await request(app).post('/api/owner/login').send({ phone: '9123456781', password: 'old-plaintext' }).expect(200);
+    const upgraded = await db.collection('register_login').findOne({ phone: '9123456781' });
+    assert.equal(upgraded.password, undefined);
+    assert.ok(upgraded.password_hash);
+    await request(app).post('/api/owner/login').send({ phone: '9123456781', password: 'old-plaintext' }).expect(200);
+});
+
+test('tokens are scoped to their role and logout revokes refresh tokens', async () => {
+    const harness = await createTestApp();
+    const { app } = harness;
+    await request(app).post('/api/owner/register').send({ phone: OWNER_PHONE, password: 'correct-horse' }).expect(200);
+    const login = await request(app).post('/api/owner/login').send({ phone: OWNER_PHONE, password: 'correct-horse' }).expect(200);
+    const asOwner = { Authorization: `Bearer ${login.body.access_token}` };
+
+    await request(app).get('/api/owner/parking_areas').expect(401);
+    await request(app).get('/api/owner/parking_areas').set(asOwner).expect(200);
+    const userToken = await signUpUser(harness, '9876543210');
+    const asUser = await request(app).get('/api/owner/parking_areas').set('Authorization', `Bearer ${userToken}`).expect(401);
+    assert.equal(asUser.body.code, 'UNAUTHENTICATED');
+    const refreshAsAccess = { Authorization: `Bearer ${login.body.refresh_token}` };
+    await request(app).get('/api/owner/parking_areas').set(refreshAsAccess).expect(401);
+
+    const refreshed = await request(app)
+        .post('/api/owner/token/refresh')
+        .send({ refresh_token: login.body.refresh_token })
+        .expect(200);
+    assert.ok(refreshed.body.access_token);
+    await request(app).post('/api/owner/logout').set(asOwner).expect(200);
+    const revoked = await request(app)
+        .post('/api/owner/token/refresh')
+        .send({ refresh_token: login.body.refresh_token })
+        .expect(401);
+    assert.equal(revoked.body.code, 'INVALID_REFRESH_TOKEN');
+});
@@ -0,0 +1,463 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { USER_PHONE, request, setUpParkingArea, onMongo, withMongoStore } = require('./helpers');
+const { createMemoryStore } = require('../lib/store');
+const { reconcileParkingArea } = require('../lib/reconcile');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function setUp({ store } = {}) {
+    const ctx = await setUpParkingArea({ store, user: true });
+    return { ...ctx, carSlot: ctx.slots.find(slot => slot.vehicle_type === 'car') };
+}
+
+test('a user books a slot, the owner completes it and the user pays online', async () => {
+    const ctx = await setUp();
+    const entryTime = new Date(Date.now() - 2 * HOUR_MS + 60 * 1000);
+
+    const booked = await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({
+            parking_id: ctx.parkingId,
+            slot_id: ctx.carSlot._id,
+            vehicle_type: 'car',
+            number_plate: 'ka01ab1234',
+            entry_time: entryTime.toISOString(),
+        })
+        .expect(200);
+    assert.equal(booked.body.status, 'active');
+    assert.equal(booked.body.slot_number, ctx.carSlot.slot_number);
+
+    const slots = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}/slots`).expect(200);
+    assert.equal(slots.body.find(slot => slot._id === ctx.carSlot._id).is_booked, true);
+    const area = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.equal(area.body.available_car_slots, 1);
+    assert.equal(area.body.booked_car_slots, 1);
+
+    const completed = await request(ctx.app)
+        .post('/api/owner/bookings/complete')
+        .set(ctx.asOwner)
+        .send({ parking_id: ctx.parkingId, slot_id: ctx.carSlot._id })
+        .expect(200);
+    assert.equal(completed.body.booking_id, booked.body.booking_id);
+    assert.equal(completed.body.amount, 40);
+    assert.equal(completed.body.currency, 'INR');
+
+    const freed = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.equal(freed.body.available_car_slots, 2);
+    assert.equal(freed.body.booked_car_slots, 0);
+
+    const payment = await request(ctx.app)
+        .post('/api/payments')
+        .set(ctx.asUser)
+        .send({ booking_id: booked.body.booking_id })
+        .expect(201);
+    assert.equal(payment.body.status, 'pending');
+    assert.equal(payment.body.amount, 40);
+
+    await request(ctx.app)
+        .post(`/api/payments/${payment.body.payment_id}/simulate`)
+        .set(ctx.asUser)
+        .send({ status: 'captured' })
+        .expect(200);
+
+    const history = await request(ctx.app)
+        .get(`/api/users/bookings/${USER_PHONE}`)
+        .set(ctx.asUser)
+        .expect(200);
+    assert.equal(history.body.length, 1);
+    assert.equal(history.body[0].status, 'completed');
+    assert.equal(history.body[0].payment_status, 'paid');
+    assert.equal(history.body[0].number_plate, 'KA01AB1234');
+    assert.equal(history.body[0].location, 'Central Lot');
+
+    const again = await request(ctx.app)
+        .post('/api/payments')
+        .set(ctx.asUser)
+        .send({ booking_id: booked.body.booking_id })
+        .expect(409);
+    assert.equal(again.body.code, 'BOOKING_ALREADY_PAID');
+});
+
+test('only one of two simultaneous bookings for a slot succeeds', async () => {
+    const ctx = await setUp();
+    const book = numberPlate => request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({ parking_id: ctx.parkingId, slot_id: ctx.carSlot._id, number_plate: numberPlate });
+
+    const responses = await Promise.all([book('KA01AB1111'), book('KA01AB2222')]);
+    assert.deepEqual(responses.map(res => res.status).sort(), [200, 409]);
+    assert.equal(responses.find(res => res.status === 409).body.code, 'SLOT_ALREADY_BOOKED');
+
+    const area = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.equal(area.body.available_car_slots, 1);
+    assert.equal(area.body.booked_car_slots, 1);
+});
+
+// Fire several bookings for one slot at once, and several reservations of
+// another slot for the same window, and check that exactly one of each
+// went through
+async function raceForSlot(ctx) {
+    const otherCarSlot = ctx.slots.find(slot => slot.vehicle_type === 'car' && slot._id !== ctx.carSlot._id);
+    const start = new Date(Date.now() + 2 * HOUR_MS);
+    const window = { start_time: start.toISOString(), end_time: new Date(start.getTime() + HOUR_MS).toISOString() };
+    const book = (slot, numberPlate, times) => request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({ parking_id: ctx.parkingId, slot_id: slot._id, number_plate: numberPlate, ...times });
+    const plates = ['KA01AB1111', 'KA01AB2222', 'KA01AB3333', 'KA01AB4444'];
+
+    const now = await Promise.all(plates.map(plate => book(ctx.carSlot, plate)));
+    assert.deepEqual(now.map(res => res.status).sort(), [200, 409, 409, 409]);
+    const later = await Promise.all(plates.map(plate => book(otherCarSlot, plate, window)));
+    assert.deepEqual(later.map(res => res.status).sort(), [200, 409, 409, 409]);
+
+    assert.equal(await ctx.db.collection('bookings').countDocuments({}), 2);
+    const area = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.equal(area.body.available_car_slots, 1);
+    assert.equal(area.body.booked_car_slots, 1);
+    assert.equal((await reconcileParkingArea(ctx.context.store, new ObjectId(ctx.parkingId))).consistent, true);
+}
+
+test('interleaved transactions let a check of one document and a write of another race', async () => {
+    // What the test store has to let through for the next test to mean anything
+    const store = createMemoryStore({ concurrentTransactions: true });
+    const bookings = store.db.collection('bookings');
+    const book = () => store.withTransaction(async (session) => {
+        if (await bookings.findOne({ slot_id: 1 }, { session })) return false;
+        await bookings.insertOne({ slot_id: 1 }, { session });
+        return true;
+    });
+    assert.deepEqual(await Promise.all([book(), book()]), [true, true]);
+});
+
+test('simultaneous bookings for a slot cannot both succeed when their transactions interleave', async () => {
+    await raceForSlot(await setUp({ store: createMemoryStore({ concurrentTransactions: true }) }));
+});
+
+test('simultaneous bookings for a slot cannot both succeed on MongoDB', onMongo, async () => {
+    await withMongoStore(async store => raceForSlot(await setUp({ store })));
+});
+
+test('a reservation holds only its window until the owner checks it in', async () => {
+    const ctx = await setUp();
+    const start = new Date(Date.now() + 2 * HOUR_MS);
+    const end = new Date(start.getTime() + 2 * HOUR_MS);
+
+    const reserved = await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({
+            parking_id: ctx.parkingId,
+            slot_id: ctx.carSlot._id,
+            number_plate: 'KA01AB1234',
+            start_time: start.toISOString(),
+            end_time: end.toISOString(),
+        })
+        .expect(200);
+    assert.equal(reserved.body.status, 'reserved');
+
+    const now = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}/slots`).expect(200);
+    assert.equal(now.body.find(slot => slot._id === ctx.carSlot._id).is_booked, false);
+    const during = await request(ctx.app)
+        .get(`/api/parking_areas/${ctx.parkingId}/slots`)
+        .query({ from: start.toISOString(), to: end.toISOString() })
+        .expect(200);
+    assert.equal(during.body.find(slot => slot._id === ctx.carSlot._id).is_booked, true);
+
+    const clash = await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({
+            parking_id: ctx.parkingId,
+            slot_id: ctx.carSlot._id,
+            number_plate: 'KA01AB9999',
+            start_time: new Date(start.getTime() + HOUR_MS).toISOString(),
+            end_time: new Date(end.getTime() + HOUR_MS).toISOString(),
+        })
+        .expect(409);
+    assert.equal(clash.body.code, 'SLOT_UNAVAILABLE');
+
+    const early = await request(ctx.app)
+        .post(`/api/owner/bookings/${reserved.body.booking_id}/check-in`)
+        .set(ctx.asOwner)
+        .send({ parking_id: ctx.parkingId })
+        .expect(409);
+    assert.equal(early.body.code, 'RESERVATION_NOT_STARTED');
+
+    const checkedIn = await request(ctx.app)
+        .post(`/api/owner/bookings/${reserved.body.booking_id}/check-in`)
+        .set(ctx.asOwner)
+        .send({ parking_id: ctx.parkingId, entry_time: start.toISOString() })
+        .expect(200);
+    assert.equal(checkedIn.body.slot_number, ctx.carSlot.slot_number);
+
+    const active = await request(ctx.app)
+        .get('/api/owner/bookings')
+        .set(ctx.asOwner)
+        .query({ slot_id: ctx.carSlot._id })
+        .expect(200);
+    assert.equal(active.body.length, 1);
+    assert.equal(active.body[0].status, 'active');
+});
+
+test('a walk-in parks ahead of a later reservation until it starts', async () => {
+    const ctx = await setUp();
+    const book = (numberPlate, startInMs, durationMs) => request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({
+            parking_id: ctx.parkingId,
+            slot_id: ctx.carSlot._id,
+            number_plate: numberPlate,
+            ...(startInMs && {
+                start_time: new Date(Date.now() + startInMs).toISOString(),
+                end_time: new Date(Date.now() + startInMs + durationMs).toISOString(),
+            }),
+        });
+    const later = await book('KA01AB1234', 3 * HOUR_MS, HOUR_MS).expect(200);
+    assert.equal(later.body.status, 'reserved');
+
+    const walkIn = await book('KA01AB5678').expect(200);
+    assert.equal(walkIn.body.status, 'active');
+    assert.equal(walkIn.body.end_time, later.body.start_time);
+
+    // The walk-in now holds the slot until the reservation starts
+    const between = await book('KA01AB9999', HOUR_MS, HOUR_MS).expect(409);
+    assert.equal(between.body.code, 'SLOT_UNAVAILABLE');
+
+    await request(ctx.app)
+        .post('/api/owner/bookings/complete')
+        .set(ctx.asOwner)
+        .send({ parking_id: ctx.parkingId, slot_id: ctx.carSlot._id })
+        .expect(200);
+
+    // A reservation that may already be checked in still blocks a walk-in
+    await book('KA01AB9999', 10 * 60 * 1000, HOUR_MS).expect(200);
+    const blocked = await book('KA01AB5678').expect(409);
+    assert.equal(blocked.body.code, 'SLOT_UNAVAILABLE');
+});
+
+test('no-show reservations expire after the grace period', async () => {
+    const ctx = await setUp();
+    const start = new Date(Date.now() + HOUR_MS);
+    await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({
+            parking_id: ctx.parkingId,
+            slot_id: ctx.carSlot._id,
+            number_plate: 'KA01AB1234',
+            start_time: start.toISOString(),
+            end_time: new Date(start.getTime() + HOUR_MS).toISOString(),
+        })
+        .expect(200);
+
+    const expired = await ctx.context.bookingService.expireNoShows(new Date(start.getTime() + HOUR_MS / 2));
+    assert.equal(expired.length, 1);
+    const booking = await ctx.db.collection('bookings').findOne({ _id: expired[0]._id });
+    assert.equal(booking.status, 'expired');
+});
+
+test('errors come back as { code, message, details }', async () => {
+    const ctx = await setUp();
+
+    const invalidId = await request(ctx.app).get('/api/parking_areas/not-an-id').expect(400);
+    assert.equal(invalidId.body.code, 'INVALID_PARAMETER');
+    assert.equal(invalidId.body.details[0].field, 'id');
+
+    const invalidBody = await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({ parking_id: ctx.parkingId })
+        .expect(422);
+    assert.equal(invalidBody.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(invalidBody.body.details.map(detail => detail.field).sort(), ['number_plate', 'slot_id']);
+
+    const unauthenticated = await request(ctx.app).post('/api/bookings').send({}).expect(401);
+    assert.equal(unauthenticated.body.code, 'UNAUTHENTICATED');
+
+    const missing = await request(ctx.app).get('/api/nowhere').expect(404);
+    assert.equal(missing.body.code, 'ROUTE_NOT_FOUND');
+
+    const noActive = await request(ctx.app)
+        .post('/api/owner/bookings/complete')
+        .set(ctx.asOwner)
+        .send({ parking_id: ctx.parkingId, slot_id: ctx.carSlot._id })
+        .expect(409);
+    assert.equal(noActive.body.code, 'NO_ACTIVE_BOOKING');
+});
+
+test('cancelling frees the slot, charges parked time at the tariff and late reservations the policy fee', async () => {
+    const ctx = await setUp();
+    await request(ctx.app)
+        .put(`/api/owner/parking_areas/${ctx.parkingId}/cancellation_policy`)
+        .set(ctx.asOwner)
+        .send({ free_cancellation_minutes: 60, fee: 25 })
+        .expect(200);
+
+    const active = await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({
+            parking_id: ctx.parkingId,
+            slot_id: ctx.carSlot._id,
+            number_plate: 'KA01AB1234',
+            entry_time: new Date(Date.now() - 5 * HOUR_MS + 60 * 1000).toISOString(),
+        })
+        .expect(200);
+    const otherCarSlot = ctx.slots.find(slot => slot.vehicle_type === 'car' && slot._id !== ctx.carSlot._id);
+    const start = new Date(Date.now() + 3 * HOUR_MS);
+    const reserved = await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({
+            parking_id: ctx.parkingId,
+            slot_id: otherCarSlot._id,
+            number_plate: 'KA01AB1234',
+            start_time: start.toISOString(),
+            end_time: new Date(start.getTime() + HOUR_MS).toISOString(),
+        })
+        .expect(200);
+
+    const cancelledActive = await request(ctx.app)
+        .post(`/api/bookings/${active.body.booking_id}/cancel`)
+        .set(ctx.asUser)
+        .send({ reason: 'Plans changed' })
+        .expect(200);
+    // Five hours parked at the hourly rate of 20, not the policy fee
+    assert.equal(cancelledActive.body.cancellation_fee, 100);
+    assert.equal(cancelledActive.body.currency, 'INR');
+
+    const cancelledReservation = await request(ctx.app)
+        .post(`/api/bookings/${reserved.body.booking_id}/cancel`)
+        .set(ctx.asUser)
+        .send({})
+        .expect(200);
+    assert.equal(cancelledReservation.body.cancellation_fee, 0);
+
+    const bikeSlot = ctx.slots.find(slot => slot.vehicle_type === 'bike');
+    const soon = new Date(Date.now() + 30 * 60 * 1000);
+    const lateReservation = await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({
+            parking_id: ctx.parkingId,
+            slot_id: bikeSlot._id,
+            number_plate: 'KA01AB5678',
+            start_time: soon.toISOString(),
+            end_time: new Date(soon.getTime() + HOUR_MS).toISOString(),
+        })
+        .expect(200);
+    const cancelledLate = await request(ctx.app)
+        .post(`/api/bookings/${lateReservation.body.booking_id}/cancel`)
+        .set(ctx.asUser)
+        .send({})
+        .expect(200);
+    assert.equal(cancelledLate.body.cancellation_fee, 25);
+
+    const area = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.equal(area.body.available_car_slots, 2);
+    assert.equal(area.body.booked_car_slots, 0);
+    const slots = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}/slots`).expect(200);
+    assert.equal(slots.body.find(slot => slot._id === ctx.carSlot._id).is_booked, false);
+
+    const again = await request(ctx.app)
+        .post(`/api/bookings/${active.body.booking_id}/cancel`)
+        .set(ctx.asUser)
+        .send({})
+        .expect(409);
+    assert.equal(again.body.code, 'BOOKING_NOT_CANCELLABLE');
+
+    const history = await request(ctx.app)
+        .get(`/api/users/bookings/${USER_PHONE}`)
+        .set(ctx.asUser)
+        .expect(200);
+    const cancelled = history.body.find(booking => booking._id === active.body.booking_id);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.cancellation_reason, 'Plans changed');
+    assert.equal(cancelled.amount, 100);
+    assert.ok(cancelled.exit_time);
+
+    await request(ctx.app)
+        .post('/api/payments')
+        .set(ctx.asUser)
+        .send({ booking_id: active.body.booking_id })
+        .expect(201);
+});
+
+test('a user moves a booking to another slot or time', async () => {
+    const ctx = await setUp();
+    const otherCarSlot = ctx.slots.find(slot => slot.vehicle_type === 'car' && slot._id !== ctx.carSlot._id);
+    const bikeSlot = ctx.slots.find(slot => slot.vehicle_type === 'bike');
+    const start = new Date(Date.now() + 2 * HOUR_MS);
+    const end = new Date(start.getTime() + HOUR_MS);
+
+    const reserved = await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({
+            parking_id: ctx.parkingId,
+            slot_id: ctx.carSlot._id,
+            number_plate: 'KA01AB1234',
+            start_time: start.toISOString(),
+            end_time: end.toISOString(),
+        })
+        .expect(200);
+
+    const later = new Date(start.getTime() + 30 * 60 * 1000);
+    const moved = await request(ctx.app)
+        .patch(`/api/bookings/${reserved.body.booking_id}`)
+        .set(ctx.asUser)
+        .send({ slot_id: otherCarSlot._id, start_time: later.toISOString(), end_time: new Date(later.getTime() + HOUR_MS).toISOString() })
+        .expect(200);
+    assert.equal(moved.body.slot_number, otherCarSlot.slot_number);
+    assert.equal(moved.body.start_time, later.toISOString());
+
+    const mismatch = await request(ctx.app)
+        .patch(`/api/bookings/${reserved.body.booking_id}`)
+        .set(ctx.asUser)
+        .send({ slot_id: bikeSlot._id })
+        .expect(422);
+    assert.equal(mismatch.body.code, 'VEHICLE_TYPE_MISMATCH');
+
+    // The original slot is free again for the old window
+    await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({
+            parking_id: ctx.parkingId,
+            slot_id: ctx.carSlot._id,
+            number_plate: 'KA01AB9999',
+            start_time: start.toISOString(),
+            end_time: end.toISOString(),
+        })
+        .expect(200);
+
+    // A session started on the new slot ends when the moved booking starts
+    const active = await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({ parking_id: ctx.parkingId, slot_id: otherCarSlot._id, number_plate: 'KA01AB5555' })
+        .expect(200);
+    assert.equal(active.body.end_time, later.toISOString());
+
+    await request(ctx.app)
+        .put(`/api/owner/parking_areas/${ctx.parkingId}/cancellation_policy`)
+        .set(ctx.asOwner)
+        .send({ free_cancellation_minutes: 180, fee: 10 })
+        .expect(200);
+    const closed = await request(ctx.app)
+        .patch(`/api/bookings/${reserved.body.booking_id}`)
+        .set(ctx.asUser)
+        .send({ end_time: new Date(later.getTime() + 2 * HOUR_MS).toISOString() })
+        .expect(409);
+    assert.equal(closed.body.code, 'CHANGE_WINDOW_CLOSED');
+
+    const booking = await ctx.db.collection('bookings').findOne({ number_plate: 'KA01AB1234' });
+    assert.equal(booking.modifications.length, 1);
+    assert.equal(booking.modifications[0].slot_id.toString(), ctx.carSlot._id);
+});
@@ -0,0 +1,108 @@
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { request, setUpParkingArea } = require('./helpers');
+const { createEventHub } = require('../lib/events');
+
+// Open an SSE stream on a listening server. `next(type)` resolves with the
+// next event of that type; everything received is kept in `received`.
+function openStream(server, path, headers = {}) {
+    const received = [];
+    const waiting = [];
+    let buffer = '';
+    const deliver = () => {
+        for (const wait of [...waiting]) {
+            const event = received.find(candidate => !candidate.taken && candidate.type === wait.type);
+            if (!event) continue;
+            event.taken = true;
+            waiting.splice(waiting.indexOf(wait), 1);
+            wait.resolve(event);
+        }
+    };
+    const req = http.get({ port: server.address().port, path, headers }, (res) => {
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+            buffer += chunk;
+            const blocks = buffer.split('\n\n');
+            buffer = blocks.pop();
+            for (const block of blocks) {
+                const fields = Object.fromEntries(block.split('\n')
+                    .filter(line => /^(id|event|data):/.test(line))
+                    .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                if (fields.event) received.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+            }
+            deliver();
+        });
+    });
+    req.on('error', () => {});
+    return {
+        received,
+        next: type => new Promise((resolve) => {
+            waiting.push({ type, resolve });
+            deliver();
+        }),
+        close: () => req.destroy(),
+    };
+}
+
+test('the hub replays buffered events and refuses tokens it cannot honour', () => {
+    const events = createEventHub({ bufferSize: 2 });
+    const first = events.publish('area', 'slot', { n: 1 });
+    events.publish('area', 'slot', { n: 2 });
+    events.publish('area', 'counters', { n: 3 }, 'owner');
+
+    assert.deepEqual(events.since('area', events.lastEventId('area')), []);
+    assert.deepEqual(events.since('area', `${first.id.split(':')[0]}:2`).map(event => event.data.n), [3]);
+    // Event 2 is still buffered but event 1 has been dropped, so resuming after it works, before it does not
+    assert.equal(events.since('area', first.id).length, 2);
+    assert.equal(events.since('area', `${first.id.split(':')[0]}:0`), null);
+    assert.equal(events.since('area', 'other-epoch:2'), null);
+    assert.equal(events.since('area', `${first.id.split(':')[0]}:9`), null);
+    assert.equal(events.since('area', undefined), null);
+});
+
+test('a reconnecting subscriber gets the events it missed instead of a snapshot', async (t) => {
+    const harness = await setUpParkingArea({ user: true });
+    const { parkingId, slots, userToken, ownerToken } = harness;
+    const server = harness.app.listen(0);
+    t.after(() => {
+        harness.context.live.closeStreams();
+        server.close();
+    });
+    const publicPath = `/api/parking_areas/${parkingId}/events`;
+
+    const before = openStream(server, publicPath);
+    const snapshot = await before.next('snapshot');
+    assert.equal(snapshot.data.slots.length, slots.length);
+    before.close();
+
+    await request(harness.app)
+        .post('/api/bookings')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ parking_id: parkingId, slot_id: slots[0]._id, number_plate: 'KA01AB1234' })
+        .expect(200);
+
+    // Public subscribers resume without booking details
+    const resumed = openStream(server, publicPath, { 'Last-Event-ID': snapshot.id });
+    const counters = await resumed.next('counters');
+    assert.equal(counters.data.booked_car_slots, 1);
+    const slot = resumed.received.find(event => event.type === 'slot');
+    assert.equal(slot.data._id, slots[0]._id);
+    assert.equal(slot.data.is_booked, true);
+    assert.deepEqual(resumed.received.map(event => event.type), ['slot', 'counters']);
+    resumed.close();
+
+    // The owner channel replays the booking too, here resuming by query parameter
+    const ownerPath = `/api/owner/parking_areas/${parkingId}/events?last_event_id=${encodeURIComponent(snapshot.id)}`;
+    const owner = openStream(server, ownerPath, { Authorization: `Bearer ${ownerToken}` });
+    const created = await owner.next('booking.created');
+    assert.equal(created.data.number_plate, 'KA01AB1234');
+    owner.close();
+
+    // A token from another process starts over from a snapshot
+    const stale = openStream(server, publicPath, { 'Last-Event-ID': 'deadbeef:1' });
+    const fresh = await stale.next('snapshot');
+    assert.equal(fresh.id, created.id);
+    assert.equal(fresh.data.counters.booked_car_slots, 1);
+    stale.close();
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { request, signUpUser, setUpParkingArea } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function setUp(slots) {
+    const ctx = await setUpParkingArea({ slots });
+    const gate = (direction, body) => request(ctx.app)
+        .post(`/api/owner/parking_areas/${ctx.parkingId}/gate/${direction}`)
+        .set(ctx.asOwner)
+        .send(body);
+    return { ...ctx, gate };
+}
+
+test('an unknown plate starts a walk-in session that the gate closes by plate', async () => {
+    const ctx = await setUp({ cars: 2, bikes: 1 });
+
+    const unknown = await ctx.gate('entry', { number_plate: 'ka-01 ab 1234' }).expect(422);
+    assert.equal(unknown.body.code, 'VEHICLE_TYPE_REQUIRED');
+
+    const entered = await ctx.gate('entry', { number_plate: 'ka-01 ab 1234', vehicle_type: 'car' }).expect(200);
+    assert.equal(entered.body.walk_in, true);
+    assert.equal(entered.body.status, 'active');
+    assert.equal(entered.body.slot_number, 1);
+    assert.equal(entered.body.number_plate, 'KA-01 AB 1234');
+
+    const again = await ctx.gate('entry', { number_plate: 'KA01AB1234', vehicle_type: 'car' }).expect(409);
+    assert.equal(again.body.code, 'ALREADY_PARKED');
+    const area = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.equal(area.body.available_car_slots, 1);
+
+    const exited = await ctx.gate('exit', { number_plate: 'KA 01 AB-1234' }).expect(200);
+    assert.equal(exited.body.booking_id, entered.body.booking_id);
+    assert.equal(exited.body.walk_in, true);
+    assert.equal(exited.body.amount, 20);
+
+    const gone = await ctx.gate('exit', { number_plate: 'KA01AB1234' }).expect(404);
+    assert.equal(gone.body.code, 'VEHICLE_NOT_PARKED');
+    const after = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.equal(after.body.available_car_slots, 2);
+});
+
+test('a reservation is checked in by plate and walk-ins park ahead of reservations last', async () => {
+    const ctx = await setUp({ cars: 3, bikes: 0 });
+    const userToken = await signUpUser(ctx, '9876543210');
+    const reserve = (slot, startInMs, numberPlate) => request(ctx.app)
+        .post('/api/bookings')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+            parking_id: ctx.parkingId,
+            slot_id: slot._id,
+            number_plate: numberPlate,
+            start_time: new Date(Date.now() + startInMs).toISOString(),
+            end_time: new Date(Date.now() + startInMs + HOUR_MS).toISOString(),
+        })
+        .expect(200);
+    const soon = await reserve(ctx.slots[1], 10 * 60 * 1000, 'KA05MN0001');
+    const tomorrow = await reserve(ctx.slots[0], 24 * HOUR_MS, 'KA05MN0002');
+
+    const checkedIn = await ctx.gate('entry', { number_plate: 'ka 05 mn 0001' }).expect(200);
+    assert.equal(checkedIn.body.walk_in, false);
+    assert.equal(checkedIn.body.booking_id, soon.body.booking_id);
+    assert.equal(checkedIn.body.slot_number, 2);
+
+    // Too early for tomorrow's reservation, so this is a walk-in, and slot 1
+    // is kept for last as it is reserved later on
+    const early = await ctx.gate('entry', { number_plate: 'KA05MN0002', vehicle_type: 'car' }).expect(200);
+    assert.equal(early.body.walk_in, true);
+    assert.equal(early.body.slot_number, 3);
+    assert.equal(early.body.end_time, null);
+
+    // The last walk-in may park there until the reservation starts
+    const ahead = await ctx.gate('entry', { number_plate: 'KA09ZZ9999', vehicle_type: 'car' }).expect(200);
+    assert.equal(ahead.body.walk_in, true);
+    assert.equal(ahead.body.slot_number, 1);
+    assert.equal(ahead.body.end_time, tomorrow.body.start_time);
+
+    const full = await ctx.gate('entry', { number_plate: 'KA09ZZ0000', vehicle_type: 'car' }).expect(409);
+    assert.equal(full.body.code, 'NO_FREE_SLOT');
+
+    const [booking] = (await request(ctx.app)
+        .get('/api/owner/bookings')
+        .set('Authorization', `Bearer ${ctx.ownerToken}`)
+        .query({ slot_id: ctx.slots[1]._id })
+        .expect(200)).body;
+    assert.equal(booking.status, 'active');
+    assert.equal(booking.plate_key, 'KA05MN0001');
+});
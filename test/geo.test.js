@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { request, createTestApp, setUpAccounts } = require('./helpers');
+const { migrateLegacyLocations } = require('../lib/geo');
+
+// Central Bengaluru, with one area near, one further out and one beyond 5km
+const HERE = { lat: 12.9716, lng: 77.5946 };
+const AREAS = [
+    { parking_area_name: 'Koramangala', location: { lat: 12.9452, lng: 77.6245 }, total_car_slots: 3 },
+    { parking_area_name: 'MG Road', location: { lat: 12.9756, lng: 77.6050 }, total_car_slots: 1 },
+    { parking_area_name: 'Whitefield', location: { lat: 12.9698, lng: 77.7500 }, total_car_slots: 5 },
+];
+
+async function setUp() {
+    const ctx = await setUpAccounts();
+    for (const area of AREAS) {
+        await request(ctx.app)
+            .post('/api/owner/parking_areas')
+            .set(ctx.asOwner)
+            .send({ total_bike_slots: 1, ...area })
+            .expect(200);
+    }
+    return ctx;
+}
+
+function search(app, query) {
+    return request(app).get('/api/parking_areas/search').query({ ...HERE, ...query }).expect(200);
+}
+
+test('search finds parking areas within a radius, nearest or most available first', async () => {
+    const { app } = await setUp();
+
+    const near = await search(app, {});
+    assert.deepEqual(near.body.results.map(area => area.name), ['MG Road', 'Koramangala']);
+    assert.equal(near.body.total, 2);
+    assert.deepEqual(near.body.results[0].location, AREAS[1].location);
+    assert.ok(near.body.results[0].distance_km > 1 && near.body.results[0].distance_km < 1.5);
+
+    const wide = await search(app, { radius_km: 20, sort: 'availability', vehicle_type: 'car' });
+    assert.deepEqual(wide.body.results.map(area => area.name), ['Whitefield', 'Koramangala', 'MG Road']);
+    const paged = await search(app, { radius_km: 20, page: 2, limit: 2 });
+    assert.deepEqual(paged.body.results.map(area => area.name), ['Whitefield']);
+    assert.equal(paged.body.total, 3);
+
+    await request(app).get('/api/parking_areas/search').query({ lat: 91, lng: 0 }).expect(400);
+});
+
+test('legacy locations are converted to GeoJSON and unusable ones are reported', async () => {
+    const { db } = await createTestApp();
+    const areas = db.collection('parking_areas');
+    const { insertedIds } = await areas.insertMany([
+        { parking_area_name: 'Numbers', location: { lat: 12.9716, lng: 77.5946 } },
+        { parking_area_name: 'Strings', location: { lat: '12.9352', lng: '77.6245' } },
+        { parking_area_name: 'Blank', location: { lat: '', lng: '77.6' } },
+        { parking_area_name: 'Off the map', location: { lat: '123', lng: '77.6' } },
+    ]);
+
+    const first = await migrateLegacyLocations(db);
+    assert.equal(first.converted, 2);
+    assert.deepEqual(first.skipped.map(String), [insertedIds[2], insertedIds[3]].map(String));
+    const strings = await areas.findOne({ _id: insertedIds[1] });
+    assert.deepEqual(strings.location, { type: 'Point', coordinates: [77.6245, 12.9352] });
+    assert.deepEqual((await areas.findOne({ _id: insertedIds[2] })).location, { lat: '', lng: '77.6' });
+
+    const again = await migrateLegacyLocations(db);
+    assert.equal(again.converted, 0);
+    assert.equal(again.skipped.length, 2);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { request, createTestApp } = require('./helpers');
+const { loadConfig } = require('../lib/config');
+
+test('readiness follows startup, database reachability and shutdown', async () => {
+    const { app, context } = await createTestApp();
+    context.lifecycle.ready = false;
+
+    await request(app).get('/healthz').expect(200);
+    const starting = await request(app).get('/readyz').expect(503);
+    assert.equal(starting.body.code, 'NOT_READY');
+
+    context.lifecycle.ready = true;
+    await request(app).get('/readyz').expect(200);
+
+    context.store.ping = async () => {
+        throw new Error('connection lost');
+    };
+    const down = await request(app).get('/readyz').expect(503);
+    assert.equal(down.body.code, 'DATABASE_UNAVAILABLE');
+
+    context.lifecycle.draining = true;
+    const draining = await request(app).get('/readyz').expect(503);
+    assert.equal(draining.body.code, 'SHUTTING_DOWN');
+    await request(app).get('/healthz').expect(200);
+});
+
+test('configuration is read from the environment and validated', () => {
+    const config = loadConfig({
+        MONGODB_URI: 'mongodb://db.internal:27017',
+        PORT: '8080',
+        CORS_ORIGINS: 'https://app.example.com, https://admin.example.com',
+    });
+    assert.equal(config.port, 8080);
+    assert.equal(config.mongo.dbName, 'ParkingSystem');
+    assert.deepEqual(config.corsOrigins, ['https://app.example.com', 'https://admin.example.com']);
+
+    assert.throws(() => loadConfig({}), /MONGODB_URI/);
+    assert.throws(() => loadConfig({ MONGODB_URI: 'http://db', PORT: 'eighty' }), /PORT[\s\S]*MONGODB_URI/);
+    assert.throws(
+        () => loadConfig({ MONGODB_URI: 'mongodb://db', NODE_ENV: 'production' }),
+        /JWT_SECRET/
+    );
+});
@@ -0,0 +1,171 @@
+// Builds the app against the in-memory store so the HTTP tests run without
+// MongoDB, SMS or disk access. Tests may pass another store, such as one with
+// interleaving transactions or a real MongoDB, which tests marked with
+// onMongo run against when MONGO_URL points at a replica set.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = require('supertest');
+const { MongoClient, ObjectId } = require('mongodb');
+const { createMemoryStore, createMongoStore } = require('../lib/store');
+const { ensureBookingIndexes } = require('../lib/bookings');
+const { ensureVehicleIndexes } = require('../lib/vehicles');
+const { ensureWaitlistIndexes } = require('../lib/waitlist');
+const { ensurePassIndexes } = require('../lib/passes');
+const { ensurePaymentIndexes } = require('../lib/payments');
+const { createContext, createApp } = require('../app');
+
+const OWNER_PHONE = '9123456780';
+const USER_PHONE = '9876543210';
+
+// Records messages instead of sending them, so tests can read the OTP
+function createSmsOutbox() {
+    const messages = [];
+    return {
+        messages,
+        async send(phone, message) {
+            messages.push({ phone, message });
+        },
+        lastCode(phone) {
+            const sent = messages.filter(entry => entry.phone === phone).pop();
+            return sent && /\b(\d{4,8})\b/.exec(sent.message)[1];
+        },
+    };
+}
+
+function createNotificationOutbox() {
+    const sent = [];
+    return {
+        sent,
+        async notify(phone, notification) {
+            sent.push({ phone, ...notification });
+        },
+    };
+}
+
+function createMemoryFileStorage() {
+    const files = new Map();
+    return {
+        files,
+        async save({ buffer, originalname }) {
+            const key = `${files.size + 1}-${originalname}`;
+            files.set(key, { buffer, modifiedAt: new Date() });
+            return { key, url: `/uploads/${key}` };
+        },
+        async remove(key) {
+            files.delete(key);
+        },
+        async list() {
+            return [...files].map(([key, file]) => ({ key, modifiedAt: file.modifiedAt }));
+        },
+    };
+}
+
+async function createTestApp({ store = createMemoryStore() } = {}) {
+    await ensureBookingIndexes(store.db);
+    await ensureVehicleIndexes(store.db);
+    await ensureWaitlistIndexes(store.db);
+    await ensurePassIndexes(store.db);
+    await ensurePaymentIndexes(store.db);
+    const sms = createSmsOutbox();
+    const notifier = createNotificationOutbox();
+    const context = createContext({ store, sms, notifier, fileStorage: createMemoryFileStorage() });
+    const app = createApp(context);
+    return { app, context, db: store.db, sms, notifier };
+}
+
+// Sign a user up through the OTP flow and return their access token
+async function signUpUser({ app, sms }, phone) {
+    await request(app).post('/api/users/otp/request').send({ phone }).expect(200);
+    const res = await request(app)
+        .post('/api/users/register')
+        .send({ phone, code: sms.lastCode(phone), name: 'Test User' })
+        .expect(201);
+    return res.body.access_token;
+}
+
+async function signUpOwner({ app }, phone, password = 'correct-horse') {
+    await request(app).post('/api/owner/register').send({ phone, password }).expect(200);
+    const res = await request(app).post('/api/owner/login').send({ phone, password }).expect(200);
+    return res.body.access_token;
+}
+
+// Create a parking area with a tariff and return its id and slots
+async function createParkingArea({ app }, ownerToken, { cars = 2, bikes = 1, tariff = { hourly_rate: 20 } } = {}) {
+    const created = await request(app)
+        .post('/api/owner/parking_areas')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({
+            parking_area_name: 'Central Lot',
+            location: { lat: 12.9716, lng: 77.5946 },
+            total_car_slots: cars,
+            total_bike_slots: bikes,
+        })
+        .expect(200);
+    const parkingId = created.body.id;
+    await request(app)
+        .put(`/api/owner/parking_areas/${parkingId}/tariffs/car`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send(tariff)
+        .expect(200);
+    const slots = await request(app).get(`/api/parking_areas/${parkingId}/slots`).expect(200);
+    return { parkingId, slots: slots.body };
+}
+
+// Options for test() that skip it unless MONGO_URL is set. Transactions
+// need a replica set, so MONGO_URL must point at one.
+const onMongo = {
+    skip: !process.env.MONGO_URL && 'set MONGO_URL to a replica set to run against MongoDB',
+};
+
+// Run `fn` with a store on a fresh database of MONGO_URL, dropped afterwards
+async function withMongoStore(fn) {
+    const client = await MongoClient.connect(process.env.MONGO_URL);
+    const dbName = `parking_test_${new ObjectId()}`;
+    try {
+        return await fn(createMongoStore(client, dbName));
+    } finally {
+        await client.db(dbName).dropDatabase();
+        await client.close();
+    }
+}
+
+function bearer(token) {
+    return { Authorization: `Bearer ${token}` };
+}
+
+// The app with an owner signed up on OWNER_PHONE and, with user: true, a
+// user on USER_PHONE. Adds their tokens and Authorization headers (asOwner,
+// asUser) to what createTestApp returns.
+async function setUpAccounts({ store, user = false } = {}) {
+    const harness = await createTestApp({ store });
+    const ownerToken = await signUpOwner(harness, OWNER_PHONE);
+    const userToken = user ? await signUpUser(harness, USER_PHONE) : null;
+    return {
+        ...harness,
+        ownerToken,
+        userToken,
+        asOwner: bearer(ownerToken),
+        asUser: userToken && bearer(userToken),
+    };
+}
+
+// setUpAccounts plus a parking area of the owner with `slots` as for
+// createParkingArea, which is where most tests start
+async function setUpParkingArea({ slots, ...options } = {}) {
+    const ctx = await setUpAccounts(options);
+    return { ...ctx, ...await createParkingArea(ctx, ctx.ownerToken, slots) };
+}
+
+module.exports = {
+    OWNER_PHONE,
+    USER_PHONE,
+    request,
+    createTestApp,
+    signUpUser,
+    signUpOwner,
+    createParkingArea,
+    setUpAccounts,
+    setUpParkingArea,
+    onMongo,
+    withMongoStore,
+};
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { request, signUpUser, setUpParkingArea } = require('./helpers');
+const { parseCsv } = require('../lib/csv');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function setUp() {
+    const ctx = await setUpParkingArea({ slots: { cars: 4, bikes: 1 } });
+    const importLayout = () => request(ctx.app)
+        .post(`/api/owner/parking_areas/${ctx.parkingId}/layout`)
+        .set(ctx.asOwner);
+    return { ...ctx, importLayout };
+}
+
+function listSlots(ctx, query) {
+    return request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}/slots`).query(query).expect(200);
+}
+
+test('owners import a slot layout from CSV or JSON and the slots can be filtered by it', async () => {
+    const ctx = await setUp();
+    const csv = [
+        'vehicle_type,slot_number,floor,zone,label,attributes',
+        'car,1,B2,C,C-14,accessible; covered',
+        'car,2,B2,C,C-15,covered;ev_charging',
+        'car,3,B1,A,A-01,',
+    ].join('\r\n');
+    const imported = await ctx.importLayout().attach('file', Buffer.from(csv), 'layout.csv').expect(200);
+    assert.equal(imported.body.updated, 3);
+
+    const [first] = (await listSlots(ctx, { floor: 'B2', attributes: 'accessible' })).body;
+    assert.equal(first.slot_number, 1);
+    assert.equal(first.label, 'C-14');
+    assert.deepEqual(first.attributes, ['accessible', 'covered']);
+    const covered = await listSlots(ctx, { vehicle_type: 'car', attributes: ['covered', 'ev_charging'] });
+    assert.deepEqual(covered.body.map(slot => slot.label), ['C-15']);
+    assert.equal((await listSlots(ctx, { floor: 'B1' })).body[0].zone, 'A');
+
+    // Rows are applied together or not at all
+    const unknown = await ctx.importLayout()
+        .send({ slots: [{ vehicle_type: 'car', slot_number: 4, label: 'A-02' }, { vehicle_type: 'car', slot_number: 9 }] })
+        .expect(422);
+    assert.equal(unknown.body.code, 'UNKNOWN_SLOTS');
+    assert.deepEqual(unknown.body.details, [{ row: 2, vehicle_type: 'car', slot_number: 9 }]);
+    const clash = await ctx.importLayout()
+        .attach('file', Buffer.from(JSON.stringify([{ vehicle_type: 'bike', slot_number: 1, label: 'C-14' }])), 'layout.json')
+        .expect(422);
+    assert.equal(clash.body.code, 'DUPLICATE_LABELS');
+    assert.deepEqual(clash.body.details, [{
+        label: 'C-14',
+        slots: [{ vehicle_type: 'car', slot_number: 1 }, { vehicle_type: 'bike', slot_number: 1 }],
+    }]);
+    const broken = await ctx.importLayout().attach('file', Buffer.from('{"slots": ['), 'layout.json').expect(422);
+    assert.equal(broken.body.code, 'INVALID_LAYOUT_FILE');
+    assert.equal((await listSlots(ctx, { floor: 'B1' })).body.length, 1);
+
+    const slotPath = `/api/owner/parking_areas/${ctx.parkingId}/slots/${ctx.slots[2]._id}`;
+    const patched = await request(ctx.app).patch(slotPath).set(ctx.asOwner).send({ zone: '', attributes: ['ev_charging'] }).expect(200);
+    assert.equal(patched.body.slot.floor, 'B1');
+    assert.equal(patched.body.slot.zone, null);
+    assert.equal(patched.body.slot.label, 'A-01');
+    await request(ctx.app).patch(slotPath).set(ctx.asOwner).send({ attributes: ['EV charging'] }).expect(422);
+});
+
+test('CSV files saved with a byte order mark are read like any other', async () => {
+    assert.deepEqual(parseCsv('\uFEFFslot_number,label\r\n1,A-01\r\n'), [{ slot_number: '1', label: 'A-01' }]);
+
+    const ctx = await setUp();
+    const csv = '\uFEFFvehicle_type,slot_number,label\r\ncar,1,A-01\r\n';
+    const imported = await ctx.importLayout().attach('file', Buffer.from(csv, 'utf8'), 'layout.csv').expect(200);
+    assert.equal(imported.body.updated, 1);
+    assert.equal((await listSlots(ctx, { vehicle_type: 'car' })).body[0].label, 'A-01');
+});
+
+test('users book the first free slot matching a slot request', async () => {
+    const ctx = await setUp();
+    await ctx.importLayout()
+        .send({
+            slots: [
+                { vehicle_type: 'car', slot_number: 2, floor: 'G', label: 'G-02', attributes: ['ev_charging'] },
+                { vehicle_type: 'car', slot_number: 3, floor: 'G', label: 'G-03', attributes: ['ev_charging', 'covered'] },
+            ],
+        })
+        .expect(200);
+    const token = await signUpUser(ctx, '9876543210');
+    const vehicle = await request(ctx.app)
+        .post('/api/users/vehicles')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ number_plate: 'KA01AB1234', vehicle_type: 'car' })
+        .expect(201);
+    const book = body => request(ctx.app)
+        .post('/api/bookings')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ parking_id: ctx.parkingId, vehicle_id: vehicle.body.vehicle._id, ...body });
+
+    const start = Date.now() + 2 * HOUR_MS;
+    const later = {
+        start_time: new Date(start).toISOString(),
+        end_time: new Date(start + HOUR_MS).toISOString(),
+    };
+    const ev = await book({ slot_request: { floor: 'G', attributes: ['ev_charging'] }, ...later }).expect(200);
+    assert.equal(ev.body.status, 'reserved');
+    assert.equal(ev.body.slot_number, 2);
+    assert.equal(ev.body.slot_label, 'G-02');
+    assert.equal(ev.body.floor, 'G');
+    const next = await book({ slot_request: { attributes: ['ev_charging'] }, ...later }).expect(200);
+    assert.equal(next.body.slot_label, 'G-03');
+    const none = await book({ slot_request: { attributes: ['ev_charging'] }, ...later }).expect(409);
+    assert.equal(none.body.code, 'NO_MATCHING_SLOT');
+
+    const both = await book({ slot_id: ctx.slots[0]._id, slot_request: { floor: 'G' } }).expect(422);
+    assert.equal(both.body.code, 'VALIDATION_FAILED');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { request, createTestApp } = require('./helpers');
+
+const PHONE = '9876543210';
+
+function register(app, code) {
+    return request(app).post('/api/users/register').send({ phone: PHONE, code, name: 'Test User' });
+}
+
+test('codes are sent once per cooldown and expire', async () => {
+    const { app, db, sms } = await createTestApp();
+    const sent = await request(app).post('/api/users/otp/request').send({ phone: PHONE }).expect(200);
+    assert.equal(sent.body.expires_in, 300);
+    assert.equal(sent.body.resend_after, 60);
+    assert.equal(sms.messages.length, 1);
+
+    const again = await request(app).post('/api/users/otp/request').send({ phone: PHONE }).expect(429);
+    assert.equal(again.body.code, 'OTP_COOLDOWN');
+    assert.ok(again.body.details.retry_after > 0 && again.body.details.retry_after <= 60);
+    assert.equal(sms.messages.length, 1);
+
+    const code = sms.lastCode(PHONE);
+    const stored = await db.collection('otp_codes').findOne({ phone: PHONE });
+    assert.notEqual(stored.code_hash, code);
+    await db.collection('otp_codes').updateOne({ phone: PHONE }, { $set: { expires_at: new Date(Date.now() - 1000) } });
+    assert.equal((await register(app, code).expect(400)).body.code, 'OTP_EXPIRED');
+
+    // Once the cooldown is over a new code replaces the old one
+    await db.collection('otp_codes').updateOne({ phone: PHONE }, { $set: { last_sent_at: new Date(Date.now() - 61 * 1000) } });
+    await request(app).post('/api/users/otp/request').send({ phone: PHONE }).expect(200);
+    await register(app, sms.lastCode(PHONE)).expect(201);
+    assert.equal((await register(app, sms.lastCode(PHONE)).expect(400)).body.code, 'OTP_EXPIRED');
+});
+
+test('a code is locked after five wrong attempts', async () => {
+    const { app, sms } = await createTestApp();
+    await request(app).post('/api/users/otp/request').send({ phone: PHONE }).expect(200);
+    const code = sms.lastCode(PHONE);
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        assert.equal((await register(app, wrong).expect(400)).body.code, 'OTP_INVALID');
+    }
+    assert.equal((await register(app, code).expect(429)).body.code, 'OTP_ATTEMPTS_EXCEEDED');
+});
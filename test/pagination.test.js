@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { USER_PHONE, request, setUpAccounts, setUpParkingArea, onMongo, withMongoStore } = require('./helpers');
+const { createMemoryStore } = require('../lib/store');
+const { pageSpec, findPage } = require('../lib/pagination');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Walk every page of a list and return all results in order
+async function readAllPages(app, path, { query = {}, headers = {}, limit = 2 } = {}) {
+    const results = [];
+    let cursor;
+    do {
+        const res = await request(app)
+            .get(path)
+            .set(headers)
+            .query({ ...query, limit, ...(cursor && { cursor }) })
+            .expect(200);
+        assert.ok(res.body.results.length <= limit);
+        results.push(...res.body.results);
+        cursor = res.body.next_cursor;
+    } while (cursor);
+    return results;
+}
+
+async function checkBookingHistory(store) {
+    const harness = await setUpParkingArea({ store, user: true, slots: { cars: 5, bikes: 1 } });
+    const { parkingId, slots, asUser } = harness;
+
+    const carSlots = slots.filter(slot => slot.vehicle_type === 'car');
+    for (const [i, slot] of carSlots.entries()) {
+        const start = new Date(Date.now() + (i + 1) * 24 * HOUR_MS);
+        await request(harness.app)
+            .post('/api/bookings')
+            .set(asUser)
+            .send({
+                parking_id: parkingId,
+                slot_id: slot._id,
+                number_plate: 'KA01AB1234',
+                start_time: start.toISOString(),
+                end_time: new Date(start.getTime() + HOUR_MS).toISOString(),
+            })
+            .expect(200);
+    }
+    const bikeSlot = slots.find(slot => slot.vehicle_type === 'bike');
+    await request(harness.app)
+        .post('/api/bookings')
+        .set(asUser)
+        .send({ parking_id: parkingId, slot_id: bikeSlot._id, number_plate: 'KA01XY0001' })
+        .expect(200);
+
+    const path = `/api/users/bookings/${USER_PHONE}`;
+    const all = await readAllPages(harness.app, path, { headers: asUser, query: { sort: 'start_time' } });
+    assert.equal(all.length, 6);
+    const starts = all.map(booking => booking.start_time);
+    assert.deepEqual(starts, [...starts].sort());
+    assert.ok(all.every(booking => booking.location === 'Central Lot'));
+    assert.deepEqual(
+        all.filter(booking => booking.vehicle_type === 'car').map(booking => booking.slot_number),
+        carSlots.map(slot => slot.slot_number)
+    );
+
+    const reserved = await readAllPages(harness.app, path, {
+        headers: asUser,
+        query: {
+            status: 'reserved',
+            vehicle_type: 'car',
+            from: new Date(Date.now() + 36 * HOUR_MS).toISOString(),
+            to: new Date(Date.now() + 84 * HOUR_MS).toISOString(),
+        },
+    });
+    assert.equal(reserved.length, 2);
+    assert.ok(reserved[0].start_time > reserved[1].start_time);
+
+    const invalid = await request(harness.app).get(path).set(asUser).query({ cursor: 'not-a-cursor' }).expect(400);
+    assert.equal(invalid.body.code, 'INVALID_CURSOR');
+    const badSort = await request(harness.app).get(path).set(asUser).query({ sort: 'phone' }).expect(400);
+    assert.equal(badSort.body.code, 'INVALID_QUERY');
+}
+
+test('booking history pages through a filtered, sorted list with joined details', async () => {
+    await checkBookingHistory();
+});
+
+// History joins areas and slots with $lookup, which the in-memory store only
+// approximates
+test('booking history pages the same on MongoDB', onMongo, async () => {
+    await withMongoStore(checkBookingHistory);
+});
+
+test('parking area lists page by name and filter by vehicle type', async () => {
+    const harness = await setUpAccounts();
+    const { ownerToken } = harness;
+    for (const [name, bikes] of [['Delta', 0], ['Alpha', 2], ['Charlie', 1], ['Bravo', 0]]) {
+        await request(harness.app)
+            .post('/api/owner/parking_areas')
+            .set('Authorization', `Bearer ${ownerToken}`)
+            .send({ parking_area_name: name, location: { lat: 12.97, lng: 77.59 }, total_car_slots: 1, total_bike_slots: bikes })
+            .expect(200);
+    }
+
+    const names = areas => areas.map(area => area.name);
+    assert.deepEqual(names(await readAllPages(harness.app, '/api/parking_areas')), ['Alpha', 'Bravo', 'Charlie', 'Delta']);
+    assert.deepEqual(
+        names(await readAllPages(harness.app, '/api/parking_areas', { query: { vehicle_type: 'bike', sort: '-name' } })),
+        ['Charlie', 'Alpha']
+    );
+
+    const owned = await readAllPages(harness.app, '/api/owner/parking_areas', {
+        headers: { Authorization: `Bearer ${ownerToken}` },
+        limit: 3,
+    });
+    assert.equal(owned.length, 4);
+    assert.ok(owned.every(area => area.role === 'owner'));
+
+    // Without limit or cursor the lists are the bare arrays they always were
+    const unpaged = await request(harness.app).get('/api/parking_areas').query({ vehicle_type: 'bike' }).expect(200);
+    assert.deepEqual(names(unpaged.body), ['Alpha', 'Charlie']);
+    const ownedUnpaged = await request(harness.app)
+        .get('/api/owner/parking_areas')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+    assert.equal(ownedUnpaged.body.length, 4);
+});
+
+test('the user list needs an owner sign-in and pages by sign-up time or name', async () => {
+    const harness = await setUpAccounts({ user: true });
+    const { asOwner, userToken } = harness;
+    for (const [index, name] of ['Meera', 'Arjun', 'Zoya'].entries()) {
+        await harness.db.collection('users').insertOne({ phone: `987654322${index}`, name, token_version: 0, createdAt: new Date() });
+    }
+
+    await request(harness.app).get('/api/users/all').expect(401);
+    await request(harness.app).get('/api/users/all').set('Authorization', `Bearer ${userToken}`).expect(401);
+
+    const newest = await readAllPages(harness.app, '/api/users/all', { headers: asOwner, limit: 2 });
+    assert.deepEqual(newest.map(user => user.name), ['Zoya', 'Arjun', 'Meera', 'Test User']);
+    assert.ok(newest.every(user => user.token_version === undefined));
+    const byName = await readAllPages(harness.app, '/api/users/all', { headers: asOwner, query: { sort: 'name' } });
+    assert.deepEqual(byName.map(user => user.name), ['Arjun', 'Meera', 'Test User', 'Zoya']);
+
+    const unpaged = await request(harness.app)
+        .get('/api/users/all')
+        .set(asOwner)
+        .query({ from: new Date(Date.now() + 60 * 1000).toISOString() })
+        .expect(200);
+    assert.deepEqual(unpaged.body, []);
+});
+
+test('cursors step past documents whose sort value is missing or null', async () => {
+    const store = createMemoryStore();
+    const collection = store.db.collection('things');
+    await collection.insertMany([
+        { name: 'b' }, {}, { name: 'a' }, { name: null }, { name: 'c' }, {}, { name: 'b' },
+    ]);
+    const sorts = { name: 'name' };
+
+    for (const sort of ['name', '-name']) {
+        const seen = [];
+        let cursor;
+        do {
+            const page = await findPage(collection, {}, pageSpec(sorts, { sort, limit: 2, cursor }));
+            seen.push(...page.results);
+            cursor = page.next_cursor;
+        } while (cursor);
+        const all = await findPage(collection, {}, pageSpec(sorts, { sort }));
+        assert.equal(all.length, 7);
+        assert.deepEqual(seen.map(doc => String(doc._id)), all.map(doc => String(doc._id)), sort);
+    }
+});
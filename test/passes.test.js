@@ -0,0 +1,267 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { request, signUpUser, setUpParkingArea } = require('./helpers');
+const { PENDING_PASS_MINUTES, periodEnd, passCovers, passSessionFee } = require('../lib/passes');
+const { reconcileParkingArea } = require('../lib/reconcile');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function setUp() {
+    const ctx = await setUpParkingArea({ slots: { cars: 2, bikes: 0 } });
+    const createProduct = body => request(ctx.app)
+        .post(`/api/owner/parking_areas/${ctx.parkingId}/pass_products`)
+        .set(ctx.asOwner)
+        .send({ name: 'Monthly car', vehicle_type: 'car', period: 'monthly', price: 1500, capacity: 1, ...body });
+    return { ...ctx, createProduct };
+}
+
+// Sign a user up with one registered car
+async function signUpDriver(ctx, phone, numberPlate) {
+    const token = await signUpUser(ctx, phone);
+    const auth = { Authorization: `Bearer ${token}` };
+    const vehicle = await request(ctx.app)
+        .post('/api/users/vehicles')
+        .set(auth)
+        .send({ number_plate: numberPlate, vehicle_type: 'car' })
+        .expect(201);
+    return { auth, vehicleId: vehicle.body.vehicle._id };
+}
+
+function buyPass(ctx, driver, productId) {
+    return request(ctx.app)
+        .post('/api/passes')
+        .set(driver.auth)
+        .send({ product_id: productId, vehicle_id: driver.vehicleId });
+}
+
+// Settle a payment the way the gateway would
+function settle(ctx, driver, payment, status = 'captured') {
+    return request(ctx.app)
+        .post(`/api/payments/${payment.payment_id}/simulate`)
+        .set(driver.auth)
+        .send({ status })
+        .expect(200);
+}
+
+// Buy a pass and pay for it
+async function buyPaidPass(ctx, driver, productId) {
+    const { payment } = (await buyPass(ctx, driver, productId).expect(201)).body;
+    await settle(ctx, driver, payment);
+    const passes = await request(ctx.app).get('/api/passes').set(driver.auth).expect(200);
+    return passes.body.find(pass => pass.payment_id === payment.payment_id);
+}
+
+async function counters(ctx) {
+    const area = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    return { available: area.body.available_car_slots, booked: area.body.booked_car_slots };
+}
+
+test('a pass with a reserved slot parks its holder free of charge and keeps the slot for them', async () => {
+    const ctx = await setUp();
+    const product = (await ctx.createProduct({ reserved_slot: true }).expect(201)).body.product;
+    const onSale = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}/pass_products`).expect(200);
+    assert.deepEqual(onSale.body.map(p => p.name), ['Monthly car']);
+
+    const holder = await signUpDriver(ctx, '9876543210', 'KA01AB1234');
+    const bought = await buyPass(ctx, holder, product._id).expect(201);
+    assert.equal(bought.body.pass.status, 'pending');
+    assert.equal(bought.body.pass.valid_until, null);
+    assert.equal(bought.body.payment.status, 'pending');
+    assert.equal(bought.body.payment.amount, 1500);
+    // The slot is kept while the pass is paid for
+    assert.equal(bought.body.pass.slot_id, ctx.slots[0]._id);
+    assert.deepEqual(await counters(ctx), { available: 1, booked: 0 });
+
+    await settle(ctx, holder, bought.body.payment);
+    const [pass] = (await request(ctx.app).get('/api/passes').set(holder.auth).expect(200)).body;
+    assert.equal(pass.status, 'active');
+    assert.ok(new Date(pass.valid_until) > new Date(pass.valid_from));
+
+    const other = await signUpDriver(ctx, '9876543211', 'KA02CD5678');
+    assert.equal((await buyPass(ctx, other, product._id).expect(409)).body.code, 'PASSES_SOLD_OUT');
+    const taken = await request(ctx.app)
+        .post('/api/bookings')
+        .set(other.auth)
+        .send({ parking_id: ctx.parkingId, slot_id: pass.slot_id, vehicle_id: other.vehicleId })
+        .expect(409);
+    assert.equal(taken.body.code, 'SLOT_RESERVED_FOR_PASS');
+
+    const gate = direction => request(ctx.app)
+        .post(`/api/owner/parking_areas/${ctx.parkingId}/gate/${direction}`)
+        .set(ctx.asOwner)
+        .send({ number_plate: 'ka 01 ab 1234' });
+    const entered = await gate('entry').expect(200);
+    assert.equal(entered.body.slot_number, 1);
+    assert.equal(entered.body.pass_id, pass._id);
+    assert.equal(entered.body.walk_in, false);
+    assert.deepEqual(await counters(ctx), { available: 1, booked: 1 });
+    const exited = await gate('exit').expect(200);
+    assert.equal(exited.body.amount, 0);
+    assert.deepEqual(exited.body.breakdown, [{ type: 'pass', pass_id: pass._id, amount: 0 }]);
+    assert.deepEqual(await counters(ctx), { available: 1, booked: 0 });
+    assert.equal((await reconcileParkingArea(ctx.context.store, new ObjectId(ctx.parkingId))).consistent, true);
+
+    const renew = () => request(ctx.app).post(`/api/passes/${pass._id}/renew`).set(holder.auth);
+    const renewal = (await renew().expect(200)).body;
+    assert.equal(renewal.pass.valid_until, pass.valid_until);
+    assert.equal(renewal.payment.amount, 1500);
+    assert.equal((await renew().expect(200)).body.payment.payment_id, renewal.payment.payment_id);
+    await settle(ctx, holder, renewal.payment);
+    const [renewed] = (await request(ctx.app).get('/api/passes').set(holder.auth).expect(200)).body;
+    assert.equal(renewed.renewals.length, 1);
+    assert.ok(new Date(renewed.valid_until) > new Date(pass.valid_until));
+    assert.equal((await renew().expect(409)).body.code, 'RENEWAL_TOO_EARLY');
+
+    await ctx.db.collection('passes').updateOne(
+        { _id: new ObjectId(pass._id) },
+        { $set: { valid_until: new Date(Date.now() - 1000) } }
+    );
+    assert.equal(await ctx.context.passes.expirePasses(), 1);
+    const [expired] = (await request(ctx.app).get('/api/passes').set(holder.auth).expect(200)).body;
+    assert.equal(expired.status, 'expired');
+    assert.equal((await renew().expect(409)).body.code, 'PASS_EXPIRED');
+    assert.deepEqual(await counters(ctx), { available: 2, booked: 0 });
+    assert.equal((await reconcileParkingArea(ctx.context.store, new ObjectId(ctx.parkingId))).consistent, true);
+    await buyPaidPass(ctx, other, product._id);
+});
+
+test('pass holders book any free slot without per-session charges', async () => {
+    const ctx = await setUp();
+    const product = (await ctx.createProduct({ name: 'Weekly car', period: 'weekly', capacity: 2 }).expect(201)).body.product;
+    const holder = await signUpDriver(ctx, '9876543210', 'KA01AB1234');
+    const pass = await buyPaidPass(ctx, holder, product._id);
+    assert.equal(pass.slot_id, null);
+    assert.equal(Math.round((new Date(pass.valid_until) - new Date(pass.valid_from)) / (24 * HOUR_MS)), 7);
+
+    const booked = await request(ctx.app)
+        .post('/api/bookings')
+        .set(holder.auth)
+        .send({ parking_id: ctx.parkingId, slot_id: ctx.slots[1]._id, vehicle_id: holder.vehicleId })
+        .expect(200);
+    assert.equal(booked.body.pass_id, pass._id);
+    const verified = await request(ctx.app)
+        .post('/api/owner/tickets/verify')
+        .set(ctx.asOwner)
+        .send({ token: booked.body.ticket.token })
+        .expect(200);
+    assert.equal(verified.body.fee_due.amount, 0);
+    const completed = await request(ctx.app)
+        .post('/api/owner/bookings/complete')
+        .set(ctx.asOwner)
+        .send({ parking_id: ctx.parkingId, slot_id: ctx.slots[1]._id })
+        .expect(200);
+    assert.equal(completed.body.amount, 0);
+
+    const removed = await request(ctx.app).delete(`/api/users/vehicles/${holder.vehicleId}`).set(holder.auth).expect(409);
+    assert.equal(removed.body.code, 'VEHICLE_IN_USE');
+
+    const productPath = `/api/owner/parking_areas/${ctx.parkingId}/pass_products/${product._id}`;
+    const shrunk = await request(ctx.app).patch(productPath).set(ctx.asOwner).send({ capacity: 1 }).expect(200);
+    assert.equal(shrunk.body.product.available_passes, 0);
+    await request(ctx.app).patch(productPath).set(ctx.asOwner).send({ active: false }).expect(200);
+    const onSale = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}/pass_products`).expect(200);
+    assert.deepEqual(onSale.body, []);
+    const renewal = await request(ctx.app).post(`/api/passes/${pass._id}/renew`).set(holder.auth).expect(409);
+    assert.equal(renewal.body.code, 'PASS_PRODUCT_UNAVAILABLE');
+
+    const sold = await request(ctx.app)
+        .get(`/api/owner/parking_areas/${ctx.parkingId}/passes`)
+        .set(ctx.asOwner)
+        .query({ status: 'active' })
+        .expect(200);
+    assert.deepEqual(sold.body.results.map(p => p.number_plate), ['KA01AB1234']);
+});
+
+test('an unpaid pass holds its place until its payment fails or lapses', async () => {
+    const ctx = await setUp();
+    const product = (await ctx.createProduct({ reserved_slot: true }).expect(201)).body.product;
+    const holder = await signUpDriver(ctx, '9876543210', 'KA01AB1234');
+    const other = await signUpDriver(ctx, '9876543211', 'KA02CD5678');
+
+    const declined = (await buyPass(ctx, holder, product._id).expect(201)).body;
+    assert.equal((await buyPass(ctx, other, product._id).expect(409)).body.code, 'PASSES_SOLD_OUT');
+    // Sessions before the pass is paid for are charged as usual
+    const booked = await request(ctx.app)
+        .post('/api/bookings')
+        .set(holder.auth)
+        .send({ parking_id: ctx.parkingId, slot_id: ctx.slots[1]._id, vehicle_id: holder.vehicleId })
+        .expect(200);
+    assert.equal(booked.body.pass_id, null);
+    await request(ctx.app)
+        .post('/api/owner/bookings/complete')
+        .set(ctx.asOwner)
+        .send({ parking_id: ctx.parkingId, slot_id: ctx.slots[1]._id })
+        .expect(200);
+
+    await settle(ctx, holder, declined.payment, 'failed');
+    const [cancelled] = (await request(ctx.app).get('/api/passes').set(holder.auth).expect(200)).body;
+    assert.equal(cancelled.status, 'cancelled');
+    assert.deepEqual(await counters(ctx), { available: 2, booked: 0 });
+
+    const abandoned = (await buyPass(ctx, other, product._id).expect(201)).body;
+    assert.equal(await ctx.context.passes.expirePasses(), 0);
+    assert.equal((await request(ctx.app).get('/api/passes').set(other.auth).expect(200)).body[0].status, 'pending');
+    await ctx.context.passes.expirePasses(new Date(Date.now() + (PENDING_PASS_MINUTES + 1) * 60 * 1000));
+    assert.equal((await request(ctx.app).get('/api/passes').set(other.auth).expect(200)).body[0].status, 'cancelled');
+    const payment = await request(ctx.app).get(`/api/payments/${abandoned.payment.payment_id}`).set(other.auth).expect(200);
+    assert.equal(payment.body.status, 'failed');
+    assert.deepEqual(await counters(ctx), { available: 2, booked: 0 });
+    assert.equal((await reconcileParkingArea(ctx.context.store, new ObjectId(ctx.parkingId))).consistent, true);
+
+    const pass = await buyPaidPass(ctx, holder, product._id);
+    assert.equal(pass.status, 'active');
+});
+
+test('refunding a pass payment takes back what it paid for', async () => {
+    const ctx = await setUp();
+    const product = (await ctx.createProduct({ reserved_slot: true }).expect(201)).body.product;
+    const holder = await signUpDriver(ctx, '9876543210', 'KA01AB1234');
+    const other = await signUpDriver(ctx, '9876543211', 'KA02CD5678');
+    const pass = await buyPaidPass(ctx, holder, product._id);
+    const renewal = (await request(ctx.app).post(`/api/passes/${pass._id}/renew`).set(holder.auth).expect(200)).body;
+    await settle(ctx, holder, renewal.payment);
+    const refund = paymentId => request(ctx.app).post(`/api/owner/payments/${paymentId}/refund`).set(ctx.asOwner).expect(200);
+    const current = async () => (await request(ctx.app).get('/api/passes').set(holder.auth).expect(200)).body[0];
+
+    // The renewal is taken back, the period already paid for is kept
+    await refund(renewal.payment.payment_id);
+    const cutBack = await current();
+    assert.equal(cutBack.status, 'active');
+    assert.equal(cutBack.valid_until, pass.valid_until);
+    assert.ok(cutBack.renewals[0].refunded_at);
+    assert.deepEqual(await counters(ctx), { available: 1, booked: 0 });
+
+    await refund(pass.payment_id);
+    const cancelled = await current();
+    assert.equal(cancelled.status, 'cancelled');
+    assert.deepEqual(await counters(ctx), { available: 2, booked: 0 });
+    assert.equal((await reconcileParkingArea(ctx.context.store, new ObjectId(ctx.parkingId))).consistent, true);
+    await buyPaidPass(ctx, other, product._id);
+});
+
+test('weekday-only passes skip weekends and stays past a pass are charged', () => {
+    const weekdays = { weekdays_only: true, timezone: 'Asia/Kolkata' };
+    // Saturday 17 October 2026 in Kolkata, then the Monday after
+    assert.equal(passCovers(weekdays, new Date('2026-10-17T10:00:00+05:30')), false);
+    assert.equal(passCovers(weekdays, new Date('2026-10-19T10:00:00+05:30')), true);
+    assert.equal(passCovers({ weekdays_only: false }, new Date('2026-10-17T10:00:00+05:30')), true);
+
+    const entry = new Date('2026-10-19T08:00:00Z');
+    const pass = { _id: new ObjectId(), currency: 'INR', valid_until: new Date(entry.getTime() + HOUR_MS) };
+    const fee = passSessionFee(pass, { currency: 'INR', hourly_rate: 20, free_minutes: 0 }, entry, new Date(entry.getTime() + 3 * HOUR_MS));
+    assert.equal(fee.amount, 40);
+    assert.equal(fee.duration_minutes, 180);
+    assert.equal(fee.breakdown[0].type, 'pass');
+});
+
+test('pass periods follow the calendar of the pass\'s time zone, whatever the server\'s', () => {
+    const iso = date => date.toISOString();
+    // 01:30 on 31 January in Kolkata is still 30 January in UTC
+    assert.equal(iso(periodEnd('monthly', new Date('2026-01-30T20:00:00Z'), 'Asia/Kolkata')), '2026-02-27T20:00:00.000Z');
+    assert.equal(iso(periodEnd('monthly', new Date('2026-01-31T23:30:00.250Z'), null)), '2026-02-28T23:30:00.250Z');
+    assert.equal(iso(periodEnd('monthly', new Date('2026-12-31T10:00:00Z'), null)), '2027-01-31T10:00:00.000Z');
+    assert.equal(iso(periodEnd('monthly', new Date('2026-03-15T09:00:00Z'), 'Asia/Kolkata')), '2026-04-15T09:00:00.000Z');
+    // Across the start of daylight saving time the local time is kept
+    assert.equal(iso(periodEnd('weekly', new Date('2026-03-05T17:00:00Z'), 'America/New_York')), '2026-03-12T16:00:00.000Z');
+});
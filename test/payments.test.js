@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { request, setUpParkingArea } = require('./helpers');
+const { getGateway } = require('../lib/payments');
+const { createMockGateway } = require('../lib/payments/mock');
+const { loadConfig } = require('../lib/config');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A completed booking with a pending online payment for it
+async function setUp() {
+    const ctx = await setUpParkingArea({ user: true });
+    const slot = ctx.slots.find(candidate => candidate.vehicle_type === 'car');
+    const booked = await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({
+            parking_id: ctx.parkingId,
+            slot_id: slot._id,
+            number_plate: 'KA01AB1234',
+            entry_time: new Date(Date.now() - HOUR_MS).toISOString(),
+        })
+        .expect(200);
+    await request(ctx.app)
+        .post('/api/owner/bookings/complete')
+        .set(ctx.asOwner)
+        .send({ parking_id: ctx.parkingId, slot_id: slot._id })
+        .expect(200);
+    const payment = await request(ctx.app)
+        .post('/api/payments')
+        .set(ctx.asUser)
+        .send({ booking_id: booked.body.booking_id })
+        .expect(201);
+    const stored = await ctx.db.collection('payments').findOne({});
+    return { ...ctx, paymentId: payment.body.payment_id, providerRef: stored.provider_ref };
+}
+
+// Sign an arbitrary body the way the mock gateway does in development
+function sign(body) {
+    return crypto.createHmac('sha256', 'mock-payment-secret').update(body).digest('hex');
+}
+
+function sendWebhook(app, body, headers) {
+    return request(app)
+        .post('/api/payments/webhooks/mock')
+        .set('Content-Type', 'application/json')
+        .set(headers)
+        .send(body);
+}
+
+test('webhooks are applied only with a valid signature over the exact body', async () => {
+    const ctx = await setUp();
+    const gateway = getGateway('mock');
+    const { body, headers } = gateway.buildWebhook(ctx.providerRef, 'captured');
+
+    const forged = createMockGateway({ secret: 'someone-elses-secret' }).buildWebhook(ctx.providerRef, 'captured');
+    const wrongKey = await sendWebhook(ctx.app, forged.body, forged.headers).expect(401);
+    assert.equal(wrongKey.body.code, 'INVALID_SIGNATURE');
+    await sendWebhook(ctx.app, body.replace('captured', 'failed'), headers).expect(401);
+    await sendWebhook(ctx.app, body, {}).expect(401);
+
+    // Genuine but unreadable events are a bad request, not a server error
+    const garbled = '{"provider_ref": ';
+    assert.throws(
+        () => gateway.verifyWebhook(Buffer.from(garbled), { 'x-mock-signature': sign(garbled) }),
+        error => error.status === 400 && error.code === 'INVALID_WEBHOOK_BODY'
+    );
+    for (const unreadable of ['[]', JSON.stringify({ status: 'captured' })]) {
+        const rejected = await sendWebhook(ctx.app, unreadable, { 'x-mock-signature': sign(unreadable) }).expect(400);
+        assert.equal(rejected.body.code, 'INVALID_WEBHOOK_BODY');
+    }
+
+    const applied = await sendWebhook(ctx.app, body, headers).expect(200);
+    assert.equal(applied.body.status, 'captured');
+    const replayed = await sendWebhook(ctx.app, body, headers).expect(200);
+    assert.equal(replayed.body.message, 'Already processed');
+    const payment = await request(ctx.app).get(`/api/payments/${ctx.paymentId}`).set(ctx.asUser).expect(200);
+    assert.deepEqual(payment.body.history.map(entry => entry.source), ['user', 'webhook:mock']);
+
+    await request(ctx.app).post('/api/payments/webhooks/paypal').send('{}').expect(404);
+});
+
+test('the mock gateway and its simulate route are refused in production', async t => {
+    const ctx = await setUp();
+    const env = process.env.NODE_ENV;
+    t.after(() => {
+        process.env.NODE_ENV = env;
+    });
+    process.env.NODE_ENV = 'production';
+
+    const simulated = await request(ctx.app)
+        .post(`/api/payments/${ctx.paymentId}/simulate`)
+        .set(ctx.asUser)
+        .send({ status: 'captured' })
+        .expect(404);
+    assert.equal(simulated.body.code, 'PAYMENT_NOT_FOUND');
+    await request(ctx.app).post('/api/payments/webhooks/mock').send('{}').expect(404);
+    assert.equal((await ctx.db.collection('payments').findOne({})).status, 'pending');
+
+    assert.throws(() => createMockGateway({ env: 'production' }), /MOCK_PAYMENT_SECRET/);
+    assert.throws(() => createMockGateway({ secret: 'mock-payment-secret', env: 'production' }), /MOCK_PAYMENT_SECRET/);
+
+    const production = { MONGODB_URI: 'mongodb://db', NODE_ENV: 'production', JWT_SECRET: 'a-long-enough-secret' };
+    assert.throws(() => loadConfig(production), /PAYMENT_GATEWAY/);
+    assert.throws(() => loadConfig({ ...production, PAYMENT_GATEWAY: 'mock' }), /test gateway/);
+    assert.throws(() => loadConfig({ ...production, PAYMENT_GATEWAY: 'paypal' }), /known payment gateway/);
+    assert.equal(loadConfig({ MONGODB_URI: 'mongodb://db' }).env, 'development');
+});
+
+test('cash is taken only once the fee is final and must cover it', async () => {
+    const ctx = await setUp();
+    const [car, bike] = ['car', 'bike'].map(type => ctx.slots.find(slot => slot.vehicle_type === type && !slot.is_booked));
+    const book = (slot, number_plate) => request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({ parking_id: ctx.parkingId, slot_id: slot._id, number_plate, entry_time: new Date(Date.now() - HOUR_MS / 2).toISOString() })
+        .expect(200);
+    const complete = slot => request(ctx.app)
+        .post('/api/owner/bookings/complete')
+        .set(ctx.asOwner)
+        .send({ parking_id: ctx.parkingId, slot_id: slot._id })
+        .expect(200);
+    const cash = (bookingId, body) => request(ctx.app)
+        .post(`/api/owner/bookings/${bookingId}/payments/cash`)
+        .set(ctx.asOwner)
+        .send(body);
+
+    const parked = (await book(car, 'KA01AB1234')).body.booking_id;
+    assert.equal((await cash(parked, { amount: 5 }).expect(409)).body.code, 'FEE_NOT_FINAL');
+    await complete(car);
+    const short = await cash(parked, { amount: 5 }).expect(422);
+    assert.equal(short.body.code, 'AMOUNT_MISMATCH');
+    assert.equal(short.body.details.amount_due, 20);
+    const paid = await cash(parked, {}).expect(201);
+    const payment = await ctx.db.collection('payments').findOne({ _id: new ObjectId(paid.body.payment_id) });
+    assert.deepEqual([payment.amount, payment.currency, payment.status], [20, 'INR', 'captured']);
+    const online = await request(ctx.app).post('/api/payments').set(ctx.asUser).send({ booking_id: parked }).expect(409);
+    assert.equal(online.body.code, 'BOOKING_ALREADY_PAID');
+
+    // Bikes have no tariff here, so the amount collected must be given
+    const untariffed = (await book(bike, 'KA02CD5678')).body.booking_id;
+    await complete(bike);
+    assert.equal((await cash(untariffed, {}).expect(422)).body.code, 'AMOUNT_REQUIRED');
+    const collected = await cash(untariffed, { amount: 30 }).expect(201);
+    const recorded = await ctx.db.collection('payments').findOne({ _id: new ObjectId(collected.body.payment_id) });
+    assert.deepEqual([recorded.amount, recorded.currency], [30, 'INR']);
+});
+
+test('refunds through a provider that is not available are refused before anything changes', async () => {
+    const ctx = await setUp();
+    await request(ctx.app).post(`/api/payments/${ctx.paymentId}/simulate`).set(ctx.asUser).send({ status: 'captured' }).expect(200);
+    await ctx.db.collection('payments').updateOne({}, { $set: { provider: 'paypal' } });
+
+    const refused = await request(ctx.app).post(`/api/owner/payments/${ctx.paymentId}/refund`).set(ctx.asOwner).expect(503);
+    assert.equal(refused.body.code, 'PAYMENTS_UNAVAILABLE');
+    assert.equal((await ctx.db.collection('payments').findOne({})).status, 'captured');
+
+    await ctx.db.collection('payments').updateOne({}, { $set: { provider: 'mock' } });
+    const refunded = await request(ctx.app).post(`/api/owner/payments/${ctx.paymentId}/refund`).set(ctx.asOwner).expect(200);
+    assert.equal(refunded.body.status, 'refunded');
+});
+
+test('concurrent requests to pay for a booking open one payment', async () => {
+    const ctx = await setUp();
+    await request(ctx.app).post(`/api/payments/${ctx.paymentId}/simulate`).set(ctx.asUser).send({ status: 'failed' }).expect(200);
+    const { booking_id: bookingId } = await ctx.db.collection('payments').findOne({});
+    const gateway = getGateway('mock');
+    const createPayment = gateway.createPayment;
+    let orders = 0;
+    gateway.createPayment = (...args) => {
+        orders += 1;
+        return createPayment.apply(gateway, args);
+    };
+    // Hold both requests after their check for a pending payment until
+    // each has made it
+    const payments = ctx.db.collection('payments');
+    const findOne = payments.findOne;
+    let arrive;
+    const bothChecked = new Promise(resolve => {
+        let waiting = 2;
+        arrive = () => --waiting === 0 && resolve();
+    });
+    payments.findOne = async (...args) => {
+        const found = await findOne.apply(payments, args);
+        if (args[0].status === 'pending' && arrive) {
+            arrive();
+            await bothChecked;
+        }
+        return found;
+    };
+    try {
+        const pay = () => request(ctx.app).post('/api/payments').set(ctx.asUser).send({ booking_id: bookingId.toString() });
+        const responses = await Promise.all([pay(), pay()]);
+        assert.deepEqual(responses.map(res => res.status).sort(), [200, 201]);
+        assert.equal(responses[0].body.payment_id, responses[1].body.payment_id);
+    } finally {
+        gateway.createPayment = createPayment;
+        payments.findOne = findOne;
+    }
+    assert.equal(orders, 1);
+    assert.equal(await ctx.db.collection('payments').countDocuments({ status: 'pending' }), 1);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { request, setUpParkingArea } = require('./helpers');
+
+async function setUp() {
+    const ctx = await setUpParkingArea({ user: true, slots: { cars: 3, bikes: 1 } });
+    const update = body => request(ctx.app)
+        .post('/api/owner/parking_areas')
+        .set(ctx.asOwner)
+        .send({ id: ctx.parkingId, ...body });
+    return { ...ctx, update };
+}
+
+async function carSlotNumbers(ctx) {
+    const slots = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}/slots`).query({ vehicle_type: 'car' }).expect(200);
+    return slots.body.map(slot => slot.slot_number).sort((a, b) => a - b);
+}
+
+test('slot totals change only after a confirmed dry run and occupied slots are kept', async () => {
+    const ctx = await setUp();
+    const third = ctx.slots.find(slot => slot.vehicle_type === 'car' && slot.slot_number === 3);
+    await request(ctx.app)
+        .post('/api/bookings')
+        .set('Authorization', `Bearer ${ctx.userToken}`)
+        .send({ parking_id: ctx.parkingId, slot_id: third._id, number_plate: 'KA01AB1234' })
+        .expect(200);
+
+    const grow = await ctx.update({ total_car_slots: 5 }).expect(200);
+    assert.equal(grow.body.dry_run, true);
+    assert.deepEqual(grow.body.changes, { car: { current: 3, target: 5, add: [4, 5], remove: [], occupied: [] } });
+    assert.deepEqual(await carSlotNumbers(ctx), [1, 2, 3]);
+    await ctx.update({ total_car_slots: 5, confirm: true }).expect(422);
+    const grown = await ctx.update({ total_car_slots: 5, confirm: true, plan_id: grow.body.plan_id }).expect(200);
+    assert.equal(grown.body.dry_run, false);
+    assert.deepEqual(await carSlotNumbers(ctx), [1, 2, 3, 4, 5]);
+    assert.equal(grown.body.counters.total_car_slots, 5);
+    assert.equal(grown.body.counters.available_car_slots, 4);
+
+    // Free slots are removed from the top, skipping the booked one
+    const shrink = await ctx.update({ total_car_slots: 2 }).expect(200);
+    assert.deepEqual(shrink.body.changes.car.remove, [2, 4, 5]);
+    await ctx.update({ total_car_slots: 2, confirm: true, plan_id: shrink.body.plan_id }).expect(200);
+    assert.deepEqual(await carSlotNumbers(ctx), [1, 3]);
+
+    const blocked = await ctx.update({ total_car_slots: 0 }).expect(409);
+    assert.equal(blocked.body.code, 'SLOTS_IN_USE');
+    assert.deepEqual(blocked.body.details.changes.car.occupied, [3]);
+    assert.deepEqual(await carSlotNumbers(ctx), [1, 3]);
+
+    // Other fields need no confirmation
+    const renamed = await ctx.update({ parking_area_name: 'North Lot', total_car_slots: 2 }).expect(200);
+    assert.equal(renamed.body.dry_run, false);
+    const area = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.equal(area.body.name, 'North Lot');
+    assert.equal(area.body.total_car_slots, 2);
+    assert.equal(area.body.booked_car_slots, 1);
+});
+
+test('a confirmation applies only the plan reviewed, together with the other fields', async () => {
+    const ctx = await setUp();
+    const shrink = await ctx.update({ total_car_slots: 1 }).expect(200);
+    assert.deepEqual(shrink.body.changes.car.remove, [2, 3]);
+
+    // Slot 3 is booked after the dry run, so the plan would now remove 1 and 2
+    const third = ctx.slots.find(slot => slot.vehicle_type === 'car' && slot.slot_number === 3);
+    await request(ctx.app)
+        .post('/api/bookings')
+        .set('Authorization', `Bearer ${ctx.userToken}`)
+        .send({ parking_id: ctx.parkingId, slot_id: third._id, number_plate: 'KA01AB1234' })
+        .expect(200);
+    const stale = await ctx.update({ parking_area_name: 'North Lot', total_car_slots: 1, confirm: true, plan_id: shrink.body.plan_id }).expect(409);
+    assert.equal(stale.body.code, 'PLAN_CHANGED');
+    assert.deepEqual(stale.body.details.changes.car.remove, [1, 2]);
+    assert.notEqual(stale.body.details.plan_id, shrink.body.plan_id);
+
+    // A slot taken between the check and the change rolls back the area's fields too
+    const bookings = ctx.db.collection('bookings');
+    const countDocuments = bookings.countDocuments;
+    bookings.countDocuments = async () => 1;
+    try {
+        const raced = await ctx.update({
+            parking_area_name: 'North Lot',
+            total_car_slots: 1,
+            confirm: true,
+            plan_id: stale.body.details.plan_id,
+        }).expect(409);
+        assert.equal(raced.body.code, 'SLOTS_CHANGED');
+    } finally {
+        bookings.countDocuments = countDocuments;
+    }
+    const area = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.equal(area.body.name, 'Central Lot');
+    assert.deepEqual(await carSlotNumbers(ctx), [1, 2, 3]);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { request, setUpParkingArea, onMongo, withMongoStore } = require('./helpers');
+
+const TIMEZONE = 'Asia/Kolkata';
+// Monday 12 and Tuesday 13 October 2026, Kolkata time (UTC+05:30)
+const at = time => new Date(`2026-10-${time}+05:30`);
+
+async function setUp({ store } = {}) {
+    const ctx = await setUpParkingArea({ store });
+    const parkingId = new ObjectId(ctx.parkingId);
+    const { db } = ctx;
+
+    await db.collection('bookings').insertMany([
+        { parking_id: parkingId, vehicle_type: 'car', status: 'completed', entry_time: at('12T10:15'), exit_time: at('12T10:45'), amount: 20 },
+        { parking_id: parkingId, vehicle_type: 'car', status: 'completed', entry_time: at('12T22:00'), exit_time: at('13T01:00'), amount: 60 },
+        { parking_id: parkingId, vehicle_type: 'car', status: 'cancelled', cancelled_at: at('12T09:00'), amount: 25 },
+        { parking_id: parkingId, vehicle_type: 'bike', status: 'cancelled', cancelled_at: at('12T09:30'), amount: null },
+        { parking_id: new ObjectId(), vehicle_type: 'car', status: 'completed', entry_time: at('12T10:00'), exit_time: at('12T11:00'), amount: 99 },
+    ]);
+    await db.collection('passes').insertMany([
+        { parking_id: parkingId, price: 1500, createdAt: at('13T07:50'), paid_at: at('13T08:00'), renewals: [] },
+        // Bought before the range, renewed inside it
+        { parking_id: parkingId, price: 1400, createdAt: at('01T08:00'), paid_at: at('01T08:00'), renewals: [{ at: at('12T18:00'), price: 1500 }] },
+        // Never paid for
+        { parking_id: parkingId, price: 1500, createdAt: at('12T12:00'), paid_at: null, renewals: [] },
+    ]);
+    await db.collection('payments').insertOne({
+        parking_id: parkingId,
+        amount: 20,
+        status: 'refunded',
+        history: [
+            { status: 'pending', at: at('12T10:50') },
+            { status: 'captured', at: at('12T10:51') },
+            { status: 'refunded', at: at('13T12:00') },
+        ],
+    });
+
+    const report = (name, query) => request(ctx.app)
+        .get(`/api/owner/parking_areas/${ctx.parkingId}/reports/${name}`)
+        .set(ctx.asOwner)
+        .query({ timezone: TIMEZONE, ...query });
+    return { ...ctx, report };
+}
+
+async function checkRevenue(ctx) {
+    const revenue = await ctx.report('revenue', { from: at('12T00:00').toISOString(), to: at('14T00:00').toISOString() }).expect(200);
+    assert.deepEqual(revenue.body.rows, [
+        {
+            period: at('12T00:00').toISOString(),
+            revenue: 1545,
+            parking_fees: 20,
+            cancellation_fees: 25,
+            pass_sales: 1500,
+            refunds: 0,
+            sessions: 1,
+        },
+        {
+            period: at('13T00:00').toISOString(),
+            revenue: 1540,
+            parking_fees: 60,
+            cancellation_fees: 0,
+            pass_sales: 1500,
+            refunds: 20,
+            sessions: 1,
+        },
+    ]);
+
+    const csv = await ctx.report('revenue', { from: at('12T00:00').toISOString(), to: at('13T00:00').toISOString(), format: 'csv' }).expect(200);
+    assert.equal(csv.text, [
+        'period,revenue,parking_fees,cancellation_fees,pass_sales,refunds,sessions',
+        `${at('12T00:00').toISOString()},1545,20,25,1500,0,1`,
+        '',
+    ].join('\r\n'));
+}
+
+test('revenue adds cancellation fees and pass sales and takes off refunds, per local day', async () => {
+    await checkRevenue(await setUp());
+});
+
+// The reports are aggregation pipelines, which the in-memory store only
+// approximates
+test('revenue is reported the same on MongoDB', onMongo, async () => {
+    await withMongoStore(async store => checkRevenue(await setUp({ store })));
+});
+
+test('occupancy is bucketed by local clock hours in half-hour offset zones', async () => {
+    const ctx = await setUp();
+    const occupancy = await ctx.report('occupancy', { from: at('12T00:00').toISOString(), to: at('13T00:00').toISOString() }).expect(200);
+    assert.equal(occupancy.body.rows.length, 24);
+    const hour = number => occupancy.body.rows.find(row => row.hour === number);
+    assert.equal(hour(9).vehicle_hours, 0);
+    assert.deepEqual(hour(10), {
+        day_of_week: 'Monday',
+        hour: 10,
+        vehicle_hours: 1,
+        avg_occupied_slots: 1,
+        occupancy_pct: 33.3,
+    });
+    assert.equal(hour(11).vehicle_hours, 0);
+    assert.deepEqual([22, 23].map(number => hour(number).vehicle_hours), [1, 1]);
+
+    const sessions = await ctx.report('sessions', { from: at('12T00:00').toISOString(), to: at('14T00:00').toISOString() }).expect(200);
+    assert.deepEqual(sessions.body.rows, [
+        { period: at('12T00:00').toISOString(), sessions: 2, completed: 2, avg_duration_minutes: 105 },
+    ]);
+});
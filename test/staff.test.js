@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OWNER_PHONE, request, createTestApp, signUpOwner, createParkingArea } = require('./helpers');
+
+const STAFF_PHONE = '9123456781';
+
+test('staff act in a parking area only with the permissions of their role', async () => {
+    const harness = await createTestApp();
+    const { app } = harness;
+    const ownerToken = await signUpOwner(harness, OWNER_PHONE);
+    const asOwner = { Authorization: `Bearer ${ownerToken}` };
+    const asStaff = { Authorization: `Bearer ${await signUpOwner(harness, STAFF_PHONE)}` };
+    const { parkingId, slots } = await createParkingArea(harness, ownerToken);
+    const staffPath = `/api/owner/parking_areas/${parkingId}/staff`;
+    const setTariff = () => request(app)
+        .put(`/api/owner/parking_areas/${parkingId}/tariffs/bike`)
+        .set(asStaff)
+        .send({ hourly_rate: 10 });
+    const checkIn = slot => request(app)
+        .post('/api/owner/bookings')
+        .set(asStaff)
+        .send({ parking_id: parkingId, slot_id: slot._id, number_plate: 'KA01AB1234' });
+
+    const self = await request(app).post(staffPath).set(asOwner).send({ phone: OWNER_PHONE, role: 'manager' }).expect(422);
+    assert.equal(self.body.code, 'CANNOT_INVITE_SELF');
+    const invited = await request(app).post(staffPath).set(asOwner).send({ phone: STAFF_PHONE, role: 'attendant' }).expect(201);
+    await request(app).post(staffPath).set(asOwner).send({ phone: STAFF_PHONE, role: 'manager' }).expect(409);
+    const staffId = invited.body.staff._id;
+
+    // Invitations grant nothing until accepted
+    assert.equal((await checkIn(slots[0]).expect(404)).body.code, 'PARKING_AREA_NOT_FOUND');
+    const invitations = await request(app).get('/api/owner/invitations').set(asStaff).expect(200);
+    assert.deepEqual(invitations.body.map(invitation => invitation._id), [staffId]);
+    await request(app).post(`/api/owner/invitations/${staffId}/accept`).set(asStaff).expect(200);
+    await request(app).post(`/api/owner/invitations/${staffId}/accept`).set(asStaff).expect(404);
+
+    const areas = await request(app).get('/api/owner/parking_areas').set(asStaff).expect(200);
+    assert.deepEqual(areas.body.map(area => [area._id, area.role]), [[parkingId, 'attendant']]);
+    await checkIn(slots[0]).expect(200);
+    const forbidden = await setTariff().expect(403);
+    assert.equal(forbidden.body.code, 'FORBIDDEN');
+    assert.match(forbidden.body.message, /attendant/);
+
+    await request(app).patch(`${staffPath}/${staffId}`).set(asOwner).send({ role: 'manager' }).expect(200);
+    await setTariff().expect(200);
+    // The audit log names the staff member and their role, not the owner
+    const audit = await request(app)
+        .get(`/api/owner/parking_areas/${parkingId}/audit`)
+        .set(asOwner)
+        .query({ actor_phone: STAFF_PHONE })
+        .expect(200);
+    assert.deepEqual(
+        audit.body.results.filter(entry => entry.entity === 'parking_area').map(entry => [entry.action, entry.actor.type]),
+        [['area.tariff', 'manager'], ['booking.create', 'attendant']]
+    );
+    await request(app).get(staffPath).set(asStaff).expect(403);
+    await request(app).patch(`${staffPath}/${staffId}`).set(asOwner).send({ role: 'owner' }).expect(422);
+
+    await request(app).delete(`${staffPath}/${staffId}`).set(asOwner).expect(200);
+    await setTariff().expect(404);
+    const remaining = await request(app).get(staffPath).set(asOwner).expect(200);
+    assert.deepEqual(remaining.body, []);
+});
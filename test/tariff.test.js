@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { request, setUpParkingArea } = require('./helpers');
+const { normalizeTariff, computeFee } = require('../lib/tariff');
+
+const MINUTE_MS = 60 * 1000;
+
+function tariff(fields) {
+    const { tariff: normalized, error } = normalizeTariff({ hourly_rate: 20, timezone: 'Asia/Kolkata', ...fields });
+    assert.equal(error, undefined);
+    return normalized;
+}
+
+function fee(rules, entry, minutes) {
+    const entryTime = new Date(entry);
+    return computeFee(tariff(rules), entryTime, new Date(entryTime.getTime() + minutes * MINUTE_MS));
+}
+
+// Monday 19 October 2026 in Kolkata
+const MONDAY_NOON = '2026-10-19T12:00:00+05:30';
+
+test('short stays are free and every started hour is billed', () => {
+    const free = fee({ free_minutes: 10 }, MONDAY_NOON, 10);
+    assert.equal(free.amount, 0);
+    assert.deepEqual(free.breakdown, [{ type: 'free', minutes: 10, amount: 0 }]);
+
+    const stay = fee({ free_minutes: 10, first_hour_rate: 30 }, MONDAY_NOON, 150);
+    assert.equal(stay.amount, 70);
+    assert.equal(stay.duration_minutes, 150);
+    assert.deepEqual(stay.breakdown, [
+        { type: 'first_hour', rate: 30, hours: 1, amount: 30 },
+        { type: 'standard', rate: 20, hours: 2, amount: 40 },
+    ]);
+});
+
+test('night and weekend rates apply by the local time each hour starts', () => {
+    const night = { start: '22:00', end: '06:00', hourly_rate: 10 };
+    // 21:30 to 00:30: one standard hour, then two at night
+    const lateStay = fee({ night }, '2026-10-19T21:30:00+05:30', 180);
+    assert.deepEqual(lateStay.breakdown.map(line => [line.type, line.hours]), [['standard', 1], ['night', 2]]);
+    assert.equal(lateStay.amount, 40);
+
+    // Saturday 17 October 2026: weekend rate by day, night rate still wins
+    const saturday = fee({ night, weekend_hourly_rate: 25 }, '2026-10-17T21:00:00+05:30', 120);
+    assert.deepEqual(saturday.breakdown.map(line => [line.type, line.hours]), [['weekend', 1], ['night', 1]]);
+    assert.equal(saturday.amount, 35);
+});
+
+test('the daily cap limits each 24 hours from entry', () => {
+    const long = fee({ daily_cap: 200 }, MONDAY_NOON, 30 * 60);
+    assert.equal(long.amount, 320);
+    assert.deepEqual(long.breakdown.filter(line => line.type === 'daily_cap'), [
+        { type: 'daily_cap', day: 1, cap: 200, amount: -280 },
+    ]);
+});
+
+test('invalid tariffs are rejected with the first problem', () => {
+    assert.match(normalizeTariff({ hourly_rate: -1 }).error, /hourly_rate/);
+    assert.match(normalizeTariff({ hourly_rate: 20, free_minutes: 1.5 }).error, /free_minutes/);
+    assert.match(normalizeTariff({ hourly_rate: 20, night: { start: '25:00', end: '06:00', hourly_rate: 10 } }).error, /night/);
+    assert.match(normalizeTariff({ hourly_rate: 20, timezone: 'Mars/Olympus' }).error, /timezone/);
+    assert.deepEqual(tariff({}), {
+        currency: 'INR',
+        free_minutes: 0,
+        first_hour_rate: null,
+        hourly_rate: 20,
+        weekend_hourly_rate: null,
+        night: null,
+        daily_cap: null,
+        timezone: 'Asia/Kolkata',
+    });
+});
+
+test('owners set tariffs with known fields only', async () => {
+    const harness = await setUpParkingArea();
+    const { parkingId } = harness;
+    const setTariff = body => request(harness.app)
+        .put(`/api/owner/parking_areas/${parkingId}/tariffs/bike`)
+        .set(harness.asOwner)
+        .send(body);
+
+    const typo = await setTariff({ hourly_rate: 10, daily_cap: 100, free_minute: 15 }).expect(422);
+    assert.equal(typo.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(typo.body.details.map(detail => detail.field), ['free_minute']);
+    const night = await setTariff({ hourly_rate: 10, night: { start: '22:00', hourly_rate: 5, rate: 5 } }).expect(422);
+    assert.deepEqual(night.body.details.map(detail => detail.field), ['night.end', 'night.rate']);
+    await setTariff({ hourly_rate: 10, timezone: 'Mars/Olympus' }).expect(422);
+
+    const saved = await setTariff({ currency: 'inr', hourly_rate: 10, night: { start: '22:00', end: '06:00', hourly_rate: 5 } }).expect(200);
+    assert.deepEqual(saved.body.tariff, {
+        currency: 'INR',
+        free_minutes: 0,
+        first_hour_rate: null,
+        hourly_rate: 10,
+        weekend_hourly_rate: null,
+        night: { start: '22:00', end: '06:00', hourly_rate: 5 },
+        daily_cap: null,
+        timezone: null,
+    });
+});
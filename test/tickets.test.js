@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { request, signUpOwner, setUpParkingArea } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function setUp() {
+    const ctx = await setUpParkingArea({ user: true, slots: { cars: 2, bikes: 0 } });
+    const scan = (action, token, headers = ctx.asOwner) => request(ctx.app)
+        .post(`/api/owner/tickets/${action}`)
+        .set(headers)
+        .send({ token });
+    return { ...ctx, scan };
+}
+
+function book(ctx, slot, times = {}) {
+    return request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({ parking_id: ctx.parkingId, slot_id: slot._id, number_plate: 'KA01AB1234', ...times })
+        .expect(200);
+}
+
+test('bookings come with a signed ticket that checks the vehicle out once', async () => {
+    const ctx = await setUp();
+    const booked = await book(ctx, ctx.slots[0]);
+    const { ticket } = booked.body;
+    assert.ok(ticket.token);
+    assert.match(ticket.qr_code, /^data:image\/png;base64,/);
+
+    const path = `/api/bookings/${booked.body.booking_id}/ticket`;
+    const shown = await request(ctx.app).get(path).set(ctx.asUser).expect(200);
+    assert.equal(shown.body.token, ticket.token);
+    const svg = await request(ctx.app).get(path).set(ctx.asUser).query({ format: 'svg' }).expect('Content-Type', /image\/svg\+xml/).expect(200);
+    assert.match(svg.body.toString(), /<svg/);
+    const png = await request(ctx.app).get(path).set(ctx.asUser).query({ format: 'png' }).expect('Content-Type', /image\/png/).expect(200);
+    assert.equal(png.body.subarray(1, 4).toString(), 'PNG');
+
+    const verified = await ctx.scan('verify', ticket.token).expect(200);
+    assert.equal(verified.body.booking.booking_id, booked.body.booking_id);
+    assert.equal(verified.body.booking.status, 'active');
+    assert.equal(verified.body.slot.slot_number, 1);
+    assert.equal(verified.body.fee_due.amount, 20);
+
+    const [header, payload, signature] = ticket.token.split('.');
+    const forged = [header, payload, signature.slice(0, -2) + (signature.endsWith('AA') ? 'BB' : 'AA')].join('.');
+    assert.equal((await ctx.scan('verify', forged).expect(422)).body.code, 'INVALID_TICKET');
+    const accessToken = ctx.asUser.Authorization.split(' ')[1];
+    assert.equal((await ctx.scan('verify', accessToken).expect(422)).body.code, 'INVALID_TICKET');
+
+    const otherOwner = await signUpOwner(ctx, '9123456781');
+    await ctx.scan('verify', ticket.token, { Authorization: `Bearer ${otherOwner}` }).expect(404);
+
+    const checkedOut = await ctx.scan('checkout', ticket.token).expect(200);
+    assert.equal(checkedOut.body.amount, 20);
+    assert.equal((await ctx.scan('verify', ticket.token).expect(409)).body.code, 'TICKET_USED');
+    assert.equal((await ctx.scan('checkout', ticket.token).expect(409)).body.code, 'TICKET_USED');
+    assert.equal((await request(ctx.app).get(path).set(ctx.asUser).expect(409)).body.code, 'TICKET_UNAVAILABLE');
+});
+
+test('tickets are rejected once replaced, revoked, cancelled or expired', async () => {
+    const ctx = await setUp();
+    const start = Date.now() + 2 * HOUR_MS;
+    const reserved = await book(ctx, ctx.slots[1], {
+        start_time: new Date(start).toISOString(),
+        end_time: new Date(start + HOUR_MS).toISOString(),
+    });
+    const bookingId = reserved.body.booking_id;
+    const original = reserved.body.ticket.token;
+
+    const reissued = await request(ctx.app).post(`/api/bookings/${bookingId}/ticket`).set(ctx.asUser).expect(201);
+    assert.notEqual(reissued.body.token, original);
+    assert.equal((await ctx.scan('verify', original).expect(409)).body.code, 'TICKET_REVOKED');
+    const verified = await ctx.scan('verify', reissued.body.token).expect(200);
+    assert.equal(verified.body.booking.status, 'reserved');
+    assert.equal(verified.body.fee_due, null);
+    const early = await ctx.scan('checkout', reissued.body.token).expect(409);
+    assert.equal(early.body.code, 'BOOKING_NOT_ACTIVE');
+
+    await request(ctx.app).post(`/api/owner/bookings/${bookingId}/ticket/revoke`).set(ctx.asOwner).expect(200);
+    assert.equal((await ctx.scan('verify', reissued.body.token).expect(409)).body.code, 'TICKET_REVOKED');
+
+    const current = await request(ctx.app).get(`/api/bookings/${bookingId}/ticket`).set(ctx.asUser).expect(200);
+    await ctx.db.collection('tickets').updateMany({}, { $set: { expires_at: new Date(Date.now() - 1000) } });
+    assert.equal((await ctx.scan('verify', current.body.token).expect(409)).body.code, 'TICKET_EXPIRED');
+
+    // Showing an expired ticket again does not issue another one
+    const tickets = await ctx.db.collection('tickets').countDocuments({});
+    const again = await request(ctx.app).get(`/api/bookings/${bookingId}/ticket`).set(ctx.asUser).expect(200);
+    assert.equal(again.body.token, current.body.token);
+    assert.equal(await ctx.db.collection('tickets').countDocuments({}), tickets);
+    await request(ctx.app).post(`/api/bookings/${bookingId}/cancel`).set(ctx.asUser).send({}).expect(200);
+    assert.equal((await ctx.scan('verify', again.body.token).expect(409)).body.code, 'TICKET_REVOKED');
+});
+
+test('the ticket of a vehicle that is in stays valid however long it parks', async () => {
+    const ctx = await setUp();
+    const start = new Date(Date.now() + 10 * 60 * 1000);
+    const end = new Date(start.getTime() + HOUR_MS);
+    const reserved = await book(ctx, ctx.slots[0], { start_time: start.toISOString(), end_time: end.toISOString() });
+    const bookingId = reserved.body.booking_id;
+    const { ticket } = reserved.body;
+    assert.equal(new Date(ticket.expires_at).getTime(), end.getTime() + 48 * HOUR_MS);
+
+    await request(ctx.app)
+        .post(`/api/owner/bookings/${bookingId}/check-in`)
+        .set(ctx.asOwner)
+        .send({ parking_id: ctx.parkingId })
+        .expect(200);
+    const shown = await request(ctx.app).get(`/api/bookings/${bookingId}/ticket`).set(ctx.asUser).expect(200);
+    assert.equal(shown.body.token, ticket.token);
+    assert.equal(shown.body.expires_at, null);
+
+    // Even a ticket still carrying its reservation expiry lets the vehicle out
+    await ctx.db.collection('tickets').updateMany({}, { $set: { expires_at: new Date(Date.now() - HOUR_MS) } });
+    await ctx.scan('verify', ticket.token).expect(200);
+    const checkedOut = await ctx.scan('checkout', ticket.token).expect(200);
+    assert.equal(checkedOut.body.booking_id, bookingId);
+
+    const walkIn = await book(ctx, ctx.slots[1]);
+    assert.equal(walkIn.body.ticket.expires_at, null);
+});
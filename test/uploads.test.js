@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { request, setUpParkingArea } = require('./helpers');
+const { ORPHAN_UPLOAD_AGE_MS } = require('../lib/uploads');
+
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+
+async function setUp() {
+    const ctx = await setUpParkingArea();
+    return { ...ctx, files: ctx.context.fileStorage.files };
+}
+
+test('parking area photos are saved to the file store and removed with the photo', async () => {
+    const ctx = await setUp();
+    const photosPath = `/api/owner/parking_areas/${ctx.parkingId}/photos`;
+    const uploaded = await request(ctx.app)
+        .post(photosPath)
+        .set(ctx.asOwner)
+        .attach('photos', PNG, { filename: 'front.png', contentType: 'image/png' })
+        .attach('photos', PNG, { filename: 'gate.png', contentType: 'image/png' })
+        .expect(201);
+    assert.equal(uploaded.body.photos.length, 2);
+    assert.deepEqual([...ctx.files.keys()], uploaded.body.photos.map(photo => photo.key));
+    assert.equal(uploaded.body.photos[0].url, `/uploads/${uploaded.body.photos[0].key}`);
+
+    const rejected = await request(ctx.app)
+        .post(photosPath)
+        .set(ctx.asOwner)
+        .attach('photos', Buffer.from('#!/bin/sh'), { filename: 'photo.sh', contentType: 'text/plain' })
+        .expect(400);
+    assert.equal(rejected.body.code, 'INVALID_UPLOAD');
+    const missing = await request(ctx.app).post(photosPath).set(ctx.asOwner).expect(422);
+    assert.equal(missing.body.code, 'PHOTO_REQUIRED');
+    assert.equal(ctx.files.size, 2);
+
+    const [front] = uploaded.body.photos;
+    await request(ctx.app).delete(`${photosPath}/${front._id}`).set(ctx.asOwner).expect(200);
+    assert.equal(ctx.files.has(front.key), false);
+    const area = await ctx.db.collection('parking_areas').findOne({});
+    assert.deepEqual(area.photos.map(photo => photo.key), [uploaded.body.photos[1].key]);
+    await request(ctx.app).delete(`${photosPath}/${front._id}`).set(ctx.asOwner).expect(404);
+});
+
+test('replacing a booking snapshot deletes the old file and orphans are swept', async () => {
+    const ctx = await setUp();
+    const booked = await request(ctx.app)
+        .post('/api/owner/bookings')
+        .set(ctx.asOwner)
+        .field('parking_id', ctx.parkingId)
+        .field('slot_id', ctx.slots[0]._id)
+        .field('number_plate', 'KA01AB1234')
+        .attach('entry_image', PNG, { filename: 'entry.png', contentType: 'image/png' })
+        .expect(200);
+    const bookingId = booked.body.booking_id;
+    const stored = await ctx.db.collection('bookings').findOne({});
+    const first = stored.snapshots.entry.key;
+    assert.ok(ctx.files.has(first));
+
+    const replaced = await request(ctx.app)
+        .post(`/api/owner/bookings/${bookingId}/snapshots/entry`)
+        .set(ctx.asOwner)
+        .attach('image', PNG, { filename: 'entry-2.png', contentType: 'image/png' })
+        .expect(201);
+    assert.equal(ctx.files.has(first), false);
+    assert.ok(ctx.files.has(replaced.body.snapshot.key));
+    await request(ctx.app).post(`/api/owner/bookings/${bookingId}/snapshots/entry`).set(ctx.asOwner).expect(422);
+
+    // Only old files nothing refers to are removed
+    const orphan = (await ctx.context.fileStorage.save({ buffer: PNG, originalname: 'stray.png' })).key;
+    const recent = (await ctx.context.fileStorage.save({ buffer: PNG, originalname: 'in-flight.png' })).key;
+    const longAgo = new Date(Date.now() - ORPHAN_UPLOAD_AGE_MS - 1000);
+    for (const key of [orphan, replaced.body.snapshot.key]) ctx.files.get(key).modifiedAt = longAgo;
+
+    assert.equal(await ctx.context.uploads.sweepOrphanedUploads(), 1);
+    assert.deepEqual([...ctx.files.keys()].sort(), [replaced.body.snapshot.key, recent].sort());
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { USER_PHONE, request, setUpAccounts } = require('./helpers');
+const { createMemoryStore } = require('../lib/store');
+const { ensureVehicleIndexes, migrateVehiclePlateKeys } = require('../lib/vehicles');
+
+async function setUp() {
+    const ctx = await setUpAccounts({ user: true });
+    const created = await request(ctx.app)
+        .post('/api/owner/parking_areas')
+        .set(ctx.asOwner)
+        .send({
+            parking_area_name: 'Depot',
+            location: { lat: 12.9716, lng: 77.5946 },
+            total_car_slots: 1,
+            slot_totals: { ev: 1, truck: 2 },
+        })
+        .expect(200);
+    const parkingId = created.body.id;
+    const slots = await request(ctx.app).get(`/api/parking_areas/${parkingId}/slots`).expect(200);
+    return { ...ctx, parkingId, slots: slots.body };
+}
+
+async function registerVehicle(ctx, vehicle) {
+    const res = await request(ctx.app).post('/api/users/vehicles').set(ctx.asUser).send(vehicle).expect(201);
+    return res.body.vehicle;
+}
+
+test('parking areas keep a slot pool and counters per configured vehicle type', async () => {
+    const ctx = await setUp();
+    const area = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.deepEqual(area.body.vehicle_types, ['car', 'bike', 'ev', 'truck']);
+    assert.equal(area.body.total_truck_slots, 2);
+    assert.equal(area.body.available_ev_slots, 1);
+    assert.equal(area.body.total_bike_slots, 0);
+
+    const truck = await registerVehicle(ctx, { number_plate: 'ka01tr0001', vehicle_type: 'truck', nickname: 'Lorry' });
+    const truckSlot = ctx.slots.find(slot => slot.vehicle_type === 'truck');
+    const booked = await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({ parking_id: ctx.parkingId, slot_id: truckSlot._id, vehicle_id: truck._id })
+        .expect(200);
+    assert.equal(booked.body.number_plate, 'KA01TR0001');
+    assert.equal(booked.body.vehicle_id, truck._id);
+
+    const after = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.equal(after.body.available_truck_slots, 1);
+    assert.equal(after.body.booked_truck_slots, 1);
+
+    const reduce = body => request(ctx.app)
+        .put(`/api/owner/parking_areas/${ctx.parkingId}`)
+        .set('Authorization', `Bearer ${ctx.ownerToken}`)
+        .send({ slot_totals: { truck: 1, accessible: 2 }, ...body })
+        .expect(200);
+    const { plan_id } = (await reduce({})).body;
+    const reduced = await reduce({ confirm: true, plan_id });
+    assert.equal(reduced.body.counters.total_truck_slots, 1);
+    assert.equal(reduced.body.counters.total_accessible_slots, 2);
+    assert.equal(reduced.body.counters.total_ev_slots, 1);
+});
+
+test('bookings reference a registered vehicle that fits the slot', async () => {
+    const ctx = await setUp();
+    const evSlot = ctx.slots.find(slot => slot.vehicle_type === 'ev');
+    const carSlot = ctx.slots.find(slot => slot.vehicle_type === 'car');
+
+    const petrol = await registerVehicle(ctx, { number_plate: 'KA01AB1111', vehicle_type: 'car' });
+    const electric = await registerVehicle(ctx, { number_plate: 'KA01EV2222', vehicle_type: 'car', is_ev: true });
+
+    // The same plate written another way is the same vehicle
+    for (const number_plate of ['KA01AB1111', 'ka-01 ab 1111']) {
+        const duplicate = await request(ctx.app)
+            .post('/api/users/vehicles')
+            .set(ctx.asUser)
+            .send({ number_plate, vehicle_type: 'car' })
+            .expect(409);
+        assert.equal(duplicate.body.code, 'VEHICLE_EXISTS');
+    }
+
+    const mismatch = await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({ parking_id: ctx.parkingId, slot_id: evSlot._id, vehicle_id: petrol._id })
+        .expect(422);
+    assert.equal(mismatch.body.code, 'VEHICLE_TYPE_MISMATCH');
+
+    const charging = await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({ parking_id: ctx.parkingId, slot_id: evSlot._id, vehicle_id: electric._id })
+        .expect(200);
+
+    const inUse = await request(ctx.app)
+        .delete(`/api/users/vehicles/${electric._id}`)
+        .set(ctx.asUser)
+        .expect(409);
+    assert.equal(inUse.body.code, 'VEHICLE_IN_USE');
+    await request(ctx.app)
+        .post(`/api/bookings/${charging.body.booking_id}/cancel`)
+        .set(ctx.asUser)
+        .send({})
+        .expect(200);
+    await request(ctx.app).delete(`/api/users/vehicles/${electric._id}`).set(ctx.asUser).expect(200);
+
+    // A bare plate from an older app is added to the registry
+    const legacy = await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({ parking_id: ctx.parkingId, slot_id: carSlot._id, number_plate: 'KA05XY9999' })
+        .expect(200);
+    const vehicles = await request(ctx.app).get('/api/users/vehicles').set(ctx.asUser).expect(200);
+    const registered = vehicles.body.find(vehicle => vehicle.number_plate === 'KA05XY9999');
+    assert.equal(registered.vehicle_type, 'car');
+    assert.equal(legacy.body.vehicle_id, registered._id);
+    await request(ctx.app)
+        .post(`/api/bookings/${legacy.body.booking_id}/cancel`)
+        .set(ctx.asUser)
+        .send({})
+        .expect(200);
+    const respelled = await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({ parking_id: ctx.parkingId, slot_id: carSlot._id, number_plate: 'KA 05-XY 9999' })
+        .expect(200);
+    assert.equal(respelled.body.vehicle_id, registered._id);
+
+    const both = await request(ctx.app)
+        .post('/api/bookings')
+        .set(ctx.asUser)
+        .send({ parking_id: ctx.parkingId, slot_id: carSlot._id, vehicle_id: petrol._id, number_plate: 'KA01AB1111' })
+        .expect(422);
+    assert.equal(both.body.details[0].field, 'number_plate');
+});
+
+test('vehicles registered before plate keys get one, except repeats of an earlier plate', async () => {
+    const { db } = createMemoryStore();
+    const vehicles = db.collection('vehicles');
+    await vehicles.createIndex({ phone: 1, number_plate: 1 }, { name: 'one_vehicle_per_plate_per_user', unique: true });
+    const { insertedIds } = await vehicles.insertMany([
+        { phone: USER_PHONE, number_plate: 'KA01AB1234', vehicle_type: 'car', createdAt: new Date(2024, 0, 1) },
+        { phone: USER_PHONE, number_plate: 'KA-01 AB 1234', vehicle_type: 'car', createdAt: new Date(2024, 0, 2) },
+        { phone: '9876543211', number_plate: 'KA01AB1234', vehicle_type: 'car', createdAt: new Date(2024, 0, 3) },
+    ]);
+
+    assert.deepEqual(await migrateVehiclePlateKeys(db), { keyed: 2, duplicates: [insertedIds[1]] });
+    await ensureVehicleIndexes(db);
+    await ensureVehicleIndexes(db);
+    assert.equal((await vehicles.findOne({ _id: insertedIds[2] })).plate_key, 'KA01AB1234');
+    await assert.rejects(
+        vehicles.insertOne({ phone: USER_PHONE, number_plate: 'ka01 ab1234', plate_key: 'KA01AB1234' }),
+        error => error.code === 11000
+    );
+});
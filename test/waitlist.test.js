@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { request, signUpUser, setUpParkingArea } = require('./helpers');
+
+const PHONES = { first: '9876543210', second: '9876543211', third: '9876543212' };
+
+async function setUp() {
+    const ctx = await setUpParkingArea({ slots: { cars: 1, bikes: 0 } });
+    const users = {};
+    for (const [name, phone] of Object.entries(PHONES)) {
+        const token = await signUpUser(ctx, phone);
+        const vehicle = await request(ctx.app)
+            .post('/api/users/vehicles')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ number_plate: `KA01AB${phone.slice(-4)}`, vehicle_type: 'car' })
+            .expect(201);
+        users[name] = { phone, token, vehicleId: vehicle.body.vehicle._id };
+    }
+    return { ...ctx, users, slot: ctx.slots[0] };
+}
+
+function as(user) {
+    return { Authorization: `Bearer ${user.token}` };
+}
+
+function joinWaitlist(ctx, user) {
+    return request(ctx.app)
+        .post('/api/waitlist')
+        .set(as(user))
+        .send({ parking_id: ctx.parkingId, vehicle_id: user.vehicleId });
+}
+
+test('a freed slot is held for the next person in line and passed on when unclaimed', async () => {
+    const ctx = await setUp();
+    const { first, second, third } = ctx.users;
+
+    const early = await joinWaitlist(ctx, second).expect(409);
+    assert.equal(early.body.code, 'SLOTS_AVAILABLE');
+
+    await request(ctx.app)
+        .post('/api/bookings')
+        .set(as(first))
+        .send({ parking_id: ctx.parkingId, slot_id: ctx.slot._id, vehicle_id: first.vehicleId })
+        .expect(200);
+
+    const secondEntry = await joinWaitlist(ctx, second).expect(201);
+    assert.equal(secondEntry.body.position, 1);
+    const thirdEntry = await joinWaitlist(ctx, third).expect(201);
+    assert.equal(thirdEntry.body.position, 2);
+    const twice = await joinWaitlist(ctx, third).expect(409);
+    assert.equal(twice.body.code, 'ALREADY_WAITLISTED');
+
+    await request(ctx.app)
+        .post('/api/owner/bookings/complete')
+        .set('Authorization', `Bearer ${ctx.ownerToken}`)
+        .send({ parking_id: ctx.parkingId, slot_id: ctx.slot._id })
+        .expect(200);
+
+    assert.equal(ctx.notifier.sent.length, 1);
+    assert.equal(ctx.notifier.sent[0].phone, second.phone);
+    assert.equal(ctx.notifier.sent[0].type, 'waitlist.offer');
+    const [held] = (await request(ctx.app).get('/api/waitlist').set(as(second)).expect(200)).body;
+    assert.equal(held.status, 'offered');
+    assert.equal(held.hold.slot_id, ctx.slot._id);
+    const [waiting] = (await request(ctx.app).get('/api/waitlist').set(as(third)).expect(200)).body;
+    assert.equal(waiting.position, 1);
+
+    // Nobody else can take the held slot
+    const area = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.equal(area.body.available_car_slots, 0);
+    const taken = await request(ctx.app)
+        .post('/api/bookings')
+        .set(as(first))
+        .send({ parking_id: ctx.parkingId, slot_id: ctx.slot._id, vehicle_id: first.vehicleId })
+        .expect(409);
+    assert.equal(taken.body.code, 'SLOT_ALREADY_BOOKED');
+
+    const expired = await ctx.context.waitlist.expireHolds(new Date(Date.now() + 60 * 60 * 1000));
+    assert.equal(expired, 1);
+    const offer = ctx.notifier.sent.find(sent => sent.phone === third.phone);
+    assert.equal(offer.type, 'waitlist.offer');
+
+    const late = await request(ctx.app)
+        .post(`/api/waitlist/${secondEntry.body.waitlist_id}/claim`)
+        .set(as(second))
+        .expect(404);
+    assert.equal(late.body.code, 'WAITLIST_ENTRY_NOT_FOUND');
+
+    const claimed = await request(ctx.app)
+        .post(`/api/waitlist/${thirdEntry.body.waitlist_id}/claim`)
+        .set(as(third))
+        .expect(200);
+    assert.equal(claimed.body.status, 'active');
+    assert.equal(claimed.body.slot_number, ctx.slot.slot_number);
+
+    const after = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.equal(after.body.available_car_slots, 0);
+    assert.equal(after.body.booked_car_slots, 1);
+    assert.deepEqual((await request(ctx.app).get('/api/waitlist').set(as(third)).expect(200)).body, []);
+});
+
+test('leaving the waitlist with a hold passes the slot on, or frees it when nobody waits', async () => {
+    const ctx = await setUp();
+    const { first, second } = ctx.users;
+
+    const booked = await request(ctx.app)
+        .post('/api/bookings')
+        .set(as(first))
+        .send({ parking_id: ctx.parkingId, slot_id: ctx.slot._id, vehicle_id: first.vehicleId })
+        .expect(200);
+    const entry = await joinWaitlist(ctx, second).expect(201);
+
+    await request(ctx.app)
+        .post(`/api/bookings/${booked.body.booking_id}/cancel`)
+        .set(as(first))
+        .send({})
+        .expect(200);
+    assert.equal(ctx.notifier.sent[0].phone, second.phone);
+
+    await request(ctx.app).delete(`/api/waitlist/${entry.body.waitlist_id}`).set(as(second)).expect(200);
+
+    const area = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.equal(area.body.available_car_slots, 1);
+    await request(ctx.app)
+        .post('/api/bookings')
+        .set(as(first))
+        .send({ parking_id: ctx.parkingId, slot_id: ctx.slot._id, vehicle_id: first.vehicleId })
+        .expect(200);
+});
+
+test('slots added to a full parking area are offered to the waitlist', async () => {
+    const ctx = await setUp();
+    const { first, second } = ctx.users;
+
+    await request(ctx.app)
+        .post('/api/bookings')
+        .set(as(first))
+        .send({ parking_id: ctx.parkingId, slot_id: ctx.slot._id, vehicle_id: first.vehicleId })
+        .expect(200);
+    await joinWaitlist(ctx, second).expect(201);
+
+    const grow = body => request(ctx.app)
+        .post('/api/owner/parking_areas')
+        .set('Authorization', `Bearer ${ctx.ownerToken}`)
+        .send({ id: ctx.parkingId, total_car_slots: 2, ...body })
+        .expect(200);
+    const { plan_id } = (await grow({})).body;
+    await grow({ confirm: true, plan_id });
+
+    assert.deepEqual(ctx.notifier.sent.map(sent => [sent.phone, sent.type]), [[second.phone, 'waitlist.offer']]);
+    const [held] = (await request(ctx.app).get('/api/waitlist').set(as(second)).expect(200)).body;
+    assert.equal(held.status, 'offered');
+    assert.notEqual(held.hold.slot_id, ctx.slot._id);
+    const area = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.equal(area.body.total_car_slots, 2);
+    assert.equal(area.body.available_car_slots, 0);
+});
+
+test('a hold claimed while the sweep runs is not expired', async () => {
+    const ctx = await setUp();
+    const { first, second } = ctx.users;
+
+    const booked = await request(ctx.app)
+        .post('/api/bookings')
+        .set(as(first))
+        .send({ parking_id: ctx.parkingId, slot_id: ctx.slot._id, vehicle_id: first.vehicleId })
+        .expect(200);
+    const entry = await joinWaitlist(ctx, second).expect(201);
+    await request(ctx.app)
+        .post(`/api/bookings/${booked.body.booking_id}/cancel`)
+        .set(as(first))
+        .send({})
+        .expect(200);
+
+    // The user claims the hold after the sweep has picked it up
+    const waitlist = ctx.db.collection('waitlist');
+    const find = waitlist.find;
+    waitlist.find = function (...args) {
+        waitlist.find = find;
+        const due = find.apply(this, args).toArray();
+        return {
+            toArray: async () => {
+                const entries = await due;
+                await request(ctx.app).post(`/api/waitlist/${entry.body.waitlist_id}/claim`).set(as(second)).expect(200);
+                return entries;
+            },
+        };
+    };
+    const expired = await ctx.context.waitlist.expireHolds(new Date(Date.now() + 60 * 60 * 1000));
+
+    assert.equal(expired, 0);
+    assert.deepEqual(ctx.notifier.sent.map(sent => sent.type), ['waitlist.offer']);
+    const area = await request(ctx.app).get(`/api/parking_areas/${ctx.parkingId}`).expect(200);
+    assert.equal(area.body.booked_car_slots, 1);
+    assert.equal(area.body.available_car_slots, 0);
+});